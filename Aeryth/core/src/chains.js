@@ -0,0 +1,97 @@
+// src/chains.js
+// Habit stacking: a routine can be anchored to another routine instead of starting at a fixed clock time,
+// so "Morning Run → Shower → Journal" run one after the other.
+//   routine.anchor   { routineId, delayMinutes }
+// The anchored routine (the follow-up) keeps its own days. Its startTime/endTime are when it is expected to
+// start, the anchor's end plus the delay (anchoredTimes), and are what the calendar shows. Its reminders
+// don't go off at that time though: the extension's background worker starts the follow-up delayMinutes
+// after the anchor's session of the same day is marked completed (followUpStarts).
+// A follow-up whose anchor was deleted is a plain fixed-time routine again.
+import { addMinutesToTimeStr, spanMinutes } from "./dates.js";
+import { occurrences } from "./recurrence.js";
+import { statusOf, toStatusRecord } from "./statusMerge.js";
+
+// minutes between the anchor's completion and the follow-up's start; at least one, so the reminder is
+// still ahead when the worker schedules it
+export const DEFAULT_ANCHOR_DELAY = 5;
+export const MIN_ANCHOR_DELAY = 1;
+export const MAX_ANCHOR_DELAY = 180;
+
+const active = (routines) => (routines || []).filter(r => r && !r.deletedAt);
+
+// { routineId, delayMinutes } of a routine anchored to one of routines, or null
+export function anchorOf(routine, routines) {
+  const anchor = routine?.anchor;
+  if (!anchor?.routineId || anchor.routineId === routine.id) return null;
+  if (!active(routines).some(r => r.id === anchor.routineId)) return null;
+  const delay = Number(anchor.delayMinutes);
+  return { routineId: anchor.routineId, delayMinutes: Number.isFinite(delay) ? Math.min(MAX_ANCHOR_DELAY, Math.max(MIN_ANCHOR_DELAY, Math.round(delay))) : DEFAULT_ANCHOR_DELAY };
+}
+
+// the routines anchored to routineId
+export const followUpsOf = (routineId, routines) => active(routines).filter(r => anchorOf(r, routines)?.routineId === routineId);
+
+// true when anchoring routineId to anchorId would make a loop (anchorId already follows routineId)
+export function wouldCycle(routineId, anchorId, routines) {
+  const byId = new Map(active(routines).map(r => [r.id, r]));
+  const seen = new Set();
+  for (let id = anchorId; id && !seen.has(id); id = anchorOf(byId.get(id), routines)?.routineId) {
+    if (id === routineId) return true;
+    seen.add(id);
+  }
+  return false;
+}
+
+// the chain the routine is part of, first routine first: walks up its anchors and down its first follow-ups
+export function chainOf(routine, routines) {
+  const byId = new Map(active(routines).map(r => [r.id, r]));
+  const chain = [routine];
+  for (let up = anchorOf(routine, routines); up && !chain.some(r => r.id === up.routineId); ) {
+    const r = byId.get(up.routineId);
+    chain.unshift(r);
+    up = anchorOf(r, routines);
+  }
+  for (let down = followUpsOf(routine.id, routines)[0]; down && !chain.some(r => r.id === down.id); ) {
+    chain.push(down);
+    down = followUpsOf(down.id, routines)[0];
+  }
+  return chain;
+}
+
+// expected startTime/endTime of a follow-up lasting as long as startTime–endTime do now
+export function anchoredTimes(anchorRoutine, delayMinutes, { startTime, endTime }) {
+  const [start, end] = spanMinutes(startTime, endTime);
+  const expected = addMinutesToTimeStr(anchorRoutine.endTime || anchorRoutine.startTime, delayMinutes);
+  return { startTime: expected, endTime: addMinutesToTimeStr(expected, Math.max(end - start, 10)) };
+}
+
+// When a follow-up's sessions between two days (both inclusive) start, judging by when its anchor's
+// sessions were completed: [{ occurrence, start, end }], start/end as epoch millis.
+// The anchor's completed sessions of a day trigger the follow-up's sessions of that day in time order.
+// eventStatuses is the { routineId: { occurrenceKey: record } } map (statusMerge.js).
+export function followUpStarts(routine, routines, eventStatuses, { from = new Date(), to = from, vacation = null } = {}) {
+  const anchor = anchorOf(routine, routines);
+  if (!anchor) return [];
+  const anchorRoutine = active(routines).find(r => r.id === anchor.routineId);
+  const statuses = eventStatuses?.[anchorRoutine.id] || {};
+  // an overnight anchor counts for the day it started on, even when completed after midnight
+  const completedByDay = {};
+  occurrences(anchorRoutine, from, to, { vacation }).forEach(occ => {
+    const record = toStatusRecord(statuses[occ.key]);
+    if (statusOf(record) !== "completed" || !record.updatedAt) return;
+    (completedByDay[occ.dateIso] = completedByDay[occ.dateIso] || []).push(record.updatedAt);
+  });
+
+  const starts = [];
+  const byDay = {};
+  occurrences(routine, from, to, { vacation }).forEach(occ => (byDay[occ.dateIso] = byDay[occ.dateIso] || []).push(occ));
+  Object.entries(byDay).forEach(([day, occs]) => {
+    (completedByDay[day] || []).sort((a, b) => a - b).forEach((completedAt, i) => {
+      const occurrence = occs[i];
+      if (!occurrence) return;
+      const start = completedAt + anchor.delayMinutes * 60000;
+      starts.push({ occurrence, start, end: start + (occurrence.end - occurrence.start) });
+    });
+  });
+  return starts.sort((a, b) => a.start - b.start);
+}
@@ -0,0 +1,56 @@
+// src/checklists.js
+// A routine's checklist is the list of steps every session goes through ("warm up", "3 sets", "stretch"):
+//   routine.checklist            [{ id, text }]
+//   routine.checklistCompletes   when true, ticking the last item marks the occurrence completed
+// Ticks are stored per occurrence key (recurrence.js) and item, one document per routine:
+//   checklists/{routineId} = { "2025-01-31": { itemId: { done: true, updatedAt: 1738300000000, by: "web" } } }
+// Like event statuses (statusMerge.js), every tick is stamped and copies are combined item by item with
+// mergeTickRecords(): the newer updatedAt wins, on equal timestamps a tick beats an untick, then the writer
+// id decides, so the web app and the popup can tick the same session without overwriting each other.
+// Ticks of items removed from the checklist are ignored.
+
+export const newChecklistItem = (text) => ({ id: crypto.randomUUID().slice(0, 8), text: String(text || "").trim() });
+
+export const checklistOf = (routine) => (routine?.checklist || []).filter(item => item?.id && String(item.text || "").trim());
+
+export const makeTickRecord = (done, by) => ({ done: !!done, updatedAt: Date.now(), by });
+
+export function mergeTickRecords(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  if ((a.updatedAt || 0) !== (b.updatedAt || 0)) return (a.updatedAt || 0) > (b.updatedAt || 0) ? a : b;
+  if (!!a.done !== !!b.done) return a.done ? a : b;
+  return String(a.by || "") >= String(b.by || "") ? a : b;
+}
+
+// Merge two { occurrenceKey: { itemId: record } } maps (one routine's ticks).
+export function mergeChecklistMaps(a = {}, b = {}) {
+  const merged = { ...(a || {}) };
+  Object.entries(b || {}).forEach(([key, items]) => {
+    const next = { ...(merged[key] || {}) };
+    Object.entries(items || {}).forEach(([itemId, rec]) => { next[itemId] = mergeTickRecords(next[itemId], rec); });
+    merged[key] = next;
+  });
+  return merged;
+}
+
+// the checklist of one occurrence: [{ id, text, done }]; ticks is the routine's map
+export const checklistState = (routine, ticks, key) =>
+  checklistOf(routine).map(item => ({ ...item, done: !!ticks?.[key]?.[item.id]?.done }));
+
+// { done, total } of one occurrence
+export function checklistProgress(routine, ticks, key) {
+  const items = checklistState(routine, ticks, key);
+  return { done: items.filter(i => i.done).length, total: items.length };
+}
+
+// the routine's ticks with one item of one occurrence set
+export const withTick = (ticks, key, itemId, record) =>
+  ({ ...(ticks || {}), [key]: { ...(ticks?.[key] || {}), [itemId]: record } });
+
+// true when this tick finishes the checklist of a routine set to complete its sessions that way
+export function completesOccurrence(routine, ticks, key) {
+  if (!routine?.checklistCompletes) return false;
+  const { done, total } = checklistProgress(routine, ticks, key);
+  return total > 0 && done === total;
+}
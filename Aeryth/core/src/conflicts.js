@@ -0,0 +1,97 @@
+// src/conflicts.js
+// Sessions of different routines that overlap. Two occurrences (recurrence.js) conflict when their start–end
+// windows intersect, overnight sessions included; back-to-back sessions (one ends as the next starts) don't.
+// Paused occurrences never conflict, since no reminder fires for them. A routine's own slots are kept apart
+// when it is edited (SetGoalPanel), not here.
+import { iso, fmtShort, addDays, addMinutesToTimeStr, spanMinutes, parseIsoToLocalDate } from "./dates.js";
+import { occurrences, occurrencesOf } from "./recurrence.js";
+
+// how far ahead a routine is compared with the others: two months, so monthly rules meet at least once
+export const CONFLICT_WINDOW_DAYS = 62;
+// step and reach of the search for a free time
+const SHIFT_STEP_MINUTES = 15;
+const MAX_SHIFT_MINUTES = 12 * 60;
+
+const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+// routine's occurrences over the window starting at from, and the other routines' around them
+function windowOf(routine, routines, from, vacation) {
+  const start = iso(from);
+  const end = addDays(start, CONFLICT_WINDOW_DAYS - 1);
+  const others = routines.filter(r => r.id !== routine.id);
+  return {
+    mine: occurrences(routine, start, end, { vacation }),
+    // from the day before, for overnight sessions running into the window
+    theirs: occurrencesOf(others, addDays(start, -1), end, { vacation }),
+  };
+}
+
+// Occurrences overlapping one of another routine, as a Set of "routineId|key"
+export function overlappingOccurrences(occs) {
+  const found = new Set();
+  const sorted = occs.filter(occ => !occ.paused).sort((a, b) => a.start - b.start);
+  sorted.forEach((a, i) => {
+    for (let j = i + 1; j < sorted.length && sorted[j].start < a.end; j++) {
+      const b = sorted[j];
+      if (b.routineId === a.routineId) continue;
+      found.add(`${a.routineId}|${a.key}`);
+      found.add(`${b.routineId}|${b.key}`);
+    }
+  });
+  return found;
+}
+
+// Conflicts of routine (saved or not) with the other routines over CONFLICT_WINDOW_DAYS from from,
+// one entry per other routine in order of the first overlap:
+//   [{ routine, pairs: [{ occurrence, other }] }]   occurrence is routine's, other the other routine's
+export function conflictsOf(routine, routines, { from = new Date(), vacation = null } = {}) {
+  const { mine, theirs } = windowOf(routine, routines, from, vacation);
+  const byId = new Map();
+  mine.forEach(occurrence => theirs.forEach(other => {
+    if (!overlaps(occurrence, other)) return;
+    if (!byId.has(other.routineId)) byId.set(other.routineId, { routine: routines.find(r => r.id === other.routineId), pairs: [] });
+    byId.get(other.routineId).pairs.push({ occurrence, other });
+  }));
+  return [...byId.values()];
+}
+
+// "Football 18:00–19:00 on 20 Oct 26 (+3 more)"
+export function describeConflict({ routine, pairs }) {
+  const { other } = pairs[0];
+  const more = pairs.length > 1 ? ` (+${pairs.length - 1} more)` : "";
+  return `${routine?.name || "Routine"} ${other.startTime}–${other.endTime} on ${fmtShort(parseIsoToLocalDate(other.dateIso))}${more}`;
+}
+
+const shiftTimes = (routine, minutes) => {
+  const shift = (t) => addMinutesToTimeStr(t, minutes);
+  return {
+    startTime: shift(routine.startTime),
+    endTime: shift(routine.endTime || routine.startTime),
+    slots: (routine.slots || []).map(s => ({ ...s, startTime: shift(s.startTime), endTime: shift(s.endTime || s.startTime) })),
+  };
+};
+
+// The nearest shift of all of routine's times, in SHIFT_STEP_MINUTES steps either way and without leaving
+// their day, that clears every conflict: { minutes, startTime, endTime, slots }, or null when there is none.
+// Occurrences moved with an override keep their own time.
+export function nearestFreeSlot(routine, routines, { from = new Date(), vacation = null } = {}) {
+  if (!routine?.startTime) return null;
+  const { mine, theirs } = windowOf(routine, routines, from, vacation);
+  const starts = [routine, ...(routine.slots || [])].map(s => spanMinutes(s.startTime)[0]);
+
+  const fits = (minutes) => {
+    if (starts.some(s => s + minutes < 0 || s + minutes >= 24 * 60)) return false;
+    return !mine.some(occ => {
+      const ms = occ.moved || occ.extra ? 0 : minutes * 60000;
+      const shifted = { start: occ.start + ms, end: occ.end + ms };
+      return theirs.some(other => overlaps(shifted, other));
+    });
+  };
+
+  for (let m = SHIFT_STEP_MINUTES; m <= MAX_SHIFT_MINUTES; m += SHIFT_STEP_MINUTES) {
+    for (const minutes of [m, -m]) {
+      if (fits(minutes)) return { minutes, ...shiftTimes(routine, minutes) };
+    }
+  }
+  return null;
+}
@@ -1,6 +1,7 @@
-// src/utils/firebaseInit.js
+// src/data/firebase.js
+// The one Firebase app shared by the web app, the extension popup and the background worker.
 import { initializeApp, getApps, getApp, deleteApp } from "firebase/app";
-import { getAuth, signInAnonymously, onAuthStateChanged } from "firebase/auth";
+import { getAuth, signInWithCredential, GoogleAuthProvider, signOut } from "firebase/auth";
 import { getFirestore } from "firebase/firestore";
 
 // ✅ Your Firebase project config
@@ -18,7 +19,7 @@ let firebaseApp;
 const apps = getApps();
 
 if (apps.length > 0) {
-  const existingApp = apps[0];
+  const existingApp = getApp();
   // Check if the existing app’s config matches your real project
   if (existingApp.options?.projectId !== firebaseConfig.projectId) {
     console.warn("⚠️ Existing Firebase app had mismatched config. Reinitializing...");
@@ -37,24 +38,18 @@ export const app = firebaseApp;
 export const auth = getAuth(firebaseApp);
 export const db = getFirestore(firebaseApp);
 
-/**
- * Initializes Firebase Auth for the current session.
- * Ensures anonymous sign-in if no user exists.
- */
-export async function initFirebase() {
-  return new Promise((resolve, reject) => {
-    onAuthStateChanged(auth, async (user) => {
-      if (user) {
-        resolve({ user, db });
-      } else {
-        try {
-          const cred = await signInAnonymously(auth);
-          resolve({ user: cred.user, db });
-        } catch (err) {
-          console.error("Firebase anonymous sign-in failed:", err);
-          reject(err);
-        }
-      }
-    });
-  });
+// Used by the extension popup, which gets its Google token from chrome.identity.
+export async function signInWithGoogleToken(token) {
+  if (!token) throw new Error("Missing access token");
+  const cred = GoogleAuthProvider.credential(null, token);
+  const { user } = await signInWithCredential(auth, cred);
+  return user;
+}
+
+export async function signOutUser() {
+  try {
+    await signOut(auth);
+  } catch (e) {
+    console.warn("signOutUser failed", e);
+  }
 }
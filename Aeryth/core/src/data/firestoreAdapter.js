@@ -0,0 +1,118 @@
+// src/data/firestoreAdapter.js
+// Firestore implementation of the storage adapter (interface in storageAdapter.js).
+// With { emulator } the shared auth/db instances are pointed at the local Firebase emulators.
+import { auth, db } from "./firebase.js";
+import {
+  getDoc,
+  getDocs,
+  doc,
+  collection,
+  writeBatch,
+  deleteField,
+  runTransaction,
+  onSnapshot,
+  connectFirestoreEmulator,
+  FieldPath,
+} from "firebase/firestore";
+import { signInAnonymously, onAuthStateChanged, connectAuthEmulator } from "firebase/auth";
+
+const BATCH_LIMIT = 450; // Firestore allows 500 writes per batch
+
+// WriteBatch and Transaction share set()/delete(), so both apply writes the same way.
+function applyWrite(target, ref, write) {
+  if (write.op === "delete") target.delete(ref);
+  else if (write.op === "deleteFields") target.set(ref, Object.fromEntries(write.fields.map(f => [f, deleteField()])), { merge: true });
+  else if (write.fields) target.set(ref, write.data, { mergeFields: write.fields.map(f => new FieldPath(f)) });
+  else target.set(ref, write.data);
+}
+
+export function createFirestoreAdapter({ emulator } = {}) {
+  if (emulator) {
+    const [host, port] = emulator.firestoreHost.split(":");
+    connectFirestoreEmulator(db, host, Number(port));
+    connectAuthEmulator(auth, emulator.authUrl, { disableWarnings: true });
+    console.log(`🧪 Using Firebase emulators (${emulator.firestoreHost}, ${emulator.authUrl})`);
+  }
+
+  let currentUser = null;
+  const docRef = (path) => doc(db, ...path);
+
+  return {
+    label: emulator ? "Firebase Emulator" : "Firebase Cloud",
+    usesFirebaseAuth: true,
+    remote: true,
+
+    // The web app falls back to an anonymous account; the extension's popup signs in with Google first.
+    async getUser({ anonymous = false } = {}) {
+      if (currentUser) return currentUser;
+
+      return new Promise((resolve, reject) => {
+        const unsub = onAuthStateChanged(auth, async (user) => {
+          unsub();
+          if (user) {
+            currentUser = user;
+            resolve(user);
+          } else if (!anonymous) {
+            reject(new Error("No signed-in user"));
+          } else {
+            try {
+              const cred = await signInAnonymously(auth);
+              currentUser = cred.user;
+              resolve(currentUser);
+            } catch (err) {
+              console.error("❌ Auth error:", err);
+              reject(err);
+            }
+          }
+        });
+      });
+    },
+
+    async getDoc(path) {
+      const snap = await getDoc(docRef(path));
+      return snap.exists() ? snap.data() : null;
+    },
+
+    async getCollection(path) {
+      const qs = await getDocs(collection(db, ...path));
+      const docs = {};
+      qs.forEach(d => { docs[d.id] = d.data(); });
+      return docs;
+    },
+
+    async commit(writes) {
+      for (let i = 0; i < writes.length; i += BATCH_LIMIT) {
+        const batch = writeBatch(db);
+        writes.slice(i, i + BATCH_LIMIT).forEach(w => applyWrite(batch, docRef(w.path), w));
+        await batch.commit();
+      }
+    },
+
+    transact(path, fn) {
+      const ref = docRef(path);
+      return runTransaction(db, async (tx) => {
+        const snap = await tx.get(ref);
+        const { result, write } = fn(snap.exists() ? snap.data() : null);
+        if (write) applyWrite(tx, ref, write);
+        return result;
+      });
+    },
+
+    // snapshots of our own unacknowledged writes are skipped; the confirmed snapshot follows
+    watchDoc(path, cb, onError) {
+      return onSnapshot(docRef(path), (snap) => {
+        if (snap.metadata.hasPendingWrites) return;
+        cb(snap.exists() ? snap.data() : null);
+      }, onError);
+    },
+
+    watchCollection(path, cb, onError) {
+      return onSnapshot(collection(db, ...path), (qs) => {
+        if (qs.metadata.hasPendingWrites) return;
+        const docs = {};
+        qs.forEach(d => { docs[d.id] = d.data(); });
+        cb(docs);
+      }, onError);
+    },
+  };
+}
@@ -0,0 +1,135 @@
+// src/data/localAdapter.js
+// Storage adapter (interface in storageAdapter.js) that keeps every document on this device:
+// in localStorage under storageKey when one is given, otherwise in memory until the page is closed.
+// Writes apply synchronously, so transact() is atomic without any locking. With localStorage,
+// edits made in another tab arrive through the window "storage" event.
+
+const LOCAL_USER = { uid: "local", isAnonymous: true, displayName: "Local data" };
+
+const copy = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+const keyOf = (path) => path.join("/");
+const parentOf = (key) => key.slice(0, key.lastIndexOf("/"));
+
+export function createLocalAdapter({ storageKey } = {}) {
+  let docs = new Map(); // "aeryth_data/{uid}/routines/{id}" -> data
+  const watchers = new Set();
+
+  function readStorage() {
+    try {
+      docs = new Map(Object.entries(JSON.parse(localStorage.getItem(storageKey) || "{}")));
+    } catch (e) {
+      console.warn("Could not read local data, starting empty:", e);
+      docs = new Map();
+    }
+  }
+
+  function writeStorage() {
+    if (!storageKey) return;
+    try {
+      localStorage.setItem(storageKey, JSON.stringify(Object.fromEntries(docs)));
+    } catch (e) {
+      console.error("❌ Saving local data failed:", e);
+    }
+  }
+
+  const readDoc = (key) => (docs.has(key) ? copy(docs.get(key)) : null);
+
+  function readCollection(key) {
+    const result = {};
+    docs.forEach((data, k) => { if (parentOf(k) === key) result[k.slice(key.length + 1)] = copy(data); });
+    return result;
+  }
+
+  function applyWrite(key, write) {
+    if (write.op === "delete") {
+      docs.delete(key);
+    } else if (write.op === "deleteFields") {
+      if (!docs.has(key)) return;
+      const next = { ...docs.get(key) };
+      write.fields.forEach(f => delete next[f]);
+      docs.set(key, next);
+    } else if (write.fields) {
+      const next = { ...(docs.get(key) || {}) };
+      write.fields.forEach(f => { next[f] = copy(write.data[f]); });
+      docs.set(key, next);
+    } else {
+      docs.set(key, copy(write.data));
+    }
+  }
+
+  // like Firestore, listeners are called asynchronously
+  function deliver(w) {
+    setTimeout(() => {
+      if (!watchers.has(w)) return;
+      w.cb(w.kind === "doc" ? readDoc(w.key) : readCollection(w.key));
+    }, 0);
+  }
+
+  function notify(changedKeys) {
+    watchers.forEach(w => {
+      const hit = w.kind === "doc" ? changedKeys.includes(w.key) : changedKeys.some(k => parentOf(k) === w.key);
+      if (hit) deliver(w);
+    });
+  }
+
+  function watch(kind, path, cb) {
+    const w = { kind, key: keyOf(path), cb };
+    watchers.add(w);
+    deliver(w);
+    return () => watchers.delete(w);
+  }
+
+  if (storageKey) {
+    readStorage();
+    if (typeof window !== "undefined") {
+      window.addEventListener("storage", (e) => {
+        if (e.key !== storageKey) return;
+        readStorage();
+        watchers.forEach(deliver);
+      });
+    }
+  }
+
+  return {
+    label: storageKey ? "Local storage" : "Memory (not saved)",
+    usesFirebaseAuth: false,
+    remote: false,
+
+    async getUser() {
+      return LOCAL_USER;
+    },
+
+    async getDoc(path) {
+      return readDoc(keyOf(path));
+    },
+
+    async getCollection(path) {
+      return readCollection(keyOf(path));
+    },
+
+    async commit(writes) {
+      writes.forEach(w => applyWrite(keyOf(w.path), w));
+      writeStorage();
+      notify(writes.map(w => keyOf(w.path)));
+    },
+
+    async transact(path, fn) {
+      const key = keyOf(path);
+      const { result, write } = fn(readDoc(key));
+      if (write) {
+        applyWrite(key, write);
+        writeStorage();
+        notify([key]);
+      }
+      return result;
+    },
+
+    watchDoc(path, cb) {
+      return watch("doc", path, cb);
+    },
+
+    watchCollection(path, cb) {
+      return watch("collection", path, cb);
+    },
+  };
+}
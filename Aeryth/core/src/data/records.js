@@ -0,0 +1,111 @@
+// src/data/records.js
+// How the app's keys are laid out as documents under aeryth_data/{uid}, shared by the web app's
+// offline-first storage.js and the extension's storage.js:
+//   (user document)         aeryth_settings, aeryth_profile and any other scalar key
+//   routines/{routineId}    one document per routine
+//   diary/{YYYY-MM}         one document per month of diary entries
+//   stickies/{routineId}    sticky notes of one routine, keyed by date
+//   event_statuses/{routineId}
+//   notif_chats/{routineId}
+//   templates/{templateId}  one document per saved routine template (templates.js)
+//   checklists/{routineId}  checklist ticks of one routine, keyed by occurrence (checklists.js)
+//   goals/{goalId}          one document per long-term goal (goals.js)
+// A key's value is split into { docId: record } with toRecords() and joined back with fromRecords().
+import { SCHEMA_VERSION, DEFAULT_SETTINGS } from "../schema.js";
+
+// keys that live in their own subcollection instead of on the user document
+export const COLLECTION_KEYS = {
+  aeryth_routines: { name: "routines", kind: "list" },
+  aeryth_diary: { name: "diary", kind: "map" },
+  aeryth_stickies: { name: "stickies", kind: "map" },
+  aeryth_event_statuses: { name: "event_statuses", kind: "map" },
+  aeryth_notif_chats: { name: "notif_chats", kind: "map" },
+  aeryth_templates: { name: "templates", kind: "list" },
+  aeryth_checklists: { name: "checklists", kind: "map" },
+  aeryth_goals: { name: "goals", kind: "list" },
+};
+
+// scalar keys are handled as a single record stored as a field of the user document
+export const ROOT_RECORD = "_root";
+
+// Firestore rejects undefined and stores Dates as Timestamps; a JSON round trip keeps records plain.
+export const clean = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+// Key order is not preserved by Firestore, so compare records through a sorted serialization.
+export function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+export function toRecords(key, value) {
+  const spec = COLLECTION_KEYS[key];
+  if (!spec) return value === undefined ? {} : { [ROOT_RECORD]: clean(value) };
+  const records = {};
+  if (spec.kind === "list") {
+    (value || []).forEach(item => { if (item?.id) records[item.id] = clean(item); });
+  } else {
+    Object.entries(value || {}).forEach(([id, item]) => { if (item && typeof item === "object") records[id] = clean(item); });
+  }
+  return records;
+}
+
+export function fromRecords(key, records) {
+  const spec = COLLECTION_KEYS[key];
+  if (!spec) return records[ROOT_RECORD];
+  if (spec.kind === "list") {
+    // newest first, matching how routines are prepended in the app
+    return Object.values(records).sort((a, b) => String(b.createdAt || "").localeCompare(String(a.createdAt || "")));
+  }
+  return { ...records };
+}
+
+export const serializeRecords = (records) =>
+  Object.fromEntries(Object.entries(records).map(([id, data]) => [id, stableStringify(data)]));
+
+/* ----------------------- Document paths ----------------------- */
+export const userDocPath = (user) => ["aeryth_data", user.uid];
+
+export const collectionPath = (userPath, key) => [...userPath, COLLECTION_KEYS[key].name];
+
+export const recordPath = (userPath, key, docId) =>
+  (COLLECTION_KEYS[key] ? [...collectionPath(userPath, key), docId] : userPath);
+
+/* ----------------------- User document ----------------------- */
+// One-time migration: the old layout kept every key on the single aeryth_data/{uid} document.
+async function migrateMasterDocument(adapter, userPath, data) {
+  const legacyKeys = Object.keys(COLLECTION_KEYS).filter(k => k in data);
+  if (!legacyKeys.length) return data;
+
+  console.log("🚚 Migrating master document to subcollections:", legacyKeys);
+  const writes = [];
+  legacyKeys.forEach(key => {
+    Object.entries(toRecords(key, data[key])).forEach(([id, record]) => {
+      writes.push({ path: recordPath(userPath, key, id), op: "set", data: record });
+    });
+  });
+  // drop the legacy fields only after every record has been copied
+  await adapter.commit(writes);
+  await adapter.commit([{ path: userPath, op: "deleteFields", fields: legacyKeys }]);
+
+  const rest = { ...data };
+  legacyKeys.forEach(k => delete rest[k]);
+  return rest;
+}
+
+// The user document's fields, created with defaults on first use.
+export async function loadRootDocument(adapter, userPath) {
+  const existing = await adapter.getDoc(userPath);
+  if (existing) return migrateMasterDocument(adapter, userPath, existing);
+
+  const rootData = {
+    schemaVersion: SCHEMA_VERSION,
+    aeryth_settings: DEFAULT_SETTINGS,
+    aeryth_profile: null,
+  };
+  await adapter.commit([{ path: userPath, op: "set", data: rootData }]);
+  console.log(`🆕 Created new user document (${adapter.label}).`);
+  return rootData;
+}
@@ -0,0 +1,44 @@
+// src/data/storageAdapter.js
+// Picks the backend behind the web app's and the extension's storage.js from the build-time
+// VITE_AERYTH_STORAGE variable of the app being built (e.g. webApp/.env.local):
+//   firestore (default)  the production Firebase project from firebase.js
+//   emulator             the same adapter pointed at the local Firestore/Auth emulators
+//                        (VITE_FIRESTORE_EMULATOR_HOST, default 127.0.0.1:8080; VITE_AUTH_EMULATOR_URL, default http://127.0.0.1:9099)
+//   local                documents in localStorage; no network, no account
+//   memory               documents in memory, gone on reload (demos)
+//
+// Adapter interface. Documents are addressed by path arrays, e.g. ["aeryth_data", uid, "routines", routineId]:
+//   label, remote (documents live on a server), usesFirebaseAuth
+//   getUser({ anonymous })               -> { uid, ... } of the signed-in (or local) user; with anonymous,
+//                                           signs in anonymously when nobody is signed in
+//   getDoc(path)                         -> data or null
+//   getCollection(path)                  -> { docId: data }
+//   commit(writes)                       applies a list of writes
+//   transact(path, fn)                   fn(current data or null) -> { result, write }; resolves to result
+//   watchDoc(path, cb, onError)          cb(data or null) on every confirmed change; returns unsubscribe
+//   watchCollection(path, cb, onError)   cb({ docId: data }) likewise
+// A write is { path, op: "set", data, fields } (with fields, only those top-level fields are replaced),
+// { path, op: "delete" } or { path, op: "deleteFields", fields }. Inside transact() the path is implied.
+
+import { createFirestoreAdapter } from "./firestoreAdapter.js";
+import { createLocalAdapter } from "./localAdapter.js";
+
+const env = import.meta.env;
+
+const ADAPTERS = {
+  firestore: () => createFirestoreAdapter(),
+  emulator: () => createFirestoreAdapter({
+    emulator: {
+      firestoreHost: env.VITE_FIRESTORE_EMULATOR_HOST || "127.0.0.1:8080",
+      authUrl: env.VITE_AUTH_EMULATOR_URL || "http://127.0.0.1:9099",
+    },
+  }),
+  local: () => createLocalAdapter({ storageKey: "aeryth_local_data" }),
+  memory: () => createLocalAdapter(),
+};
+
+const requested = env.VITE_AERYTH_STORAGE || "firestore";
+if (!ADAPTERS[requested]) console.warn(`⚠️ Unknown VITE_AERYTH_STORAGE "${requested}", using firestore.`);
+
+export const STORAGE_MODE = ADAPTERS[requested] ? requested : "firestore";
+export const adapter = ADAPTERS[STORAGE_MODE]();
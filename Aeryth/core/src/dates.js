@@ -0,0 +1,74 @@
+// src/dates.js
+// Calendar days are "YYYY-MM-DD" strings in the user's local time zone, in the web app, the popup and the
+// background worker alike. Never derive them with toISOString(), which gives the UTC day.
+export function iso(date) {
+  const d = new Date(date);
+  const y = d.getFullYear();
+  const m = String(d.getMonth() + 1).padStart(2, "0");
+  const day = String(d.getDate()).padStart(2, "0");
+  return `${y}-${m}-${day}`;
+}
+export const fmtShort = (d) => `${String(d.getDate()).padStart(2, "0")} ${d.toLocaleString("en-US", { month: "short" }).slice(0,3)} ${String(d.getFullYear()).slice(2)}`;
+
+// Parse YYYY-MM-DD into a Date in local timezone (avoid UTC parsing / timezone shift bug)
+export function parseIsoToLocalDate(isoStr) {
+  if (!isoStr) return null;
+  const [y, m, d] = isoStr.split("-").map(Number);
+  return new Date(y, m - 1, d);
+}
+
+// get weekday as "Sun","Mon",... for local date
+export function weekdayNameFromIso(isoStr) {
+  const d = parseIsoToLocalDate(isoStr);
+  return ["Sun","Mon","Tue","Wed","Thu","Fri","Sat"][d.getDay()];
+}
+
+// Date, timestamp or "YYYY-MM-DD" -> "YYYY-MM-DD" (strings are taken as local days already)
+export const toDayIso = (value) => (typeof value === "string" ? value.slice(0, 10) : iso(value));
+
+export function addDays(isoStr, n) {
+  const d = parseIsoToLocalDate(isoStr);
+  d.setDate(d.getDate() + n);
+  return iso(d);
+}
+
+// local Date at "HH:MM" on the given day
+export function atTime(isoStr, timeStr) {
+  const [hh, mm] = (timeStr || "00:00").split(":").map(Number);
+  const d = parseIsoToLocalDate(isoStr);
+  d.setHours(hh || 0, mm || 0, 0, 0);
+  return d;
+}
+
+// add minutes to a "HH:MM" string
+export function addMinutesToTimeStr(timeStr, minutesToAdd) {
+  const [hh, mm] = (timeStr || "00:00").split(":").map(Number);
+  let total = hh*60 + mm + minutesToAdd;
+  total = ((total % (24*60)) + (24*60)) % (24*60);
+  const nh = Math.floor(total/60);
+  const nm = total % 60;
+  return `${String(nh).padStart(2,"0")}:${String(nm).padStart(2,"0")}`;
+}
+
+const toMinutes = (timeStr) => {
+  const [hh, mm] = (timeStr || "00:00").split(":").map(Number);
+  return (hh || 0)*60 + (mm || 0);
+};
+
+// an end time before the start time means the span runs past midnight, ending on the next day
+export const crossesMidnight = (startTime, endTime) => !!startTime && !!endTime && toMinutes(endTime) < toMinutes(startTime);
+
+// "HH:MM" span as minutes from the start day's midnight: [start, end], end > 1440 for overnight spans
+export function spanMinutes(startTime, endTime) {
+  const start = toMinutes(startTime);
+  const end = toMinutes(endTime || startTime);
+  return [start, end < start ? end + 24*60 : end];
+}
+
+// ensure the span has a length: an end equal to the start becomes startTime + 10 minutes (past midnight if need be).
+// An end before the start is kept, as an overnight span (crossesMidnight).
+export function ensureEndAfterStart(startTime, endTime) {
+  if (!startTime) return endTime || startTime;
+  const end = endTime || startTime;
+  return toMinutes(end) === toMinutes(startTime) ? addMinutesToTimeStr(startTime, 10) : end;
+}
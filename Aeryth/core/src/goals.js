@@ -0,0 +1,79 @@
+// src/goals.js
+// Long-term goals that routines serve, e.g. "Pass the AWS exam by March" served by "AWS study" and "Practice tests":
+//   { id, name, targetDate, criteria, routineIds, createdAt, achievedAt? }
+//     targetDate  "YYYY-MM-DD" deadline, or null for an open-ended goal
+//     criteria    how success is judged, free text
+//     routineIds  the linked routines; a routine can serve several goals
+// Goals are stored under aeryth_goals, one record each (data/records.js). Their progress is the adherence of
+// the linked routines (stats.js) since the goal was set, and their context goes into the AI prompts and reminders.
+import { iso, parseIsoToLocalDate } from "./dates.js";
+import { routineStats } from "./stats.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function newGoal({ name, targetDate = null, criteria = "", routineIds = [] }, now = new Date()) {
+  return { id: crypto.randomUUID(), name: String(name || "").trim(), targetDate: targetDate || null, criteria: String(criteria || "").trim(), routineIds: [...new Set(routineIds)], createdAt: new Date(now).toISOString() };
+}
+
+// the goal's linked routines that still exist, in the goal's order
+export function linkedRoutines(goal, routines) {
+  const byId = new Map((routines || []).filter(r => !r.deletedAt).map(r => [r.id, r]));
+  return (goal?.routineIds || []).map(id => byId.get(id)).filter(Boolean);
+}
+
+// the open goals a routine serves
+export const goalsOf = (routineId, goals) => (goals || []).filter(g => !g.achievedAt && (g.routineIds || []).includes(routineId));
+
+// whole days from now until the deadline: 0 on the day itself, negative once it has passed; null without a deadline
+export function daysLeft(goal, now = new Date()) {
+  if (!goal?.targetDate) return null;
+  return Math.round((parseIsoToLocalDate(goal.targetDate) - parseIsoToLocalDate(iso(now))) / DAY_MS);
+}
+
+// "23 days left", "due today", "3 days overdue", "no deadline", "achieved"
+export function describeDeadline(goal, now = new Date()) {
+  if (goal?.achievedAt) return "achieved";
+  const left = daysLeft(goal, now);
+  if (left === null) return "no deadline";
+  if (left === 0) return "due today";
+  const n = Math.abs(left);
+  return left > 0 ? `${n} day${n === 1 ? "" : "s"} left` : `${n} day${n === 1 ? "" : "s"} overdue`;
+}
+
+// Adherence of the linked routines since the goal was set, sessions of all of them counted together:
+// { due, completed, skipped, missed, adherence (0..1, or null before anything was due), routines: [{ routine, stats }] }
+export function goalProgress(goal, routines, eventStatuses = {}, { vacation = null, now = new Date() } = {}) {
+  const since = goal?.createdAt ? iso(new Date(goal.createdAt)) : null;
+  const perRoutine = linkedRoutines(goal, routines).map(routine => {
+    // a routine linked to the goal only counts from the day the goal was set
+    const stats = routineStats(routine, eventStatuses?.[routine.id], { vacation, now, since });
+    return { routine, stats };
+  });
+  const sum = (field) => perRoutine.reduce((n, { stats }) => n + stats[field], 0);
+  const due = sum("due");
+  return {
+    due,
+    completed: sum("completed"),
+    skipped: sum("skipped"),
+    missed: sum("missed"),
+    adherence: due ? sum("completed") / due : null,
+    routines: perRoutine,
+  };
+}
+
+// one line per goal for reminders: "Pass the AWS exam · 23 days left"
+export const goalLine = (goal, now = new Date()) => `${goal.name} · ${describeDeadline(goal, now)}`;
+
+// The open goals as a text block for AI prompts, empty when there are none
+export function goalContext(goals, routines, now = new Date()) {
+  const open = (goals || []).filter(g => !g.achievedAt && g.name);
+  if (!open.length) return "";
+  return open.map(g => {
+    const parts = [`- ${g.name}`];
+    if (g.targetDate) parts.push(`by ${g.targetDate} (${describeDeadline(g, now)})`);
+    if (g.criteria) parts.push(`— success means: ${g.criteria}`);
+    const served = linkedRoutines(g, routines).map(r => r.name);
+    if (served.length) parts.push(`— routines: ${served.join(", ")}`);
+    return parts.join(" ");
+  }).join("\n");
+}
@@ -0,0 +1,315 @@
+// src/recurrence.js
+// When a routine happens. Every view and scheduler expands routines through occurrences(), so the
+// calendar, the sidebar, the popup, web notifications and the background alarms always agree.
+// Days are local "YYYY-MM-DD" strings (dates.js). Routines in the trash have no occurrences.
+//
+// Routine fields (an RRULE subset):
+//   startTime    "HH:MM" start and end of the main time slot; an end before the start crosses midnight,
+//   endTime      the session then belongs to the day it starts on
+//   slots        optional further slots of the same day [{ id, startTime, endTime }]
+//   days         "Mon".."Sun" a weekly routine happens on
+//   recurrence   optional { freq, interval, byMonthDay, start, until, count }
+//     freq         "daily" | "weekly" | "monthly"
+//     interval     every n days / weeks / months, counted from start
+//     byMonthDay   monthly days of the month; negative counts from the end (-1 = last day)
+//     start        first day the rule applies ("YYYY-MM-DD")
+//     until|count  last day, or number of occurrences; neither means forever
+//   overrides    optional { occurrenceKey: { cancelled: true } | { startTime, endTime } } for single occurrences;
+//                times on a day the rule skips add a one-off session
+//   pauses       optional [{ start, end }] day ranges (both inclusive) the routine is suspended for
+//   history      earlier versions { startTime, endTime, slots, days, recurrence }, kept when a change only applied
+//                from some day on; each version's recurrence ends the day before the next one starts
+// Routines without recurrence repeat every week on days, from the local day they were created on.
+// Paused days (the routine's pauses or settings.vacation) have no occurrences unless asked for with includePaused.
+//
+// Every slot of every day is one occurrence, identified by its occurrence key: the plain "YYYY-MM-DD" for the
+// main slot (so data from before slots existed still matches) and "YYYY-MM-DD#slotId" for the others.
+// Event statuses and overrides are keyed by it.
+import { iso, toDayIso, addDays, atTime, crossesMidnight, parseIsoToLocalDate, weekdayNameFromIso } from "./dates.js";
+
+export const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+// the order day pickers show them in
+export const WEEK_ORDER = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+export const FREQUENCIES = ["daily", "weekly", "monthly"];
+
+// local day the routine starts counting from, or null for routines without createdAt
+export function firstDayOf(routine) {
+  if (!routine?.createdAt) return null;
+  const created = new Date(routine.createdAt);
+  return isNaN(created.getTime()) ? null : iso(created);
+}
+
+/* ----------------------- Rules ----------------------- */
+// The routine's rule with every field filled in: { freq, interval, byDay, byMonthDay, start, until, count }
+export function recurrenceOf(routine) {
+  const rec = routine?.recurrence || {};
+  const freq = FREQUENCIES.includes(rec.freq) ? rec.freq : "weekly";
+  const start = rec.start || firstDayOf(routine);
+  let byMonthDay = (rec.byMonthDay || []).map(Number).filter(d => d && d >= -31 && d <= 31);
+  if (freq === "monthly" && !byMonthDay.length) byMonthDay = [start ? Number(start.slice(8, 10)) : 1];
+  return {
+    freq,
+    interval: Math.max(1, Math.floor(Number(rec.interval) || 1)),
+    byDay: Array.isArray(routine?.days) ? routine.days : [],
+    byMonthDay,
+    start,
+    until: rec.until || null,
+    count: rec.count > 0 ? Math.floor(rec.count) : null,
+  };
+}
+
+// Inverse of recurrenceOf(): the routine fields to store for a rule (weekly days stay in routine.days).
+export function recurrenceFields(rule) {
+  const freq = FREQUENCIES.includes(rule.freq) ? rule.freq : "weekly";
+  return {
+    days: freq === "weekly" ? [...(rule.byDay || [])] : [],
+    recurrence: {
+      freq,
+      interval: Math.max(1, Math.floor(Number(rule.interval) || 1)),
+      byMonthDay: freq === "monthly" ? [...(rule.byMonthDay || [])] : [],
+      start: rule.start || null,
+      until: rule.count ? null : rule.until || null,
+      count: rule.count > 0 ? Math.floor(rule.count) : null,
+    },
+  };
+}
+
+// whole days from a to b, immune to daylight-saving shifts
+function daysBetween(a, b) {
+  const [ay, am, ad] = a.split("-").map(Number);
+  const [by, bm, bd] = b.split("-").map(Number);
+  return Math.round((Date.UTC(by, bm - 1, bd) - Date.UTC(ay, am - 1, ad)) / 86400000);
+}
+
+const mondayOf = (day) => addDays(day, -((parseIsoToLocalDate(day).getDay() + 6) % 7));
+
+function matchesDay(rule, day) {
+  const { freq, interval, start } = rule;
+  if (freq === "daily") return !start || daysBetween(start, day) % interval === 0;
+
+  if (freq === "weekly") {
+    if (!rule.byDay.includes(weekdayNameFromIso(day))) return false;
+    return !start || interval === 1 || (daysBetween(mondayOf(start), mondayOf(day)) / 7) % interval === 0;
+  }
+
+  const d = parseIsoToLocalDate(day);
+  const monthLength = new Date(d.getFullYear(), d.getMonth() + 1, 0).getDate();
+  const dates = rule.byMonthDay.map(n => (n > 0 ? n : monthLength + n + 1));
+  if (!dates.includes(d.getDate())) return false;
+  if (!start || interval === 1) return true;
+  const months = (d.getFullYear() - Number(start.slice(0, 4))) * 12 + d.getMonth() - (Number(start.slice(5, 7)) - 1);
+  return months % interval === 0;
+}
+
+/* ----------------------- Slots ----------------------- */
+export const occurrenceKey = (dateIso, slotId = null) => (slotId ? `${dateIso}#${slotId}` : dateIso);
+
+export function parseOccurrenceKey(key) {
+  const [dateIso, slotId = null] = String(key).split("#");
+  return { dateIso, slotId };
+}
+
+// every slot of one version of the routine, the main one (id null) first
+export function slotsOf(version) {
+  const main = version?.startTime ? [{ id: null, startTime: version.startTime, endTime: version.endTime || version.startTime }] : [];
+  const more = (version?.slots || [])
+    .filter(slot => slot?.id && slot.startTime)
+    .map(slot => ({ id: slot.id, startTime: slot.startTime, endTime: slot.endTime || slot.startTime }));
+  return [...main, ...more];
+}
+
+/* ----------------------- Pauses ----------------------- */
+// "YYYY-MM-DD" inside a { start, end } range, both inclusive; a range without an end runs on indefinitely
+export const inRange = (range, day) => !!range?.start && day >= range.start && (!range.end || day <= range.end);
+
+// paused by one of the routine's own ranges or by the global vacation range
+export const isPaused = (routine, day, vacation = null) =>
+  inRange(vacation, day) || (routine?.pauses || []).some(p => inRange(p, day));
+
+/* ----------------------- Expansion ----------------------- */
+function occurrenceOn(routineId, dateIso, { id = null, startTime, endTime }) {
+  endTime = endTime || startTime;
+  return {
+    routineId,
+    dateIso,
+    slotId: id,
+    key: occurrenceKey(dateIso, id),
+    startTime,
+    endTime,
+    start: atTime(dateIso, startTime).getTime(),
+    // an overnight session (end before start) belongs to the day it starts on and ends on the next one
+    end: atTime(crossesMidnight(startTime, endTime) ? addDays(dateIso, 1) : dateIso, endTime).getTime(),
+  };
+}
+
+// history entries from before slots existed have none besides the main one
+const versionsOf = (routine) => [...(routine.history || []).map(v => ({ ...routine, slots: [], ...v })), routine];
+
+// days one version of the routine falls on, before overrides
+function ruleDays(version, from, to) {
+  if (!slotsOf(version).length) return [];
+  const rule = recurrenceOf(version);
+  if (rule.freq === "weekly" && !rule.byDay.length) return [];
+
+  let last = to;
+  if (rule.until && rule.until < last) last = rule.until;
+  // with a count, occurrences are numbered from the start, so walk from there
+  let day = rule.count && rule.start ? rule.start : from;
+  if (rule.start && day < rule.start) day = rule.start;
+
+  const days = [];
+  let seen = 0;
+  for (; day <= last; day = addDays(day, 1)) {
+    if (!matchesDay(rule, day)) continue;
+    if (rule.count && ++seen > rule.count) break;
+    if (day >= from) days.push(day);
+  }
+  return days;
+}
+
+// first day from day on the version's rule falls on, overrides and pauses aside; null when the rule has ended
+function nextRuleDay(version, day) {
+  return ruleDays(version, day, addDays(day, 366 * recurrenceOf(version).interval))[0] || null;
+}
+
+// Occurrences of one routine between two days, both inclusive (Dates or "YYYY-MM-DD"), in time order:
+//   [{ routineId, dateIso, slotId, key, startTime, endTime, start, end, moved?, extra?, paused? }]
+// start/end are local epoch millis; key is the occurrence key (see above).
+// options: vacation (settings.vacation), includePaused to keep paused days, flagged paused: true
+export function occurrences(routine, fromDate, toDate, { vacation = null, includePaused = false } = {}) {
+  if (!routine || routine.deletedAt) return [];
+  const from = toDayIso(fromDate);
+  const to = toDayIso(toDate);
+
+  const byKey = new Map();
+  versionsOf(routine).forEach(version => {
+    const slots = slotsOf(version);
+    ruleDays(version, from, to).forEach(day => slots.forEach(slot => byKey.set(occurrenceKey(day, slot.id), occurrenceOn(routine.id, day, slot))));
+  });
+
+  Object.entries(routine.overrides || {}).forEach(([key, override]) => {
+    const { dateIso: day, slotId } = parseOccurrenceKey(key);
+    if (day < from || day > to || !override) return;
+    if (override.cancelled) { byKey.delete(key); return; }
+    const base = byKey.get(key);
+    const startTime = override.startTime || base?.startTime;
+    if (!startTime) return;
+    const occ = occurrenceOn(routine.id, day, { id: slotId, startTime, endTime: override.endTime || base?.endTime });
+    byKey.set(key, { ...occ, [base ? "moved" : "extra"]: true });
+  });
+
+  const list = [];
+  byKey.forEach(occ => {
+    if (!isPaused(routine, occ.dateIso, vacation)) list.push(occ);
+    else if (includePaused) list.push({ ...occ, paused: true });
+  });
+  return list.sort((a, b) => a.start - b.start);
+}
+
+// Occurrences of several routines, ordered by start time
+export const occurrencesOf = (routines, fromDate, toDate, options) =>
+  (routines || []).flatMap(r => occurrences(r, fromDate, toDate, options)).sort((a, b) => a.start - b.start);
+
+/* ----------------------- Editing ----------------------- */
+// What a change made on one day applies to
+export const EDIT_SCOPES = ["occurrence", "future", "series"];
+// fields that belong to a version of the schedule (see history above); the rest describe the routine itself
+const VERSION_FIELDS = ["startTime", "endTime", "slots", "days", "recurrence"];
+const TIME_FIELDS = ["startTime", "endTime"];
+
+const pick = (obj, keys) => Object.fromEntries(keys.filter(k => k in obj).map(k => [k, obj[k]]));
+const omit = (obj, keys) => Object.fromEntries(Object.entries(obj).filter(([k]) => !keys.includes(k)));
+
+// The routine fields to store for setting (or, with null, clearing) the override of one occurrence
+export function withOverride(routine, key, override) {
+  const overrides = { ...(routine.overrides || {}) };
+  if (override) overrides[key] = override;
+  else delete overrides[key];
+  return { overrides };
+}
+
+// Schedule fields edited on one slot: times of the main slot are startTime/endTime, any other slot's go into slots.
+function forSlot(version, slotId, schedule) {
+  const times = pick(schedule, TIME_FIELDS);
+  if (!slotId || !Object.keys(times).length) return schedule;
+  return { ...omit(schedule, TIME_FIELDS), slots: (version.slots || []).map(slot => (slot.id === slotId ? { ...slot, ...times } : slot)) };
+}
+
+// The routine fields to store for a patch made on one occurrence (its key), applied to the given scope:
+//   occurrence  only that occurrence's times change (an override); the other fields still apply to the routine
+//   future      the schedule changes from the rule's first session on or after that day; the version before it
+//               moves to history
+//   series      every occurrence, past versions included
+// Times apply to the edited occurrence's slot. An edit to the whole schedule replaces the occurrence's own
+// override, so the change shows where it was made.
+export function editRoutine(routine, key, patch, scope = "series") {
+  const { dateIso, slotId } = parseOccurrenceKey(key);
+  const schedule = pick(patch, VERSION_FIELDS);
+  const rest = omit(patch, VERSION_FIELDS);
+
+  if (scope === "occurrence") {
+    if (!schedule.startTime && !schedule.endTime) return rest;
+    const occ = occurrences(routine, dateIso, dateIso, { includePaused: true }).find(o => o.key === key);
+    const slot = slotsOf(routine).find(s => s.id === slotId);
+    const times = {
+      startTime: schedule.startTime || occ?.startTime || slot?.startTime,
+      endTime: schedule.endTime || occ?.endTime || slot?.endTime,
+    };
+    return { ...rest, ...withOverride(routine, key, times) };
+  }
+
+  const { overrides } = withOverride(routine, key, null);
+  const changed = forSlot(routine, slotId, schedule);
+  const rule = recurrenceOf(routine);
+  // a future edit splits at the rule's first session from dateIso on, so an interval keeps counting from a real session
+  const split = scope === "future" ? nextRuleDay(routine, dateIso) || dateIso : dateIso;
+  const before = rule.start && rule.start < split ? ruleDays(routine, rule.start, addDays(split, -1)).length : 0;
+
+  if (scope === "series" || !before) {
+    const history = (routine.history || []).map(v => ({ ...v, ...forSlot(v, slotId, pick(schedule, [...TIME_FIELDS, "days"])) }));
+    return { ...rest, ...changed, overrides, ...(history.length ? { history } : {}) };
+  }
+
+  // future: the current version ends the day before the split, the edited one starts on it (or later, when the
+  // edit moved the rule's start past it)
+  const past = {
+    ...pick(routine, ["startTime", "endTime", "days"]),
+    slots: routine.slots || [],
+    recurrence: recurrenceFields({ ...rule, until: addDays(split, -1), count: rule.count ? before : null }).recurrence,
+  };
+  const next = recurrenceOf({ ...routine, ...changed });
+  return {
+    ...rest,
+    ...changed,
+    ...recurrenceFields({ ...next, start: next.start > split ? next.start : split, count: rule.count ? Math.max(1, rule.count - before) : null }),
+    overrides,
+    history: [...(routine.history || []), past],
+  };
+}
+
+// true when the patch moves the routine's sessions: other times, slots, days or rule
+const scheduleOf = (routine) => JSON.stringify([slotsOf(routine), recurrenceFields(recurrenceOf(routine))]);
+export const changesSchedule = (routine, patch) => scheduleOf(routine) !== scheduleOf({ ...routine, ...patch });
+
+// true when the patch changes the rule itself (days, frequency, interval, start, end), not just the times
+const ruleOf = (routine) => JSON.stringify(recurrenceFields(recurrenceOf(routine)));
+export const changesRule = (routine, patch) => ruleOf(routine) !== ruleOf({ ...routine, ...patch });
+
+/* ----------------------- Display ----------------------- */
+const monthDayLabel = (n) => (n === -1 ? "the last day" : n < 0 ? `day ${-n} from the end` : `day ${n}`);
+
+// "Every 2 weeks on Mon, Thu, until 2026-03-01"
+export function describeRecurrence(routine) {
+  const rule = recurrenceOf(routine);
+  const unit = { daily: "day", weekly: "week", monthly: "month" }[rule.freq];
+  let text = rule.interval === 1
+    ? { daily: "Every day", weekly: "Weekly", monthly: "Monthly" }[rule.freq]
+    : `Every ${rule.interval} ${unit}s`;
+  if (rule.freq === "weekly") {
+    text += rule.byDay.length ? ` on ${WEEK_ORDER.filter(d => rule.byDay.includes(d)).join(", ")}` : " (no days picked)";
+  }
+  if (rule.freq === "monthly") text += ` on ${rule.byMonthDay.map(monthDayLabel).join(", ")}`;
+  if (rule.count) text += `, ${rule.count} times`;
+  else if (rule.until) text += `, until ${rule.until}`;
+  return text;
+}
@@ -0,0 +1,70 @@
+// src/schema.js
+// Versioned shape of the stored data. The user document carries schemaVersion; storage.js runs
+// migrateData() on every load and writes the upgraded records back. A client that finds a newer
+// schemaVersion than its own SCHEMA_VERSION keeps edits on the device instead of overwriting data
+// it does not understand.
+//
+// Versions:
+//   1  everything written before schemaVersion existed
+//   2  settings.aerythTone is one of TONES, routine createdAt is an ISO string
+
+import { DEFAULT_TONE, normalizeTone } from "./tones.js";
+import { WEEKDAYS } from "./recurrence.js";
+
+export const SCHEMA_VERSION = 2;
+
+// vacation: { start, end } days every routine is paused for (recurrence.js), or null
+// tagColors: { tag: color } calendar color of the routines in that category (tags.js)
+export const DEFAULT_SETTINGS = { aerythTone: DEFAULT_TONE, userInfo: "", routineCriteria: "", vacation: null, tagColors: {} };
+
+// Date, Firestore Timestamp (or its { seconds, nanoseconds } JSON form), epoch millis or date string -> ISO string
+export function toIsoTimestamp(value) {
+  if (value === undefined || value === null || value === "") return null;
+  let date;
+  if (typeof value.toDate === "function") date = value.toDate();
+  else if (typeof value === "object" && "seconds" in value) date = new Date(value.seconds * 1000 + Math.round((value.nanoseconds || 0) / 1e6));
+  else date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+const TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+const isTime = (value) => typeof value === "string" && TIME.test(value);
+const isOptionalTime = (value) => value === undefined || value === null || value === "" || isTime(value);
+const isPlainObject = (value) => !!value && typeof value === "object" && !Array.isArray(value);
+
+// true for a routine of the shape occurrences() expands (recurrence.js): an id, a name, "HH:MM" times for
+// every slot, known weekdays and object rules and overrides. For routines that come from outside the app,
+// like the web app's messages to the extension's worker.
+export function isRoutineShape(routine) {
+  if (!isPlainObject(routine) || typeof routine.id !== "string" || !routine.id || typeof routine.name !== "string") return false;
+  if (!isTime(routine.startTime) || !isOptionalTime(routine.endTime)) return false;
+  const { slots, days, recurrence, overrides } = routine;
+  if (slots != null && !(Array.isArray(slots) && slots.every(s => isPlainObject(s) && typeof s.id === "string" && isTime(s.startTime) && isOptionalTime(s.endTime)))) return false;
+  if (days != null && !(Array.isArray(days) && days.every(d => WEEKDAYS.includes(d)))) return false;
+  return (recurrence == null || isPlainObject(recurrence)) && (overrides == null || isPlainObject(overrides));
+}
+
+// MIGRATIONS[n] turns version n-1 data into version n. Data is { key: value } as handed to the app.
+const MIGRATIONS = {
+  2: (data) => {
+    const next = { ...data };
+    if (next.aeryth_settings) next.aeryth_settings = { ...next.aeryth_settings, aerythTone: normalizeTone(next.aeryth_settings.aerythTone) };
+    if (Array.isArray(next.aeryth_routines)) next.aeryth_routines = next.aeryth_routines.map(r => (r.createdAt === undefined ? r : { ...r, createdAt: toIsoTimestamp(r.createdAt) }));
+    return next;
+  },
+};
+
+export const schemaVersionOf = (data) => data?.schemaVersion ?? 1;
+export const isNewerSchema = (data) => schemaVersionOf(data) > SCHEMA_VERSION;
+
+// Returns the same object when there is nothing to migrate (current or newer data).
+export function migrateData(data) {
+  const from = schemaVersionOf(data);
+  if (from >= SCHEMA_VERSION) return data;
+  let next = data;
+  for (let v = from + 1; v <= SCHEMA_VERSION; v++) {
+    next = MIGRATIONS[v](next);
+    console.log(`🔧 Migrated stored data to schema v${v}`);
+  }
+  return { ...next, schemaVersion: SCHEMA_VERSION };
+}
@@ -0,0 +1,40 @@
+// src/stats.js
+// Adherence and streaks of a routine, computed from its occurrences (recurrence.js) and event statuses.
+// Every slot is a session of its own. Only sessions the routine was due count: paused days (its pauses or
+// settings.vacation) and cancelled occurrences are left out, so they neither break a streak nor lower adherence.
+import { iso, addDays } from "./dates.js";
+import { occurrences, firstDayOf, recurrenceOf } from "./recurrence.js";
+import { statusOf } from "./statusMerge.js";
+
+// how far back the numbers look
+export const STATS_WINDOW_DAYS = 365;
+const FINAL = ["completed", "skipped"];
+
+// { due, completed, skipped, missed, adherence (0..1, or null before anything was due), streak }
+// An occurrence is due once its day has passed, or earlier when it already has a completed/skipped status.
+// since ("YYYY-MM-DD") leaves out the days before it, e.g. those before a goal was set (goals.js).
+export function routineStats(routine, statuses = {}, { vacation = null, now = new Date(), since = null } = {}) {
+  const today = iso(now);
+  const windowStart = addDays(today, -(STATS_WINDOW_DAYS - 1));
+  const first = recurrenceOf(routine).start || firstDayOf(routine) || windowStart;
+  const from = [first, windowStart, since].filter(Boolean).reduce((a, b) => (b > a ? b : a));
+
+  const due = occurrences(routine, from, today, { vacation })
+    .map(occ => ({ dateIso: occ.dateIso, status: statusOf(statuses?.[occ.key]) }))
+    .filter(({ dateIso, status }) => dateIso < today || FINAL.includes(status))
+    .map(({ status }) => status);
+
+  const completed = due.filter(s => s === "completed").length;
+  const skipped = due.filter(s => s === "skipped").length;
+  let streak = 0;
+  for (let i = due.length - 1; i >= 0 && due[i] === "completed"; i--) streak++;
+
+  return {
+    due: due.length,
+    completed,
+    skipped,
+    missed: due.length - completed - skipped,
+    adherence: due.length ? completed / due.length : null,
+    streak,
+  };
+}
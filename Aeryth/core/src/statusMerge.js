@@ -0,0 +1,61 @@
+// src/statusMerge.js
+// Event statuses are stored per occurrence as { status, updatedAt, by } records:
+//   event_statuses/{routineId} = { "2025-01-31": { status: "completed", updatedAt: 1738300000000, by: "web" } }
+// Every writer (calendar, notification buttons, popup) stamps its record, and copies are combined
+// field by field with mergeStatusRecords(), so two devices can never silently overwrite each other.
+//
+// Merge rules, in order:
+//   1. an automatic transition (auto: true, e.g. the calendar's in-progress tick) never replaces a
+//      completed/skipped status
+//   2. the newer updatedAt wins (last writer wins)
+//   3. on equal timestamps the further-along status wins
+//      (completed > skipped > in-progress > snoozed > cancelled > upcoming)
+//   4. then the writer id, compared as strings, so every device picks the same winner
+
+// "cancelled" marks an occurrence called off for that day (an override in recurrence.js)
+export const STATUS_RANK = { upcoming: 1, cancelled: 2, snoozed: 3, "in-progress": 4, skipped: 5, completed: 6 };
+const FINAL_STATUSES = ["completed", "skipped"];
+
+// Legacy entries are bare status strings; they lose against any timestamped record.
+export function toStatusRecord(entry) {
+  if (!entry) return null;
+  if (typeof entry === "string") return { status: entry, updatedAt: 0, by: "" };
+  return entry;
+}
+
+export function statusOf(entry) {
+  return toStatusRecord(entry)?.status;
+}
+
+// true for a { status, updatedAt, by } record, e.g. one the web app sends the extension's worker
+export const isStatusRecord = (record) =>
+  !!record && typeof record === "object" && !!STATUS_RANK[record.status] && Number.isFinite(record.updatedAt);
+
+export function makeStatusRecord(status, by, extra = {}) {
+  return { ...extra, status, updatedAt: Date.now(), by };
+}
+
+export function mergeStatusRecords(a, b) {
+  const ra = toStatusRecord(a);
+  const rb = toStatusRecord(b);
+  if (!ra) return rb;
+  if (!rb) return ra;
+
+  const aFinal = FINAL_STATUSES.includes(ra.status) && !ra.auto;
+  const bFinal = FINAL_STATUSES.includes(rb.status) && !rb.auto;
+  if (rb.auto && aFinal) return ra;
+  if (ra.auto && bFinal) return rb;
+
+  if ((ra.updatedAt || 0) !== (rb.updatedAt || 0)) return (ra.updatedAt || 0) > (rb.updatedAt || 0) ? ra : rb;
+  const rankA = STATUS_RANK[ra.status] || 0;
+  const rankB = STATUS_RANK[rb.status] || 0;
+  if (rankA !== rankB) return rankA > rankB ? ra : rb;
+  return String(ra.by || "") >= String(rb.by || "") ? ra : rb;
+}
+
+// Merge two { occurrenceKey: record } maps (one routine's statuses).
+export function mergeStatusMaps(a = {}, b = {}) {
+  const merged = { ...(a || {}) };
+  Object.entries(b || {}).forEach(([k, rec]) => { merged[k] = mergeStatusRecords(merged[k], rec); });
+  return merged;
+}
@@ -0,0 +1,123 @@
+// src/suggestions.js
+// Times to suggest for a routine being set up, for its duration and days. Candidates that overlap another
+// routine (conflicts.js) are dropped; the rest are ranked by how often the user completed sessions at that
+// time of day over the past year (all routines, from event statuses), minus crowding by other sessions close
+// before or after, which weighs more on the weekdays that are already heavily booked.
+import { iso, addDays, addMinutesToTimeStr, spanMinutes, weekdayNameFromIso } from "./dates.js";
+import { occurrences, occurrencesOf } from "./recurrence.js";
+import { statusOf } from "./statusMerge.js";
+import { conflictsOf, CONFLICT_WINDOW_DAYS } from "./conflicts.js";
+import { STATS_WINDOW_DAYS } from "./stats.js";
+
+// candidate starts, every STEP minutes, for sessions inside the waking day
+const FIRST_START = 6 * 60;
+const LAST_END = 23 * 60;
+const STEP = 30;
+// another session closer than this before or after a candidate crowds it
+const BUFFER = 60;
+// sessions of one part of the day needed before its completion rate is trusted
+export const MIN_HISTORY = 3;
+// suggested starts lie at least this far apart, so the suggestions are real alternatives
+export const MIN_APART = 60;
+
+const PARTS_OF_DAY = [
+  { name: "morning", from: 5 * 60, to: 12 * 60 },
+  { name: "afternoon", from: 12 * 60, to: 17 * 60 },
+  { name: "evening", from: 17 * 60, to: 22 * 60 },
+];
+export const partOfDay = (minutes) => PARTS_OF_DAY.find(p => minutes >= p.from && minutes < p.to)?.name || "night";
+
+const fmtTime = (minutes) => addMinutesToTimeStr("00:00", minutes);
+const fmtDuration = (minutes) => (minutes >= 60 ? `${Math.floor(minutes / 60)}h${minutes % 60 ? ` ${minutes % 60}m` : ""}` : `${minutes}m`);
+const minuteOfDay = (ts) => { const d = new Date(ts); return d.getHours() * 60 + d.getMinutes(); };
+
+// { part: { done, due } } over every routine's past sessions; a session counts as done when completed
+function completionByPart(routines, statuses, today) {
+  const from = addDays(today, -STATS_WINDOW_DAYS);
+  const byPart = {};
+  occurrencesOf(routines, from, addDays(today, -1)).forEach(occ => {
+    const part = partOfDay(spanMinutes(occ.startTime)[0]);
+    byPart[part] = byPart[part] || { done: 0, due: 0 };
+    byPart[part].due++;
+    if (statusOf(statuses?.[occ.routineId]?.[occ.key]) === "completed") byPart[part].done++;
+  });
+  return byPart;
+}
+
+// average booked minutes per weekday ("Mon".."Sun") over the occurrences given
+function loadByWeekday(occs) {
+  const minutes = {};
+  const days = {};
+  occs.forEach(occ => {
+    const wd = weekdayNameFromIso(occ.dateIso);
+    minutes[wd] = (minutes[wd] || 0) + (occ.end - occ.start) / 60000;
+    (days[wd] = days[wd] || new Set()).add(occ.dateIso);
+  });
+  return Object.fromEntries(Object.keys(minutes).map(wd => [wd, minutes[wd] / days[wd].size]));
+}
+
+// Up to limit suggestions for draft's main slot (its duration, its recurrence), best first:
+//   [{ startTime, endTime, score, reasons: [string], explanation }]
+// Empty when the draft has no days yet or nothing fits.
+export function suggestTimes(draft, routines = [], statuses = {}, { vacation = null, now = new Date(), limit = 3 } = {}) {
+  const today = iso(now);
+  const from = draft.recurrence?.start && draft.recurrence.start > today ? draft.recurrence.start : today;
+  const [s, e] = spanMinutes(draft.startTime || "09:00", draft.endTime);
+  const duration = Math.max(e - s, STEP);
+  const base = { ...draft, slots: [], overrides: {} };
+
+  const days = occurrences({ ...base, startTime: fmtTime(s), endTime: fmtTime(s + duration) }, from, addDays(from, CONFLICT_WINDOW_DAYS - 1), { vacation });
+  if (!days.length) return [];
+  const weekdays = [...new Set(days.map(d => weekdayNameFromIso(d.dateIso)))];
+
+  const others = routines.filter(r => r.id !== draft.id);
+  const theirs = occurrencesOf(others, from, addDays(from, CONFLICT_WINDOW_DAYS - 1), { vacation });
+  const load = loadByWeekday(theirs);
+  const busiest = weekdays.reduce((a, b) => ((load[b] || 0) > (load[a] || 0) ? b : a));
+  const byPart = completionByPart(others, statuses, today);
+  const overall = Object.values(byPart).reduce((acc, p) => ({ done: acc.done + p.done, due: acc.due + p.due }), { done: 0, due: 0 });
+  const overallRate = overall.due >= MIN_HISTORY ? overall.done / overall.due : 0.5;
+
+  const candidates = [];
+  for (let start = FIRST_START; start + duration <= LAST_END; start += STEP) {
+    const candidate = { ...base, startTime: fmtTime(start), endTime: fmtTime(start + duration) };
+    if (conflictsOf(candidate, others, { from, vacation }).length) continue;
+
+    const part = partOfDay(start);
+    const history = byPart[part];
+    const rate = history?.due >= MIN_HISTORY ? history.done / history.due : null;
+
+    // other sessions within BUFFER of the candidate on its weekdays, weighted by how loaded that weekday is
+    const crowdedDays = new Set();
+    let crowding = 0;
+    theirs.forEach(occ => {
+      const wd = weekdayNameFromIso(occ.dateIso);
+      if (!weekdays.includes(wd)) return;
+      const os = minuteOfDay(occ.start);
+      const oe = os + (occ.end - occ.start) / 60000;
+      if (os < start + duration + BUFFER && start - BUFFER < oe) {
+        crowding += 1 + (load[wd] || 0) / 240;
+        crowdedDays.add(wd);
+      }
+    });
+
+    const reasons = [];
+    if (rate !== null) reasons.push(`you complete ${Math.round(rate * 100)}% of ${part} sessions`);
+    else reasons.push(`no ${part} history yet`);
+    if (!crowdedDays.size) reasons.push(`nothing else within ${BUFFER / 60}h before or after`);
+    else reasons.push(`close to other sessions on ${[...crowdedDays].join(", ")}`);
+    if (!crowdedDays.has(busiest) && (load[busiest] || 0) > 0) reasons.push(`keeps clear of ${busiest}, your busiest day (${fmtDuration(Math.round(load[busiest]))} booked)`);
+
+    const score = (rate ?? overallRate) - 0.1 * crowding / days.length;
+    candidates.push({ start, startTime: candidate.startTime, endTime: candidate.endTime, score, reasons });
+  }
+
+  const picked = [];
+  candidates.sort((a, b) => b.score - a.score || a.start - b.start).forEach(c => {
+    if (picked.length < limit && picked.every(p => Math.abs(p.start - c.start) >= MIN_APART)) picked.push(c);
+  });
+  return picked.map(({ startTime, endTime, score, reasons }) => ({
+    startTime, endTime, score, reasons,
+    explanation: reasons.join("; ").replace(/^./, ch => ch.toUpperCase()),
+  }));
+}
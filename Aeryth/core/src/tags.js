@@ -0,0 +1,59 @@
+// src/tags.js
+// Tags group routines ("Health", "Learning", "Work"). routine.tags is a list of tag names, optional; the first
+// one is the routine's category. The calendar colors a routine by its category when settings.tagColors has a
+// color for it, and the stats can be grouped by category or by tag.
+import { routineStats } from "./stats.js";
+
+export const TAG_COLORS = ["violet", "green", "rose", "amber"];
+export const UNCATEGORIZED = "Uncategorized";
+export const GROUP_BY = ["category", "tag", "routine"];
+
+export const normalizeTag = (name) => String(name || "").trim().replace(/\s+/g, " ").slice(0, 30);
+
+export const tagsOf = (routine) => [...new Set((routine?.tags || []).map(normalizeTag).filter(Boolean))];
+export const categoryOf = (routine) => tagsOf(routine)[0] || null;
+
+// every tag in use, alphabetically
+export const allTags = (routines) =>
+  [...new Set((routines || []).flatMap(tagsOf))].sort((a, b) => a.localeCompare(b));
+
+// the spelling already in use for name, so "health" joins "Health" instead of starting a tag of its own
+export function canonicalTag(name, known = []) {
+  const tag = normalizeTag(name);
+  return known.find(t => t.toLowerCase() === tag.toLowerCase()) || tag;
+}
+
+// { tags } of the routine with from renamed to to, or removed when to is empty
+export function withTagRenamed(routine, from, to) {
+  const next = tagsOf(routine).map(t => (t === from ? normalizeTag(to) : t)).filter(Boolean);
+  return { tags: [...new Set(next)] };
+}
+
+// color of the routine on the calendar
+export const colorOf = (routine, tagColors = {}) => tagColors?.[categoryOf(routine)] || routine?.color || "violet";
+
+// Completion stats (stats.js) summed per group, alphabetically with UNCATEGORIZED last:
+//   [{ group, routines: [name], due, completed, skipped, missed, adherence }]
+// by "category" puts each routine in one group, by "tag" in every tag it has, by "routine" in its own.
+export function statsByGroup(routines, eventStatuses = {}, { by = "category", vacation = null, now = new Date() } = {}) {
+  const groups = new Map();
+  (routines || []).forEach(r => {
+    const stats = routineStats(r, eventStatuses?.[r.id], { vacation, now });
+    // [key, group name]; routines are kept apart by id even when their names match
+    const keys = by === "routine" ? [[r.id, r.name || "Routine"]]
+      : by === "tag" ? (tagsOf(r).length ? tagsOf(r) : [UNCATEGORIZED]).map(t => [t, t])
+      : [[categoryOf(r) || UNCATEGORIZED, categoryOf(r) || UNCATEGORIZED]];
+    keys.forEach(([key, group]) => {
+      const g = groups.get(key) || { group, routines: [], due: 0, completed: 0, skipped: 0, missed: 0 };
+      g.routines.push(r.name || "Routine");
+      g.due += stats.due;
+      g.completed += stats.completed;
+      g.skipped += stats.skipped;
+      g.missed += stats.missed;
+      groups.set(key, g);
+    });
+  });
+  return [...groups.values()]
+    .map(g => ({ ...g, adherence: g.due ? g.completed / g.due : null }))
+    .sort((a, b) => (a.group === UNCATEGORIZED) - (b.group === UNCATEGORIZED) || a.group.localeCompare(b.group));
+}
@@ -0,0 +1,57 @@
+// src/targets.js
+// Optional measurable target of a routine, and the amounts logged against it:
+//   routine.target = { amount, unit, per }   e.g. { amount: 30, unit: "minutes", per: "day" }
+//     unit   one of TARGET_UNITS or any custom word ("km", "problems")
+//     per    "day" or "week": the sessions of a day, or of a Monday–Sunday week, add up to amount
+// The logged amount travels on the occurrence's status record: { status: "completed", amount: 25, ... }
+// (statusMerge.js), so it syncs and merges together with the status it was logged with.
+import { iso, addDays, parseIsoToLocalDate } from "./dates.js";
+import { toStatusRecord } from "./statusMerge.js";
+import { parseOccurrenceKey } from "./recurrence.js";
+
+export const TARGET_UNITS = ["minutes", "pages", "reps"];
+export const TARGET_PERIODS = ["day", "week"];
+
+// A usable target or null; anything without a positive amount and a unit means "no target"
+export function targetOf(routine) {
+  const t = routine?.target;
+  const amount = Number(t?.amount);
+  const unit = String(t?.unit || "").trim();
+  if (!(amount > 0) || !unit) return null;
+  return { amount, unit, per: TARGET_PERIODS.includes(t.per) ? t.per : "day" };
+}
+
+export function loggedAmount(entry) {
+  const amount = Number(toStatusRecord(entry)?.amount);
+  return amount > 0 ? amount : 0;
+}
+
+// "30 minutes", "1 page"
+export const formatAmount = (amount, unit) =>
+  `${amount} ${amount === 1 && unit.endsWith("s") ? unit.slice(0, -1) : unit}`;
+
+// days of the period (target.per) that contains day, as [first, last]
+export function periodOf(per, day) {
+  if (per !== "week") return [day, day];
+  const monday = addDays(day, -((parseIsoToLocalDate(day).getDay() + 6) % 7));
+  return [monday, addDays(monday, 6)];
+}
+
+// Progress of the period containing now, or null for routines without a target:
+//   { goal, unit, per, from, to, logged, ratio, sessions }   ratio is logged / goal, not capped at 1
+export function targetProgress(routine, statuses = {}, { now = new Date() } = {}) {
+  const target = targetOf(routine);
+  if (!target) return null;
+  const [from, to] = periodOf(target.per, iso(now));
+  let logged = 0;
+  let sessions = 0;
+  Object.entries(statuses || {}).forEach(([key, entry]) => {
+    const day = parseOccurrenceKey(key).dateIso;
+    if (day < from || day > to) return;
+    const amount = loggedAmount(entry);
+    if (!amount) return;
+    logged += amount;
+    sessions++;
+  });
+  return { goal: target.amount, unit: target.unit, per: target.per, from, to, logged, ratio: logged / target.amount, sessions };
+}
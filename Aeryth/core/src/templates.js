@@ -0,0 +1,100 @@
+// src/templates.js
+// Routine templates: what it takes to set up the same kind of routine again, without the dates, history
+// and per-day changes of the routine it came from.
+//   { id, name, description, tags, startTime, endTime, slots, days, recurrence, target, checklist, checklistCompletes,
+//     color, createdAt, builtIn? }
+//     slots       [{ startTime, endTime }]; routines made from the template get fresh slot ids
+//     recurrence  { freq, interval, byMonthDay, count } (recurrence.js) without start or until; a routine made
+//                 from the template starts on the day it is created
+//     target      { amount, unit, per } or null (targets.js)
+//     checklist   [{ text }] (checklists.js); routines made from the template get fresh item ids
+// Saved templates are stored under aeryth_templates, one record each (data/records.js).
+// STARTER_TEMPLATES ship with the app and cannot be deleted.
+import { iso } from "./dates.js";
+import { recurrenceOf, recurrenceFields } from "./recurrence.js";
+import { targetOf } from "./targets.js";
+import { tagsOf } from "./tags.js";
+import { checklistOf, newChecklistItem } from "./checklists.js";
+
+const ALL_DAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+const starter = (id, fields) => ({
+  id: `starter-${id}`, description: "", tags: [], slots: [], days: [], target: null, checklist: [], checklistCompletes: false, color: "violet", createdAt: null, builtIn: true,
+  ...fields,
+  recurrence: { freq: "weekly", interval: 1, byMonthDay: [], count: null, ...fields.recurrence },
+});
+
+export const STARTER_TEMPLATES = [
+  starter("reading", {
+    name: "Reading", description: "Read a little every evening", tags: ["Learning"], startTime: "21:00", endTime: "21:30",
+    days: ALL_DAYS, target: { amount: 20, unit: "pages", per: "day" }, color: "amber",
+  }),
+  starter("gym", {
+    name: "Gym", description: "Strength training", tags: ["Health"], startTime: "07:00", endTime: "08:00",
+    days: ["Mon", "Wed", "Fri"], color: "rose",
+    checklist: [{ text: "Warm up" }, { text: "3 sets" }, { text: "Stretch" }], checklistCompletes: true,
+  }),
+  starter("language", {
+    name: "Language practice", description: "Vocabulary and listening", tags: ["Learning"], startTime: "08:30", endTime: "08:45",
+    days: ALL_DAYS, target: { amount: 15, unit: "minutes", per: "day" }, color: "green",
+  }),
+  starter("deep-work", {
+    name: "Deep work", description: "Focused work without notifications", tags: ["Work"], startTime: "09:00", endTime: "11:00",
+    days: ["Mon", "Tue", "Wed", "Thu", "Fri"],
+  }),
+  starter("review", {
+    name: "Monthly review", description: "Look back on the month and plan the next one", startTime: "18:00", endTime: "19:00",
+    recurrence: { freq: "monthly", byMonthDay: [-1] },
+  }),
+];
+
+// A template of the routine as it is scheduled now
+export function templateFromRoutine(routine, { id = crypto.randomUUID(), now = new Date() } = {}) {
+  const { freq, interval, byDay, byMonthDay, count } = recurrenceOf(routine);
+  return {
+    id,
+    name: routine.name || "Routine",
+    description: routine.description || "",
+    tags: tagsOf(routine),
+    startTime: routine.startTime,
+    endTime: routine.endTime || routine.startTime,
+    slots: (routine.slots || []).map(({ startTime, endTime }) => ({ startTime, endTime: endTime || startTime })),
+    days: freq === "weekly" ? byDay : [],
+    recurrence: { freq, interval, byMonthDay: freq === "monthly" ? byMonthDay : [], count },
+    target: targetOf(routine),
+    checklist: checklistOf(routine).map(({ text }) => ({ text })),
+    checklistCompletes: !!routine.checklistCompletes,
+    color: routine.color || "violet",
+    createdAt: new Date(now).toISOString(),
+  };
+}
+
+// The template's rule as edited by the recurrence builder, starting on start
+export function ruleOfTemplate(template, start = iso(new Date())) {
+  const rec = template.recurrence || {};
+  return {
+    freq: rec.freq || "weekly",
+    interval: rec.interval || 1,
+    byDay: [...(template.days || [])],
+    byMonthDay: [...(rec.byMonthDay || [])],
+    start,
+    until: null,
+    count: rec.count || null,
+  };
+}
+
+// Fields for a new routine made from the template (addRoutine in the web app)
+export function routineFromTemplate(template, { start = iso(new Date()) } = {}) {
+  return {
+    name: template.name,
+    description: template.description || "",
+    tags: tagsOf(template),
+    startTime: template.startTime,
+    endTime: template.endTime,
+    slots: (template.slots || []).map(s => ({ id: crypto.randomUUID().slice(0, 8), startTime: s.startTime, endTime: s.endTime })),
+    ...recurrenceFields(ruleOfTemplate(template, start)),
+    target: template.target ? { ...template.target } : null,
+    checklist: (template.checklist || []).map(item => newChecklistItem(item.text)).filter(item => item.text),
+    checklistCompletes: !!template.checklistCompletes,
+    color: template.color || "violet",
+  };
+}
@@ -0,0 +1,98 @@
+// test/conflicts.test.js
+import { describe, it, expect } from "vitest";
+import { overlappingOccurrences, conflictsOf, nearestFreeSlot } from "../src/conflicts.js";
+import { occurrencesOf } from "../src/recurrence.js";
+
+// 2026-01-05 is a Monday; from is a local Date, like the app passes
+const MONDAY = new Date(2026, 0, 5);
+const routine = (id, startTime, endTime, fields = {}) => ({
+  id, name: id, startTime, endTime, days: ["Mon"], recurrence: { freq: "weekly", interval: 1, start: "2026-01-05" }, ...fields,
+});
+const flagged = (routines, from = "2026-01-05", to = "2026-01-06", options = {}) =>
+  [...overlappingOccurrences(occurrencesOf(routines, from, to, options))].sort();
+
+describe("overlappingOccurrences", () => {
+  it("flags both sessions of an overlap", () => {
+    expect(flagged([routine("a", "07:00", "08:00"), routine("b", "07:30", "08:30")])).toEqual(["a|2026-01-05", "b|2026-01-05"]);
+  });
+
+  it("doesn't flag back-to-back sessions", () => {
+    expect(flagged([routine("a", "07:00", "08:00"), routine("b", "08:00", "09:00")])).toEqual([]);
+  });
+
+  it("flags an overnight session running into the next day's", () => {
+    const night = routine("night", "23:00", "01:00");
+    const early = routine("early", "00:30", "01:30", { days: ["Tue"] });
+    expect(flagged([night, early])).toEqual(["early|2026-01-06", "night|2026-01-05"]);
+  });
+
+  it("ignores paused occurrences", () => {
+    const paused = routine("b", "07:30", "08:30", { pauses: [{ start: "2026-01-05", end: "2026-01-05" }] });
+    expect(flagged([routine("a", "07:00", "08:00"), paused], "2026-01-05", "2026-01-06", { includePaused: true })).toEqual([]);
+  });
+
+  it("doesn't report a routine's own slots against each other", () => {
+    const r = routine("a", "07:00", "08:00", { slots: [{ id: "s", startTime: "07:30", endTime: "08:30" }] });
+    expect(flagged([r])).toEqual([]);
+  });
+});
+
+describe("conflictsOf", () => {
+  it("lists each other routine once, with every overlapping pair", () => {
+    const mine = routine("a", "07:00", "08:00");
+    const other = routine("b", "07:30", "08:30");
+    const [conflict, ...rest] = conflictsOf(mine, [mine, other, routine("c", "09:00", "10:00")], { from: MONDAY });
+    expect(rest).toEqual([]);
+    expect(conflict.routine).toBe(other);
+    expect(conflict.pairs[0].occurrence.key).toBe("2026-01-05");
+    expect(conflict.pairs[0].other.routineId).toBe("b");
+    expect(conflict.pairs.length).toBeGreaterThan(4);
+  });
+
+  it("sees the other routine's overnight session from the day before the window", () => {
+    const night = routine("night", "23:00", "01:00");
+    const early = routine("early", "00:30", "01:30", { days: ["Tue"] });
+    const conflicts = conflictsOf(early, [night, early], { from: new Date(2026, 0, 6) });
+    expect(conflicts.map(c => c.routine.id)).toEqual(["night"]);
+    expect(conflicts[0].pairs[0].other.dateIso).toBe("2026-01-05");
+  });
+
+  it("ignores paused days and the routine's own slots", () => {
+    const mine = routine("a", "07:00", "08:00", { slots: [{ id: "s", startTime: "07:30", endTime: "08:30" }] });
+    const paused = routine("b", "07:30", "08:30", { pauses: [{ start: "2026-01-01", end: null }] });
+    expect(conflictsOf(mine, [mine, paused], { from: MONDAY })).toEqual([]);
+    expect(conflictsOf(mine, [mine, routine("c", "07:30", "08:30")], { from: MONDAY, vacation: { start: "2026-01-01", end: null } })).toEqual([]);
+  });
+});
+
+describe("nearestFreeSlot", () => {
+  it("finds the nearest shift that clears every conflict, later first", () => {
+    const mine = routine("a", "07:00", "08:00", { slots: [{ id: "s", startTime: "18:00", endTime: "18:30" }] });
+    const slot = nearestFreeSlot(mine, [mine, routine("b", "06:30", "07:30")], { from: MONDAY });
+    expect(slot).toEqual({ minutes: 30, startTime: "07:30", endTime: "08:30", slots: [{ id: "s", startTime: "18:30", endTime: "19:00" }] });
+  });
+
+  it("keeps the start within the day", () => {
+    const mine = routine("a", "23:30", "23:45");
+    const slot = nearestFreeSlot(mine, [mine, routine("b", "23:00", "00:00")], { from: MONDAY });
+    expect(slot).toMatchObject({ minutes: -45, startTime: "22:45", endTime: "23:00" });
+  });
+
+  it("leaves moved and one-off occurrences where they are", () => {
+    const mine = routine("a", "07:00", "08:00", {
+      overrides: { "2026-01-12": { startTime: "06:00", endTime: "07:00" }, "2026-01-06": { startTime: "06:00", endTime: "07:00" } },
+    });
+    const other = routine("b", "07:00", "08:00", { days: ["Mon", "Tue"] });
+    // shifted by an hour as well, the moved and the one-off session would land on b's
+    expect(nearestFreeSlot(mine, [mine, other], { from: MONDAY })).toMatchObject({ minutes: 60, startTime: "08:00" });
+  });
+
+  it("gives null when no shift within 12 hours fits", () => {
+    const mine = routine("a", "12:00", "13:00");
+    expect(nearestFreeSlot(mine, [mine, routine("b", "00:00", "23:59")], { from: MONDAY })).toBeNull();
+  });
+
+  it("gives null for a routine without a start time", () => {
+    expect(nearestFreeSlot({ id: "x", name: "x" }, [], { from: MONDAY })).toBeNull();
+  });
+});
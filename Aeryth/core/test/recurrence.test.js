@@ -0,0 +1,255 @@
+// test/recurrence.test.js
+// occurrences() is what every view and scheduler expands routines through (src/recurrence.js).
+// Times are local, like the app's: expectations are built with atTime() rather than fixed epoch values.
+import { describe, it, expect } from "vitest";
+import { occurrences, occurrencesOf, editRoutine, changesSchedule, changesRule } from "../src/recurrence.js";
+import { atTime } from "../src/dates.js";
+
+// 2026-01-05 is a Monday
+const routine = (fields = {}) => ({
+  id: "r1",
+  name: "Run",
+  startTime: "07:00",
+  endTime: "07:30",
+  days: ["Mon", "Wed"],
+  createdAt: "2026-01-05T08:00:00",
+  ...fields,
+});
+const days = (list) => list.map(o => o.dateIso);
+const keys = (list) => list.map(o => o.key);
+
+describe("occurrences", () => {
+  it("repeats a routine without recurrence weekly on its days, from the day it was created", () => {
+    const list = occurrences(routine(), "2026-01-01", "2026-01-18");
+    expect(days(list)).toEqual(["2026-01-05", "2026-01-07", "2026-01-12", "2026-01-14"]);
+    expect(list[0]).toMatchObject({ routineId: "r1", slotId: null, key: "2026-01-05", startTime: "07:00", endTime: "07:30" });
+    expect(list[0].start).toBe(atTime("2026-01-05", "07:00").getTime());
+    expect(list[0].end).toBe(atTime("2026-01-05", "07:30").getTime());
+  });
+
+  it("accepts Dates as well as days, both inclusive", () => {
+    const list = occurrences(routine(), new Date(2026, 0, 7, 23, 0), new Date(2026, 0, 12, 1, 0));
+    expect(days(list)).toEqual(["2026-01-07", "2026-01-12"]);
+  });
+
+  it("has none for routines in the trash or without days", () => {
+    expect(occurrences(routine({ deletedAt: "2026-01-06T00:00:00Z" }), "2026-01-01", "2026-01-31")).toEqual([]);
+    expect(occurrences(routine({ days: [] }), "2026-01-01", "2026-01-31")).toEqual([]);
+    expect(occurrences(null, "2026-01-01", "2026-01-31")).toEqual([]);
+  });
+
+  describe("rules", () => {
+    it("counts a daily interval from the rule's start", () => {
+      const r = routine({ days: [], recurrence: { freq: "daily", interval: 3, start: "2026-01-05" } });
+      expect(days(occurrences(r, "2026-01-06", "2026-01-15"))).toEqual(["2026-01-08", "2026-01-11", "2026-01-14"]);
+    });
+
+    it("counts a weekly interval in weeks from the rule's start", () => {
+      const r = routine({ days: ["Mon"], recurrence: { freq: "weekly", interval: 2, start: "2026-01-05" } });
+      expect(days(occurrences(r, "2026-01-01", "2026-02-28"))).toEqual(["2026-01-05", "2026-01-19", "2026-02-02", "2026-02-16"]);
+    });
+
+    it("counts monthly days from the end of the month when negative", () => {
+      const r = routine({ days: [], recurrence: { freq: "monthly", byMonthDay: [-1], start: "2026-01-01" } });
+      expect(days(occurrences(r, "2026-01-01", "2026-04-30"))).toEqual(["2026-01-31", "2026-02-28", "2026-03-31", "2026-04-30"]);
+    });
+
+    it("stops after until", () => {
+      const r = routine({ recurrence: { freq: "weekly", start: "2026-01-05", until: "2026-01-12" } });
+      expect(days(occurrences(r, "2026-01-01", "2026-01-31"))).toEqual(["2026-01-05", "2026-01-07", "2026-01-12"]);
+    });
+
+    it("numbers count occurrences from the start, even when the range starts later", () => {
+      const r = routine({ recurrence: { freq: "weekly", start: "2026-01-05", count: 3 } });
+      expect(days(occurrences(r, "2026-01-01", "2026-01-31"))).toEqual(["2026-01-05", "2026-01-07", "2026-01-12"]);
+      expect(days(occurrences(r, "2026-01-08", "2026-01-31"))).toEqual(["2026-01-12"]);
+    });
+  });
+
+  describe("slots", () => {
+    const withSlots = routine({ days: ["Mon"], slots: [{ id: "eve", startTime: "19:00", endTime: "19:30" }, { id: "noon", startTime: "12:00", endTime: "12:15" }] });
+
+    it("makes one occurrence per slot of the day, in time order", () => {
+      const list = occurrences(withSlots, "2026-01-05", "2026-01-05");
+      expect(keys(list)).toEqual(["2026-01-05", "2026-01-05#noon", "2026-01-05#eve"]);
+      expect(list.map(o => o.slotId)).toEqual([null, "noon", "eve"]);
+      expect(list[2].start).toBe(atTime("2026-01-05", "19:00").getTime());
+    });
+
+    it("keeps the keys when slot times change or slots are reordered", () => {
+      const edited = { ...withSlots, startTime: "06:00", slots: [{ id: "noon", startTime: "13:00", endTime: "13:15" }, { id: "eve", startTime: "20:00", endTime: "20:30" }] };
+      expect(keys(occurrences(edited, "2026-01-05", "2026-01-05"))).toEqual(["2026-01-05", "2026-01-05#noon", "2026-01-05#eve"]);
+    });
+
+    it("ignores slots without an id or a start", () => {
+      const r = routine({ days: ["Mon"], slots: [{ startTime: "12:00" }, { id: "x", startTime: "" }] });
+      expect(keys(occurrences(r, "2026-01-05", "2026-01-05"))).toEqual(["2026-01-05"]);
+    });
+  });
+
+  describe("overnight sessions", () => {
+    const night = routine({ startTime: "23:00", endTime: "01:00", days: ["Mon"], slots: [{ id: "late", startTime: "23:30", endTime: "00:15" }] });
+
+    it("belong to the day they start on and end on the next one", () => {
+      const list = occurrences(night, "2026-01-05", "2026-01-05");
+      expect(keys(list)).toEqual(["2026-01-05", "2026-01-05#late"]);
+      expect(list[0].end).toBe(atTime("2026-01-06", "01:00").getTime());
+      expect(list[1].end).toBe(atTime("2026-01-06", "00:15").getTime());
+    });
+
+    it("aren't listed again for the day they end on", () => {
+      expect(occurrences(night, "2026-01-06", "2026-01-06")).toEqual([]);
+    });
+  });
+
+  describe("overrides", () => {
+    it("drop cancelled occurrences", () => {
+      const r = routine({ overrides: { "2026-01-07": { cancelled: true } } });
+      expect(days(occurrences(r, "2026-01-05", "2026-01-11"))).toEqual(["2026-01-05"]);
+    });
+
+    it("move one occurrence, keeping its key", () => {
+      const r = routine({ overrides: { "2026-01-07": { startTime: "09:00", endTime: "09:45" } } });
+      const moved = occurrences(r, "2026-01-07", "2026-01-07")[0];
+      expect(moved).toMatchObject({ key: "2026-01-07", startTime: "09:00", endTime: "09:45", moved: true });
+      expect(moved.start).toBe(atTime("2026-01-07", "09:00").getTime());
+    });
+
+    it("keep the occurrence's end when only the start moves", () => {
+      const r = routine({ overrides: { "2026-01-07": { startTime: "07:10" } } });
+      expect(occurrences(r, "2026-01-07", "2026-01-07")[0]).toMatchObject({ startTime: "07:10", endTime: "07:30" });
+    });
+
+    it("apply to a single slot", () => {
+      const r = routine({ days: ["Mon"], slots: [{ id: "eve", startTime: "19:00", endTime: "19:30" }], overrides: { "2026-01-05#eve": { cancelled: true } } });
+      expect(keys(occurrences(r, "2026-01-05", "2026-01-05"))).toEqual(["2026-01-05"]);
+    });
+
+    it("add a one-off session on a day the rule skips", () => {
+      const r = routine({ overrides: { "2026-01-08": { startTime: "18:00", endTime: "18:30" } } });
+      const list = occurrences(r, "2026-01-05", "2026-01-11");
+      expect(days(list)).toEqual(["2026-01-05", "2026-01-07", "2026-01-08"]);
+      expect(list[2]).toMatchObject({ extra: true, startTime: "18:00" });
+    });
+
+    it("outside the range are left out", () => {
+      const r = routine({ overrides: { "2026-01-20": { startTime: "18:00" } } });
+      expect(days(occurrences(r, "2026-01-05", "2026-01-11"))).toEqual(["2026-01-05", "2026-01-07"]);
+    });
+  });
+
+  describe("pauses", () => {
+    const paused = routine({ pauses: [{ start: "2026-01-07", end: "2026-01-12" }] });
+
+    it("skip the routine's paused days, both ends included", () => {
+      expect(days(occurrences(paused, "2026-01-05", "2026-01-18"))).toEqual(["2026-01-05", "2026-01-14"]);
+    });
+
+    it("skip the vacation range too", () => {
+      const list = occurrences(routine(), "2026-01-05", "2026-01-18", { vacation: { start: "2026-01-12", end: null } });
+      expect(days(list)).toEqual(["2026-01-05", "2026-01-07"]);
+    });
+
+    it("are kept and flagged with includePaused", () => {
+      const list = occurrences(paused, "2026-01-05", "2026-01-14", { includePaused: true });
+      expect(list.map(o => [o.dateIso, !!o.paused])).toEqual([["2026-01-05", false], ["2026-01-07", true], ["2026-01-12", true], ["2026-01-14", false]]);
+    });
+  });
+
+  describe("history", () => {
+    // 07:00 on Mon/Wed until Jan 11, 08:00 on Tue from Jan 12
+    const versioned = routine({
+      startTime: "08:00",
+      endTime: "08:30",
+      days: ["Tue"],
+      recurrence: { freq: "weekly", interval: 1, start: "2026-01-12" },
+      history: [{ startTime: "07:00", endTime: "07:30", days: ["Mon", "Wed"], recurrence: { freq: "weekly", interval: 1, start: "2026-01-05", until: "2026-01-11" } }],
+    });
+
+    it("expands each version over its own days", () => {
+      const list = occurrences(versioned, "2026-01-01", "2026-01-21");
+      expect(list.map(o => [o.dateIso, o.startTime])).toEqual([
+        ["2026-01-05", "07:00"], ["2026-01-07", "07:00"], ["2026-01-13", "08:00"], ["2026-01-20", "08:00"],
+      ]);
+    });
+
+    it("gives versions from before slots existed only their main slot", () => {
+      const r = { ...versioned, slots: [{ id: "eve", startTime: "19:00", endTime: "19:30" }] };
+      expect(keys(occurrences(r, "2026-01-05", "2026-01-13"))).toEqual(["2026-01-05", "2026-01-07", "2026-01-13", "2026-01-13#eve"]);
+    });
+  });
+});
+
+describe("occurrencesOf", () => {
+  it("merges several routines in time order", () => {
+    const early = routine({ id: "a", startTime: "06:00", endTime: "06:30", days: ["Mon"] });
+    const late = routine({ id: "b", startTime: "05:00", endTime: "05:30", days: ["Wed"] });
+    const list = occurrencesOf([routine({ id: "c", days: ["Mon"] }), early, late], "2026-01-05", "2026-01-07");
+    expect(list.map(o => o.routineId)).toEqual(["a", "c", "b"]);
+  });
+});
+
+describe("editRoutine", () => {
+  const edited = (r, from, patch, scope) => ({ ...r, ...editRoutine(r, from, patch, scope) });
+  const schedule = (r, from, to) => occurrences(r, from, to).map(o => [o.dateIso, o.startTime]);
+
+  it("changes every session, past ones included, for the series", () => {
+    const r = edited(routine(), "2026-01-12", { startTime: "08:00", endTime: "08:30" }, "series");
+    expect(schedule(r, "2026-01-05", "2026-01-12")).toEqual([["2026-01-05", "08:00"], ["2026-01-07", "08:00"], ["2026-01-12", "08:00"]]);
+  });
+
+  it("keeps the sessions before the day for future edits", () => {
+    const r = edited(routine(), "2026-01-12", { startTime: "08:00", endTime: "08:30" }, "future");
+    expect(schedule(r, "2026-01-05", "2026-01-14")).toEqual([["2026-01-05", "07:00"], ["2026-01-07", "07:00"], ["2026-01-12", "08:00"], ["2026-01-14", "08:00"]]);
+    expect(r.history).toHaveLength(1);
+  });
+
+  describe("future edits of interval rules", () => {
+    it("keep a weekly interval on the same weeks when made on a day between sessions", () => {
+      const r = routine({ days: ["Mon"], recurrence: { freq: "weekly", interval: 2, start: "2026-01-05" } });
+      const after = edited(r, "2026-01-14", { startTime: "08:00", endTime: "08:30" }, "future");
+      expect(schedule(after, "2026-01-01", "2026-02-28")).toEqual([
+        ["2026-01-05", "07:00"], ["2026-01-19", "08:00"], ["2026-02-02", "08:00"], ["2026-02-16", "08:00"],
+      ]);
+    });
+
+    it("keep a daily interval counting from the same sessions", () => {
+      const r = routine({ days: [], recurrence: { freq: "daily", interval: 3, start: "2026-01-05" } });
+      const after = edited(r, "2026-01-13", { startTime: "08:00", endTime: "08:30" }, "future");
+      expect(schedule(after, "2026-01-05", "2026-01-20")).toEqual([
+        ["2026-01-05", "07:00"], ["2026-01-08", "07:00"], ["2026-01-11", "07:00"], ["2026-01-14", "08:00"], ["2026-01-17", "08:00"], ["2026-01-20", "08:00"],
+      ]);
+    });
+
+    it("keep a monthly interval on the same months", () => {
+      const r = routine({ days: [], recurrence: { freq: "monthly", interval: 2, byMonthDay: [15], start: "2026-01-01" } });
+      const after = edited(r, "2026-02-01", { startTime: "08:00", endTime: "08:30" }, "future");
+      expect(schedule(after, "2026-01-01", "2026-07-31")).toEqual([["2026-01-15", "07:00"], ["2026-03-15", "08:00"], ["2026-05-15", "08:00"], ["2026-07-15", "08:00"]]);
+    });
+
+    it("keep the total of a counted rule", () => {
+      const r = routine({ days: ["Mon"], recurrence: { freq: "weekly", interval: 2, start: "2026-01-05", count: 4 } });
+      const after = edited(r, "2026-01-14", { startTime: "08:00", endTime: "08:30" }, "future");
+      expect(schedule(after, "2026-01-01", "2026-06-30")).toEqual([
+        ["2026-01-05", "07:00"], ["2026-01-19", "08:00"], ["2026-02-02", "08:00"], ["2026-02-16", "08:00"],
+      ]);
+    });
+  });
+});
+
+describe("changesSchedule / changesRule", () => {
+  const biweekly = routine({ days: ["Mon"], recurrence: { freq: "weekly", interval: 2, start: "2026-01-05" } });
+
+  it("tell time changes from rule changes", () => {
+    expect(changesSchedule(biweekly, { startTime: "08:00" })).toBe(true);
+    expect(changesRule(biweekly, { startTime: "08:00" })).toBe(false);
+    expect(changesRule(biweekly, { days: ["Mon", "Thu"] })).toBe(true);
+  });
+
+  it("see no change in a rule written out in full", () => {
+    const legacy = routine();
+    const fields = { days: ["Mon", "Wed"], recurrence: { freq: "weekly", interval: 1, byMonthDay: [], start: "2026-01-05", until: null, count: null } };
+    expect(changesSchedule(legacy, fields)).toBe(false);
+    expect(changesRule(legacy, fields)).toBe(false);
+  });
+});
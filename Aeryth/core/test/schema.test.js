@@ -0,0 +1,97 @@
+// test/schema.test.js
+import { describe, it, expect } from "vitest";
+import { isRoutineShape, migrateData, isNewerSchema, schemaVersionOf, toIsoTimestamp, SCHEMA_VERSION } from "../src/schema.js";
+
+describe("migrateData", () => {
+  const v1 = {
+    aeryth_settings: { aerythTone: "Friendly", userInfo: "student" },
+    aeryth_routines: [
+      { id: "date", createdAt: new Date("2026-01-05T08:00:00Z") },
+      { id: "timestamp", createdAt: { toDate: () => new Date("2026-01-06T08:00:00Z") } },
+      { id: "seconds", createdAt: { seconds: Date.parse("2026-01-07T08:00:00Z") / 1000, nanoseconds: 500000000 } },
+      { id: "legacy" },
+    ],
+  };
+
+  it("normalizes v1 tone names to the full tone", () => {
+    const migrated = migrateData(v1);
+    expect(migrated.aeryth_settings).toEqual({ aerythTone: "Companion (Friendly)", userInfo: "student" });
+  });
+
+  it("turns every v1 createdAt into an ISO string", () => {
+    const routines = migrateData(v1).aeryth_routines;
+    expect(routines.map(r => r.createdAt)).toEqual(["2026-01-05T08:00:00.000Z", "2026-01-06T08:00:00.000Z", "2026-01-07T08:00:00.500Z", undefined]);
+    expect("createdAt" in routines[3]).toBe(false);
+  });
+
+  it("stamps the result with the current schemaVersion and leaves the input alone", () => {
+    const migrated = migrateData(v1);
+    expect(migrated.schemaVersion).toBe(SCHEMA_VERSION);
+    expect(schemaVersionOf(v1)).toBe(1);
+    expect(v1.aeryth_settings.aerythTone).toBe("Friendly");
+  });
+
+  it("returns current and newer data unchanged", () => {
+    const current = { schemaVersion: SCHEMA_VERSION, aeryth_settings: { aerythTone: "Friendly" } };
+    const newer = { schemaVersion: SCHEMA_VERSION + 1, aeryth_routines: [{ id: "r1", createdAt: 5 }] };
+    expect(migrateData(current)).toBe(current);
+    expect(migrateData(newer)).toBe(newer);
+  });
+});
+
+describe("isNewerSchema", () => {
+  it("flags data from a later version only", () => {
+    expect(isNewerSchema({ schemaVersion: 3 })).toBe(true);
+    expect(isNewerSchema({ schemaVersion: SCHEMA_VERSION })).toBe(false);
+    expect(isNewerSchema({})).toBe(false);
+  });
+});
+
+describe("toIsoTimestamp", () => {
+  it("reads millis and date strings, and gives null for nothing or garbage", () => {
+    expect(toIsoTimestamp(Date.parse("2026-01-05T08:00:00Z"))).toBe("2026-01-05T08:00:00.000Z");
+    expect(toIsoTimestamp("2026-01-05T08:00:00Z")).toBe("2026-01-05T08:00:00.000Z");
+    expect(toIsoTimestamp(null)).toBeNull();
+    expect(toIsoTimestamp("")).toBeNull();
+    expect(toIsoTimestamp("not a date")).toBeNull();
+  });
+});
+
+const routine = (fields = {}) => ({
+  id: "r1",
+  name: "Run",
+  startTime: "07:00",
+  endTime: "07:30",
+  days: ["Mon", "Wed"],
+  slots: [{ id: "eve", startTime: "19:00", endTime: "19:30" }],
+  recurrence: { freq: "weekly", interval: 1, start: "2026-01-05" },
+  overrides: { "2026-01-07": { cancelled: true } },
+  ...fields,
+});
+
+describe("isRoutineShape", () => {
+  it("accepts routines as the app stores them", () => {
+    expect(isRoutineShape(routine())).toBe(true);
+    expect(isRoutineShape({ id: "r1", name: "Run", startTime: "23:00" })).toBe(true);
+    expect(isRoutineShape(routine({ deletedAt: "2026-01-10T00:00:00Z" }))).toBe(true);
+  });
+
+  it("rejects anything without an id, a name or a valid start", () => {
+    expect(isRoutineShape(null)).toBe(false);
+    expect(isRoutineShape([routine()])).toBe(false);
+    expect(isRoutineShape(routine({ id: "" }))).toBe(false);
+    expect(isRoutineShape(routine({ id: 5 }))).toBe(false);
+    expect(isRoutineShape(routine({ name: undefined }))).toBe(false);
+    expect(isRoutineShape(routine({ startTime: "7am" }))).toBe(false);
+    expect(isRoutineShape(routine({ endTime: "25:00" }))).toBe(false);
+  });
+
+  it("rejects malformed slots, days, rules and overrides", () => {
+    expect(isRoutineShape(routine({ slots: [{ startTime: "19:00" }] }))).toBe(false);
+    expect(isRoutineShape(routine({ slots: [{ id: "eve", startTime: "19:60" }] }))).toBe(false);
+    expect(isRoutineShape(routine({ slots: "eve" }))).toBe(false);
+    expect(isRoutineShape(routine({ days: ["Monday"] }))).toBe(false);
+    expect(isRoutineShape(routine({ recurrence: "weekly" }))).toBe(false);
+    expect(isRoutineShape(routine({ overrides: [] }))).toBe(false);
+  });
+});
@@ -0,0 +1,96 @@
+// test/statusMerge.test.js
+import { describe, it, expect } from "vitest";
+import { isStatusRecord, makeStatusRecord, mergeStatusRecords, mergeStatusMaps, STATUS_RANK } from "../src/statusMerge.js";
+
+const record = (status, updatedAt, by = "web", extra = {}) => ({ ...extra, status, updatedAt, by });
+
+describe("mergeStatusRecords", () => {
+  it("never lets an automatic in-progress replace a completed or skipped status", () => {
+    const auto = record("in-progress", 2000, "web", { auto: true });
+    ["completed", "skipped"].forEach(status => {
+      const final = record(status, 1000, "extension");
+      expect(mergeStatusRecords(final, auto)).toBe(final);
+      expect(mergeStatusRecords(auto, final)).toBe(final);
+    });
+  });
+
+  it("lets an automatic in-progress replace an older upcoming or snoozed status", () => {
+    const auto = record("in-progress", 2000, "web", { auto: true });
+    expect(mergeStatusRecords(record("snoozed", 1000), auto)).toBe(auto);
+  });
+
+  it("keeps the newer updatedAt", () => {
+    const older = record("completed", 1000, "extension");
+    const newer = record("skipped", 2000, "web");
+    expect(mergeStatusRecords(older, newer)).toBe(newer);
+    expect(mergeStatusRecords(newer, older)).toBe(newer);
+  });
+
+  it("keeps the further-along status on equal timestamps", () => {
+    const skipped = record("skipped", 1000, "web");
+    const completed = record("completed", 1000, "extension");
+    expect(STATUS_RANK.completed).toBeGreaterThan(STATUS_RANK.skipped);
+    expect(mergeStatusRecords(skipped, completed)).toBe(completed);
+    expect(mergeStatusRecords(completed, skipped)).toBe(completed);
+  });
+
+  it("decides by the writer id last, the same in either order", () => {
+    const web = record("completed", 1000, "web", { amount: 5 });
+    const extension = record("completed", 1000, "extension", { amount: 3 });
+    expect(mergeStatusRecords(web, extension)).toBe(web);
+    expect(mergeStatusRecords(extension, web)).toBe(web);
+  });
+
+  it("is symmetric", () => {
+    const records = [
+      record("completed", 1000, "web"), record("skipped", 1000, "extension"), record("in-progress", 1500, "web", { auto: true }),
+      record("snoozed", 2000, "extension"), "completed", null,
+    ];
+    records.forEach(a => records.forEach(b => expect(mergeStatusRecords(a, b)).toEqual(mergeStatusRecords(b, a))));
+  });
+
+  it("lets any stamped record win over a legacy bare string", () => {
+    const stamped = record("upcoming", 1, "web");
+    expect(mergeStatusRecords("completed", stamped)).toBe(stamped);
+    expect(mergeStatusRecords(stamped, "completed")).toBe(stamped);
+  });
+
+  it("turns a lone legacy string into a record", () => {
+    expect(mergeStatusRecords("completed", null)).toEqual({ status: "completed", updatedAt: 0, by: "" });
+    expect(mergeStatusRecords(null, null)).toBeNull();
+  });
+});
+
+describe("mergeStatusMaps", () => {
+  it("keeps the keys of both sides and merges the shared ones", () => {
+    const fromNotification = { "2026-01-05": record("completed", 1000, "extension"), "2026-01-07": record("skipped", 3000, "extension") };
+    const fromCalendar = { "2026-01-05": record("in-progress", 2000, "web", { auto: true }), "2026-01-12#eve": record("completed", 2000, "web") };
+    const merged = mergeStatusMaps(fromNotification, fromCalendar);
+    expect(Object.keys(merged).sort()).toEqual(["2026-01-05", "2026-01-07", "2026-01-12#eve"]);
+    expect(merged["2026-01-05"].status).toBe("completed");
+    expect(merged["2026-01-07"].status).toBe("skipped");
+    expect(merged["2026-01-12#eve"].status).toBe("completed");
+    expect(mergeStatusMaps(fromCalendar, fromNotification)).toEqual(merged);
+  });
+
+  it("takes missing maps as empty", () => {
+    const only = { "2026-01-05": record("completed", 1000) };
+    expect(mergeStatusMaps(undefined, only)).toEqual(only);
+    expect(mergeStatusMaps(only, null)).toEqual(only);
+  });
+});
+
+describe("isStatusRecord", () => {
+  it("accepts stamped records", () => {
+    expect(isStatusRecord(makeStatusRecord("completed", "web"))).toBe(true);
+    expect(isStatusRecord({ status: "in-progress", updatedAt: 0, by: "", auto: true })).toBe(true);
+  });
+
+  it("rejects legacy strings, unknown statuses and missing stamps", () => {
+    expect(isStatusRecord("completed")).toBe(false);
+    expect(isStatusRecord(null)).toBe(false);
+    expect(isStatusRecord({ status: "done", updatedAt: 1 })).toBe(false);
+    expect(isStatusRecord({ status: "completed" })).toBe(false);
+    expect(isStatusRecord({ status: "completed", updatedAt: "1" })).toBe(false);
+  });
+});
@@ -0,0 +1,62 @@
+// test/suggestions.test.js
+import { describe, it, expect } from "vitest";
+import { suggestTimes, partOfDay, MIN_APART, MIN_HISTORY } from "../src/suggestions.js";
+import { spanMinutes } from "../src/dates.js";
+
+// Monday 2026-02-02, noon
+const NOW = new Date(2026, 1, 2, 12, 0);
+const draft = (fields = {}) => ({ id: "draft", name: "Reading", startTime: "09:00", endTime: "10:00", days: ["Mon"], ...fields });
+const routine = (id, startTime, endTime, recurrence = {}) => ({
+  id, name: id, startTime, endTime, days: ["Mon"], recurrence: { freq: "weekly", interval: 1, start: "2026-01-05", ...recurrence },
+});
+const minutes = (time) => spanMinutes(time)[0];
+
+describe("suggestTimes", () => {
+  it("drops candidates overlapping another routine", () => {
+    const busy = routine("busy", "08:00", "12:00");
+    const suggestions = suggestTimes(draft(), [busy], {}, { now: NOW, limit: 20 });
+    expect(suggestions.length).toBeGreaterThan(0);
+    suggestions.forEach(s => expect(minutes(s.startTime) >= minutes("12:00") || minutes(s.endTime) <= minutes("08:00")).toBe(true));
+  });
+
+  it("keeps suggestions at least MIN_APART apart", () => {
+    const suggestions = suggestTimes(draft(), [routine("busy", "13:00", "14:00")], {}, { now: NOW, limit: 20 });
+    expect(suggestions.length).toBeGreaterThan(3);
+    suggestions.forEach((a, i) => suggestions.slice(i + 1).forEach(b => {
+      expect(Math.abs(minutes(a.startTime) - minutes(b.startTime))).toBeGreaterThanOrEqual(MIN_APART);
+    }));
+  });
+
+  it("ranks a part of the day the user completes sessions in above one they don't", () => {
+    // four past Mondays of each, ended before the suggestions' window so they neither conflict nor crowd
+    const morning = routine("morning", "07:00", "07:30", { until: "2026-01-31" });
+    const evening = routine("evening", "18:00", "18:30", { until: "2026-01-31" });
+    const mondays = ["2026-01-05", "2026-01-12", "2026-01-19", "2026-01-26"];
+    expect(mondays.length).toBeGreaterThanOrEqual(MIN_HISTORY);
+    const statuses = {
+      morning: Object.fromEntries(mondays.map(d => [d, { status: "completed", updatedAt: 1, by: "web" }])),
+      evening: Object.fromEntries(mondays.map(d => [d, { status: "skipped", updatedAt: 1, by: "web" }])),
+    };
+
+    const suggestions = suggestTimes(draft(), [morning, evening], statuses, { now: NOW, limit: 20 });
+    const [best] = suggestions;
+    expect(partOfDay(minutes(best.startTime))).toBe("morning");
+    expect(best.explanation).toContain("100% of morning sessions");
+    const firstEvening = suggestions.find(s => partOfDay(minutes(s.startTime)) === "evening");
+    expect(firstEvening.score).toBeLessThan(best.score);
+    expect(firstEvening.explanation).toContain("0% of evening sessions");
+  });
+
+  it("explains every suggestion", () => {
+    const suggestions = suggestTimes(draft(), [routine("busy", "13:00", "14:00")], {}, { now: NOW });
+    expect(suggestions).toHaveLength(3);
+    suggestions.forEach(s => {
+      expect(s.explanation.trim()).not.toBe("");
+      expect(s.explanation).toBe(s.reasons.join("; ").replace(/^./, ch => ch.toUpperCase()));
+    });
+  });
+
+  it("suggests nothing for a draft without days", () => {
+    expect(suggestTimes(draft({ days: [] }), [], {}, { now: NOW })).toEqual([]);
+  });
+});
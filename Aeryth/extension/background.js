@@ -1,3 +1,12 @@
+import { makeStatusRecord, mergeStatusRecords, statusOf, isStatusRecord } from "aeryth-core/statusMerge";
+import { iso, addDays } from "aeryth-core/dates";
+import { occurrences } from "aeryth-core/recurrence";
+import { DEFAULT_SETTINGS, isRoutineShape } from "aeryth-core/schema";
+import { forTone, REMINDER_MESSAGES } from "aeryth-core/tones";
+import { targetOf } from "aeryth-core/targets";
+import { anchorOf, followUpsOf, followUpStarts } from "aeryth-core/chains";
+import { goalsOf, goalLine } from "aeryth-core/goals";
+
 const NOTIF_META_PREFIX = "notif_meta_";
 const ACTIVE_META_PREFIX = "active_notif_meta_";
 const ALARM_PREFIX = "aeryth_";
@@ -42,20 +51,32 @@ async function syncAndScheduleAlarms() {
       console.log("Popup not available, using cached data");
     }
     
-    let routines, settings;
+    let routines, settings, syncedStatuses;
     
     if (response?.success) {
       routines = response.data.routines;
       settings = response.data.settings;
+      syncedStatuses = response.data.eventStatuses || {};
       
       // Cache for future use
       await saveLocal("cached_routines", routines);
       await saveLocal("cached_settings", settings);
       await saveLocal("cached_profile", response.data.profile);
+      await saveLocal("cached_synced_statuses", syncedStatuses);
+      await saveLocal("cached_goals", response.data.goals || []);
     } else {
       // Use cached data
       routines = await loadLocal("cached_routines", []);
-      settings = await loadLocal("cached_settings", { aerythTone: "Companion (Friendly)" });
+      settings = await loadLocal("cached_settings", DEFAULT_SETTINGS);
+      syncedStatuses = await loadLocal("cached_synced_statuses", {});
+    }
+    
+    // Clear old alarms first, so those of a routine just trashed go even when no routine is left
+    // (alarm-aeryth-* ones come from the web app's notifications.js)
+    const allAlarms = await chrome.alarms.getAll();
+    const aeryithAlarms = allAlarms.filter(a => a.name.startsWith(ALARM_PREFIX) || a.name.startsWith("alarm-aeryth-"));
+    for (const alarm of aeryithAlarms) {
+      await chrome.alarms.clear(alarm.name);
     }
     
     if (!routines || routines.length === 0) {
@@ -65,17 +86,17 @@ async function syncAndScheduleAlarms() {
     
     console.log("📅 Syncing routines:", routines.length);
     
-    // Clear old alarms
-    const allAlarms = await chrome.alarms.getAll();
-    const aeryithAlarms = allAlarms.filter(a => a.name.startsWith(ALARM_PREFIX));
-    for (const alarm of aeryithAlarms) {
-      await chrome.alarms.clear(alarm.name);
-    }
-    
-    // Schedule new alarms for next 7 days
+    // Schedule new alarms for next 7 days; paused days (routine pauses, settings.vacation) get none
+    const vacation = settings?.vacation || null;
+    const eventStatuses = await knownStatuses(syncedStatuses);
     for (const routine of routines) {
-      await scheduleAlarmsForRoutine(routine, 7);
-      await scheduleEndAlarmsForRoutine(routine, 7);
+      // anchored routines start after their anchor is completed instead of at a fixed time
+      if (anchorOf(routine, routines)) {
+        await scheduleFollowUpAlarms(routine, routines, eventStatuses, vacation);
+        continue;
+      }
+      await scheduleAlarmsForRoutine(routine, 7, vacation);
+      await scheduleEndAlarmsForRoutine(routine, 7, vacation);
     }
     
     console.log("✅ Alarms scheduled successfully");
@@ -86,92 +107,124 @@ async function syncAndScheduleAlarms() {
 
 // ======================= Alarm Scheduling =======================
 
-async function scheduleAlarmsForRoutine(routine, daysAhead = 7) {
+async function scheduleAlarmsForRoutine(routine, daysAhead = 7, vacation = null) {
   try {
     if (!routine || !routine.startTime) return;
     
-    const now = new Date();
-    const daysMap = { Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6, Sun: 0 };
+    const today = iso(new Date());
     
-    for (let i = 0; i < daysAhead; i++) {
-      const d = new Date(now.getFullYear(), now.getMonth(), now.getDate() + i);
-      const dayIso = d.toISOString().slice(0, 10);
-      const wd = d.getDay();
-      
-      if (!routine.days || !routine.days.some(dd => daysMap[dd] === wd)) continue;
-      
-      const [hh, mm] = (routine.startTime || "00:00").split(":").map(Number);
-      const when = new Date(d.getFullYear(), d.getMonth(), d.getDate(), hh, mm, 0, 0).getTime();
+    for (const occ of occurrences(routine, today, addDays(today, daysAhead - 1), { vacation })) {
+      const dayIso = occ.dateIso;
+      const when = occ.start;
       
       if (when <= Date.now()) continue;
       
-      const alarmName = `${ALARM_PREFIX}start_${routine.id}_${dayIso}_${when}`;
+      const alarmName = `${ALARM_PREFIX}start_${routine.id}_${occ.key}_${when}`;
       const meta = {
-        notifId: `aeryth-${routine.id}-${dayIso}-${when}`,
+        notifId: `aeryth-${routine.id}-${occ.key}-${when}`,
         routineId: routine.id,
         routineName: routine.name,
         routineDescription: routine.description,
         dateIso: dayIso,
+        key: occ.key,
         type: "start",
         when: when
       };
       
       await chrome.storage.local.set({ [`${NOTIF_META_PREFIX}${alarmName}`]: meta });
       chrome.alarms.create(alarmName, { when });
-      console.log(`⏰ Scheduled start alarm: ${routine.name} at ${routine.startTime} on ${dayIso}`);
+      console.log(`⏰ Scheduled start alarm: ${routine.name} at ${occ.startTime} on ${dayIso}`);
     }
   } catch (e) {
     console.warn("scheduleAlarmsForRoutine failed", e);
   }
 }
 
-async function scheduleEndAlarmsForRoutine(routine, daysAhead = 7) {
+async function scheduleEndAlarmsForRoutine(routine, daysAhead = 7, vacation = null) {
   try {
     if (!routine || !routine.endTime) return;
     
-    const now = new Date();
-    const daysMap = { Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6, Sun: 0 };
+    const today = iso(new Date());
     
-    for (let i = 0; i < daysAhead; i++) {
-      const d = new Date(now.getFullYear(), now.getMonth(), now.getDate() + i);
-      const dayIso = d.toISOString().slice(0, 10);
-      const wd = d.getDay();
-      
-      if (!routine.days || !routine.days.some(dd => daysMap[dd] === wd)) continue;
-      
-      const [hh, mm] = (routine.endTime || "00:00").split(":").map(Number);
-      const when = new Date(d.getFullYear(), d.getMonth(), d.getDate(), hh, mm, 0, 0).getTime();
+    // from yesterday: an overnight session that started then ends today
+    for (const occ of occurrences(routine, addDays(today, -1), addDays(today, daysAhead - 1), { vacation })) {
+      const dayIso = occ.dateIso;
+      const when = occ.end;
       
       if (when <= Date.now()) continue;
       
-      const alarmName = `${ALARM_PREFIX}end_${routine.id}_${dayIso}_${when}`;
+      const alarmName = `${ALARM_PREFIX}end_${routine.id}_${occ.key}_${when}`;
       const meta = {
-        notifId: `aeryth-end-${routine.id}-${dayIso}-${when}`,
+        notifId: `aeryth-end-${routine.id}-${occ.key}-${when}`,
         routineId: routine.id,
         routineName: routine.name,
         dateIso: dayIso,
+        key: occ.key,
         type: "end",
+        target: targetOf(routine),
         when: when
       };
       
       await chrome.storage.local.set({ [`${NOTIF_META_PREFIX}${alarmName}`]: meta });
       chrome.alarms.create(alarmName, { when });
-      console.log(`⏰ Scheduled end alarm: ${routine.name} at ${routine.endTime} on ${dayIso}`);
+      console.log(`⏰ Scheduled end alarm: ${routine.name} at ${occ.endTime} on ${dayIso}`);
     }
   } catch (e) {
     console.warn("scheduleEndAlarmsForRoutine failed", e);
   }
 }
 
+// Statuses from the last sync, with those set from notifications that haven't reached Firebase yet
+async function knownStatuses(syncedStatuses) {
+  const pending = await loadLocal("cached_event_statuses", {});
+  const merged = { ...syncedStatuses };
+  Object.entries(pending).forEach(([routineId, byKey]) => {
+    merged[routineId] = { ...(merged[routineId] || {}) };
+    Object.entries(byKey || {}).forEach(([key, record]) => {
+      merged[routineId][key] = mergeStatusRecords(merged[routineId][key], record);
+    });
+  });
+  return merged;
+}
+
+// Start and end alarms of an anchored routine's sessions today, timed from its anchor's completion
+// (aeryth-core's chains.js); sessions already completed or skipped get none
+async function scheduleFollowUpAlarms(routine, routines, eventStatuses, vacation = null) {
+  try {
+    const today = iso(new Date());
+    
+    for (const { occurrence: occ, start, end } of followUpStarts(routine, routines, eventStatuses, { from: today, vacation })) {
+      const status = statusOf(eventStatuses[routine.id]?.[occ.key]);
+      if (status === "completed" || status === "skipped") continue;
+      
+      const metas = [
+        { type: "start", when: start, notifId: `aeryth-${routine.id}-${occ.key}-${start}`, routineDescription: routine.description },
+        { type: "end", when: end, notifId: `aeryth-end-${routine.id}-${occ.key}-${end}`, target: targetOf(routine) },
+      ];
+      for (const extra of metas) {
+        if (extra.when <= Date.now()) continue;
+        const alarmName = `${ALARM_PREFIX}${extra.type}_${routine.id}_${occ.key}_${extra.when}`;
+        const meta = { routineId: routine.id, routineName: routine.name, dateIso: occ.dateIso, key: occ.key, ...extra };
+        await chrome.storage.local.set({ [`${NOTIF_META_PREFIX}${alarmName}`]: meta });
+        chrome.alarms.create(alarmName, { when: extra.when });
+        console.log(`⏰ Scheduled follow-up ${extra.type} alarm: ${routine.name} at ${new Date(extra.when).toLocaleTimeString()}`);
+      }
+    }
+  } catch (e) {
+    console.warn("scheduleFollowUpAlarms failed", e);
+  }
+}
+
 // ======================= Notification Building =======================
 
 async function buildNotificationOptions(meta, snoozeCount = 0) {
   if (!meta) return null;
   
-  const settings = await loadLocal("cached_settings", { aerythTone: "Companion (Friendly)" });
+  const settings = await loadLocal("cached_settings", DEFAULT_SETTINGS);
+  const goals = await loadLocal("cached_goals", []);
   
   // Generate notification text matching saved tone
-  const aiText = generateNotificationText(meta, settings.aerythTone, snoozeCount);
+  const aiText = generateNotificationText(meta, settings.aerythTone, snoozeCount, goalsOf(meta.routineId, goals));
   
   if (meta.type === "start") {
     // Chrome only supports 2 buttons - provide Start and Snooze
@@ -236,57 +289,21 @@ async function buildNotificationOptions(meta, snoozeCount = 0) {
   return null;
 }
 
-// Enhanced notification text generator with personality
-function generateNotificationText(meta, tone, snoozeCount) {
+// Enhanced notification text generator with personality (texts in aeryth-core's tones.js);
+// start and skip reminders end with the goals the routine serves and their countdown
+function generateNotificationText(meta, tone, snoozeCount, goals = []) {
   const name = meta.routineName;
   const desc = meta.routineDescription || "";
   
-  // Normalize tone
-  const toneKey = tone || "Companion (Friendly)";
+  let type = null;
+  if (meta.type === "start") type = snoozeCount >= 2 ? "deepMotivation" : "start";
+  else if (meta.type === "end") type = "end";
+  else if (meta.type === "skip_motivation") type = "skipMotivation";
   
-  if (meta.type === "start") {
-    if (snoozeCount >= 2) {
-      // Deep motivation after multiple snoozes
-      const messages = {
-        "Analyst (Logical)": `📊 ${name}: Each delay reduces success probability by 23%. Take action now for optimal results.`,
-        "Companion (Friendly)": `Hey friend! 💜 I know ${name} feels hard right now, but you've got this! Let's do it together - no more waiting!`,
-        "Coach (Motivational)": `🔥 ${name} - THIS IS YOUR MOMENT! Stop thinking, start DOING! Winners show up even when it's hard. BE THAT WINNER!`,
-        "Sage (Wise)": `🌅 The path of ${name} calls to you once more. Each moment of hesitation is a moment lost to growth. Begin now, friend.`
-      };
-      return messages[toneKey] || messages["Companion (Friendly)"];
-    }
-    
-    // Regular start notification
-    const messages = {
-      "Analyst (Logical)": `📈 ${name} scheduled for now. ${desc ? 'Goal: ' + desc + '. ' : ''}Consistent execution yields 3.2x better outcomes. Begin?`,
-      "Companion (Friendly)": `Hey there! 😊 It's ${name} time! ${desc ? "Remember - " + desc + "! " : ""}Ready to make today awesome? Let's go!`,
-      "Coach (Motivational)": `💪 TIME FOR ${name.toUpperCase()}! ${desc ? desc + ' - ' : ''}This is YOUR time to shine! Show up and DOMINATE!`,
-      "Sage (Wise)": `🍃 The hour for ${name} arrives. ${desc ? desc + '. ' : ''}Small consistent steps lead to profound transformation. Shall we begin?`
-    };
-    return messages[toneKey] || messages["Companion (Friendly)"];
-  }
-  
-  if (meta.type === "end") {
-    const messages = {
-      "Analyst (Logical)": `⏱️ ${name} session concluded. Please log completion status for accurate tracking and pattern analysis.`,
-      "Companion (Friendly)": `Time's up for ${name}! 🎉 How did it go? I'm proud of you for showing up today! Mark it as done?`,
-      "Coach (Motivational)": `🏆 ${name} TIME IS UP! Did you CRUSH IT?! Mark your victory and let's keep this momentum rolling!`,
-      "Sage (Wise)": `⌛ The ${name} period has passed. Take a moment to reflect on your effort and intention. How did you honor this time?`
-    };
-    return messages[toneKey] || messages["Companion (Friendly)"];
-  }
-  
-  if (meta.type === "skip_motivation") {
-    const messages = {
-      "Analyst (Logical)": `⚠️ Data shows: Starting ${name} now increases weekly goal completion by 67%. Reconsider your choice?`,
-      "Companion (Friendly)": `Wait! 🥺 I believe in you and your ${name} goal. I know it's tough, but you'll feel SO good after! One more chance?`,
-      "Coach (Motivational)": `HOLD UP! ✋ You didn't come this far to QUIT on ${name}! Champions aren't made by skipping - they're made by SHOWING UP! Let's GO!`,
-      "Sage (Wise)": `⏳ Pause, friend. ${name} represents your commitment to growth. The easy path rarely leads to the summit. Will you choose the path of intention?`
-    };
-    return messages[toneKey] || messages["Companion (Friendly)"];
-  }
-  
-  return `⏰ Time for ${name}!`;
+  if (!type) return `⏰ Time for ${name}!`;
+  const text = forTone(REMINDER_MESSAGES[type], tone)(name, desc);
+  if (type === "end" || !goals.length) return text;
+  return `${text}\n🎯 ${goals.map(g => goalLine(g)).join(" · ")}`;
 }
 
 // ======================= Event Handlers =======================
@@ -334,7 +351,7 @@ chrome.alarms.onAlarm.addListener(async (alarm) => {
       return;
     }
     
-    const snoozeKey = `${SNOOZE_TRACKER_PREFIX}${meta.routineId}_${meta.dateIso}`;
+    const snoozeKey = `${SNOOZE_TRACKER_PREFIX}${meta.routineId}_${meta.key || meta.dateIso}`;
     const snoozeStore = await new Promise(res => chrome.storage.local.get([snoozeKey], res));
     const snoozeCount = snoozeStore[snoozeKey] || 0;
     
@@ -367,8 +384,10 @@ chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIn
       return;
     }
     
-    const { routineId, dateIso, type, snoozeCount = 0 } = meta;
-    const snoozeKey = `${SNOOZE_TRACKER_PREFIX}${routineId}_${dateIso}`;
+    const { routineId, type, snoozeCount = 0 } = meta;
+    // statuses are per occurrence (day, or day#slotId); metas from before slots only carry the day
+    const key = meta.key || meta.dateIso;
+    const snoozeKey = `${SNOOZE_TRACKER_PREFIX}${routineId}_${key}`;
     
     console.log(`👆 Button ${buttonIndex} clicked for ${type}`);
     
@@ -378,7 +397,7 @@ chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIn
         await chrome.storage.local.remove([snoozeKey]);
         
         // Update status and save to Firebase
-        await updateStatusDirectly(routineId, dateIso, "in-progress");
+        await updateStatusDirectly(routineId, key, "in-progress");
         
       } else if (buttonIndex === 1) {
         // Snooze - show duration choice
@@ -405,7 +424,7 @@ chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIn
       
       await chrome.storage.local.set({ [snoozeKey]: newSnoozeCount });
       
-      const newAlarmName = `${ALARM_PREFIX}snooze_${routineId}_${dateIso}_${newWhen}`;
+      const newAlarmName = `${ALARM_PREFIX}snooze_${routineId}_${key}_${newWhen}`;
       const snoozeMeta = { 
         ...meta, 
         notifId: `${notificationId}-snooze-${mins}`,
@@ -416,28 +435,32 @@ chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIn
       await chrome.storage.local.set({ [`${NOTIF_META_PREFIX}${newAlarmName}`]: snoozeMeta });
       chrome.alarms.create(newAlarmName, { when: newWhen });
       
-      await updateStatusDirectly(routineId, dateIso, "snoozed");
+      await updateStatusDirectly(routineId, key, "snoozed");
       
     } else if (type === "end") {
       if (buttonIndex === 0) {
         // Completed
         await chrome.storage.local.remove([snoozeKey]);
-        await updateStatusDirectly(routineId, dateIso, "completed");
+        await updateStatusDirectly(routineId, key, "completed");
+        // routines with a target ask how much was done (the popup's log view)
+        if (meta.target) await openLogWindow(routineId, key);
+        // routines anchored to this one start a few minutes from now
+        await syncAndScheduleAlarms();
       } else {
         // Skipped
         await chrome.storage.local.remove([snoozeKey]);
-        await updateStatusDirectly(routineId, dateIso, "skipped");
+        await updateStatusDirectly(routineId, key, "skipped");
       }
       
     } else if (type === "skip_motivation") {
       if (buttonIndex === 0) {
         // Start Now after motivation
         await chrome.storage.local.remove([snoozeKey]);
-        await updateStatusDirectly(routineId, dateIso, "in-progress");
+        await updateStatusDirectly(routineId, key, "in-progress");
       } else {
         // Skip Anyway
         await chrome.storage.local.remove([snoozeKey]);
-        await updateStatusDirectly(routineId, dateIso, "skipped");
+        await updateStatusDirectly(routineId, key, "skipped");
       }
     }
     
@@ -449,26 +472,39 @@ chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIn
   }
 });
 
+// Notification buttons can't take input, so logging an amount happens in a small popup window
+async function openLogWindow(routineId, key) {
+  try {
+    const url = chrome.runtime.getURL(`popup.html?log=${encodeURIComponent(routineId)}&key=${encodeURIComponent(key)}`);
+    await chrome.windows.create({ url, type: "popup", width: 340, height: 440, focused: true });
+  } catch (e) {
+    console.warn("openLogWindow failed", e);
+  }
+}
+
 // Helper function to update status both locally and in Firebase
-async function updateStatusDirectly(routineId, dateIso, status) {
+// key is the occurrence key (aeryth-core's recurrence.js)
+async function updateStatusDirectly(routineId, key, status) {
   try {
     // Save to local cache immediately for quick UI updates
+    const record = makeStatusRecord(status, "extension");
     const cachedStatuses = await loadLocal("cached_event_statuses", {});
     cachedStatuses[routineId] = cachedStatuses[routineId] || {};
-    cachedStatuses[routineId][dateIso] = status;
+    cachedStatuses[routineId][key] = mergeStatusRecords(cachedStatuses[routineId][key], record);
     await saveLocal("cached_event_statuses", cachedStatuses);
     
     // Try to save to Firebase via popup
     chrome.runtime.sendMessage({
       action: "updateEventStatus",
       routineId,
-      dateIso,
-      status
+      key,
+      status,
+      record
     }).catch(() => {
       console.log("Firebase update will sync when popup opens");
     });
     
-    console.log(`✅ Status updated: ${routineId} on ${dateIso} → ${status}`);
+    console.log(`✅ Status updated: ${routineId} on ${key} → ${status}`);
   } catch (e) {
     console.error("updateStatusDirectly failed:", e);
   }
@@ -487,4 +523,62 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
 });
 
+// "YYYY-MM-DD" or "YYYY-MM-DD#slotId" (aeryth-core's recurrence.js)
+const OCCURRENCE_KEY = /^\d{4}-\d{2}-\d{2}(#[\w-]+)?$/;
+
+// true for the web app's origins, the ones manifest.json's externally_connectable lets message the worker
+function isWebAppOrigin(origin) {
+  try {
+    const { protocol, hostname } = new URL(origin);
+    return (chrome.runtime.getManifest().externally_connectable?.matches || []).some(pattern => {
+      const allowed = new URL(pattern.replace(/\*$/, ""));
+      return allowed.protocol === protocol && allowed.hostname === hostname;
+    });
+  } catch {
+    return false;
+  }
+}
+
+// The web app sends a routine right after it is edited, and a status right after it is set, so alarms are
+// rescheduled even when the popup isn't open to fetch them. Anything not from the web app, or not shaped
+// like a routine or a status, is dropped.
+chrome.runtime.onMessageExternal.addListener((message, sender, sendResponse) => {
+  if (!isWebAppOrigin(sender?.origin)) return;
+  if (message?.action === "routineUpdated") {
+    if (!isRoutineShape(message.routine)) {
+      console.warn("Ignoring an invalid routine from", sender.origin);
+      sendResponse({ success: false, error: "Invalid routine" });
+      return;
+    }
+    (async () => {
+      const routines = await loadLocal("cached_routines", []);
+      const others = routines.filter(r => r.id !== message.routine.id);
+      await saveLocal("cached_routines", message.routine.deletedAt ? others : [message.routine, ...others]);
+      await syncAndScheduleAlarms();
+      sendResponse({ success: true });
+    })();
+    return true;
+  }
+  if (message?.action === "statusUpdated") {
+    const { routineId, key, record } = message;
+    if (typeof routineId !== "string" || !OCCURRENCE_KEY.test(String(key)) || !isStatusRecord(record)) {
+      console.warn("Ignoring an invalid status from", sender.origin);
+      sendResponse({ success: false, error: "Invalid status" });
+      return;
+    }
+    (async () => {
+      // the web app saved it to Firebase already, so it counts as synced
+      const synced = await loadLocal("cached_synced_statuses", {});
+      synced[routineId] = { ...(synced[routineId] || {}), [key]: mergeStatusRecords(synced[routineId]?.[key], record) };
+      await saveLocal("cached_synced_statuses", synced);
+      // only a chain's alarms depend on statuses: the anchor's completion times its follow-ups (scheduleFollowUpAlarms)
+      const routines = await loadLocal("cached_routines", []);
+      const routine = routines.find(r => r.id === routineId);
+      if (anchorOf(routine, routines) || followUpsOf(routineId, routines).length) await syncAndScheduleAlarms();
+      sendResponse({ success: true });
+    })();
+    return true;
+  }
+});
+
 console.log("✅ Aeryth background initialized - notifications will work even when browser is closed");
\ No newline at end of file
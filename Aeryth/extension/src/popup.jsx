@@ -2,8 +2,24 @@
 import React, { useEffect, useState } from "react";
 import { createRoot } from "react-dom/client";
 import { Loader2, X } from "lucide-react";
-import { auth, signInWithGoogleToken, signOutUser } from "./utils/firebaseInit.js";
-import { loadAsync, saveAsync } from "./utils/storage.js";
+import { auth, signInWithGoogleToken, signOutUser } from "aeryth-core/data/firebase";
+import { loadAsync, saveAsync, saveEventStatus, saveChecklistTick, subscribe, isSchemaOutdated } from "./utils/storage.js";
+import { DEFAULT_SETTINGS } from "aeryth-core/schema";
+import { makeStatusRecord, statusOf } from "aeryth-core/statusMerge";
+import { adapter } from "aeryth-core/data/storageAdapter";
+import { iso } from "aeryth-core/dates";
+import { occurrencesOf } from "aeryth-core/recurrence";
+import { targetOf, formatAmount } from "aeryth-core/targets";
+import { checklistState, makeTickRecord, completesOccurrence } from "aeryth-core/checklists";
+
+// Routines in the web app's trash (deletedAt set) are neither shown nor scheduled.
+const activeRoutines = (list) => (list || []).filter(r => !r.deletedAt);
+
+// popup.html?log=<routineId>&key=<occurrence key>: opened by background.js after "Completed" on a routine with a target
+const logRequest = (() => {
+  const params = new URLSearchParams(window.location.search);
+  return params.get("log") ? { routineId: params.get("log"), key: params.get("key") } : null;
+})();
 
 // ======================= Firebase Bridge for Background Worker =======================
 // This allows the service worker to request Firebase data since it can't import Firebase directly
@@ -27,13 +43,17 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
 async function handleFetchFirebaseData() {
   try {
-    const routines = await loadAsync("aeryth_routines", []);
-    const settings = await loadAsync("aeryth_settings", { aerythTone: "Friendly" });
+    const routines = activeRoutines(await loadAsync("aeryth_routines", []));
+    const settings = await loadAsync("aeryth_settings", DEFAULT_SETTINGS);
     const profile = await loadAsync("aeryth_profile", "");
+    // the worker starts anchored routines from their anchor's completions (aeryth-core's chains.js)
+    const eventStatuses = await loadAsync("aeryth_event_statuses", {});
+    // reminders name the goals a routine serves (aeryth-core's goals.js)
+    const goals = await loadAsync("aeryth_goals", []);
     
     return {
       success: true,
-      data: { routines, settings, profile }
+      data: { routines, settings, profile, eventStatuses, goals }
     };
   } catch (error) {
     console.error("Firebase fetch failed:", error);
@@ -41,17 +61,27 @@ async function handleFetchFirebaseData() {
   }
 }
 
-async function handleUpdateEventStatus({ routineId, dateIso, status }) {
+// Drop cached background-worker statuses once they are in Firestore.
+// An entry is kept if the worker replaced it with a newer record in the meantime.
+async function clearCachedStatuses(flushed) {
+  const { cached_event_statuses: cached = {} } = await chrome.storage.local.get(["cached_event_statuses"]);
+  Object.entries(flushed).forEach(([routineId, byKey]) => {
+    Object.entries(byKey || {}).forEach(([key, record]) => {
+      const current = cached[routineId]?.[key];
+      if (current && (!record || current.updatedAt === record.updatedAt)) delete cached[routineId][key];
+    });
+    if (cached[routineId] && !Object.keys(cached[routineId]).length) delete cached[routineId];
+  });
+  await chrome.storage.local.set({ cached_event_statuses: cached });
+}
+
+// key is the occurrence key: the day, or day#slotId (aeryth-core's recurrence.js)
+async function handleUpdateEventStatus({ routineId, key, status, record }) {
   try {
-    const eventStatuses = await loadAsync("aeryth_event_statuses", {});
-    eventStatuses[routineId] = eventStatuses[routineId] || {};
-    eventStatuses[routineId][dateIso] = status;
-    await saveAsync("aeryth_event_statuses", eventStatuses);
+    const merged = await saveEventStatus(routineId, key, record || makeStatusRecord(status, "extension"));
+    await clearCachedStatuses({ [routineId]: { [key]: record } });
     
-    // Also sync back to local cache so background worker has latest data
-    chrome.storage.local.set({ "cached_event_statuses": eventStatuses });
-    
-    console.log(`✅ Status synced to Firebase: ${routineId} → ${status}`);
+    console.log(`✅ Status synced to Firebase: ${routineId} → ${merged?.status}`);
     return { success: true };
   } catch (error) {
     console.error("Update status failed:", error);
@@ -79,29 +109,26 @@ async function handleLogNotification({ routineId, dateIso, text }) {
   }
 }
 
-// ======================= Utility Functions =======================
-
-// ✅ Correct local ISO date (prevents off-by-one day bug)
-function iso(date) {
-  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
-  return local.toISOString().split("T")[0];
-}
-
-const weekdayNameFromIso = (isoDate) => {
-  const d = new Date(isoDate + "T12:00:00");
-  return ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"][d.getDay()];
-};
-
 // ======================= Main Popup Component =======================
 
 const Popup = () => {
   const [user, setUser] = useState(null);
   const [data, setData] = useState(null);
-  const [view, setView] = useState("settings");
+  const [view, setView] = useState(logRequest ? "log" : "settings");
+  const [logAmount, setLogAmount] = useState("");
+  const [isLogging, setIsLogging] = useState(false);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
   useEffect(() => {
+    // local/memory storage builds skip Google sign-in entirely
+    if (!adapter.usesFirebaseAuth) {
+      adapter.getUser().then(async (u) => {
+        setUser(u);
+        await fetchData();
+      });
+      return;
+    }
     const unsub = auth.onAuthStateChanged(async (u) => {
       if (u) {
         setUser(u);
@@ -114,33 +141,60 @@ const Popup = () => {
     return () => unsub();
   }, []);
 
+  // Live updates from the web app / other devices; routine or settings changes also reschedule alarms
+  useEffect(() => {
+    if (!user) return;
+    const resyncAlarms = () => chrome.runtime.sendMessage({ action: "syncNow" }).catch(() => {});
+    const unsubs = [
+      subscribe("aeryth_routines", (routines) => {
+        setData(prev => ({ ...(prev || {}), routines: activeRoutines(routines) }));
+        resyncAlarms();
+      }),
+      subscribe("aeryth_settings", (settings) => {
+        setData(prev => ({ ...(prev || {}), settings: settings || {} }));
+        resyncAlarms();
+      }),
+      subscribe("aeryth_event_statuses", (eventStatuses) => {
+        setData(prev => ({ ...(prev || {}), eventStatuses: eventStatuses || {} }));
+      }),
+      subscribe("aeryth_checklists", (checklists) => {
+        setData(prev => ({ ...(prev || {}), checklists: checklists || {} }));
+      }),
+    ];
+    return () => unsubs.forEach(u => u());
+  }, [user]);
+
   async function fetchData() {
     setLoading(true);
     try {
-      const routines = await loadAsync("aeryth_routines", []);
+      const routines = activeRoutines(await loadAsync("aeryth_routines", []));
       const settings = await loadAsync("aeryth_settings", {});
-      const eventStatuses = await loadAsync("aeryth_event_statuses", {});
       
-      // Merge cached statuses from background worker
+      // Merge statuses the background worker recorded while the popup was closed
       const cachedStatuses = await new Promise(res => 
         chrome.storage.local.get(["cached_event_statuses"], result => 
           res(result.cached_event_statuses || {})
         )
       );
       
-      // Merge cached updates into Firebase data
-      Object.keys(cachedStatuses).forEach(routineId => {
-        if (!eventStatuses[routineId]) eventStatuses[routineId] = {};
-        Object.assign(eventStatuses[routineId], cachedStatuses[routineId]);
-      });
-      
-      // Save merged data back to Firebase
-      if (Object.keys(cachedStatuses).length > 0) {
-        await saveAsync("aeryth_event_statuses", eventStatuses);
-        console.log("✅ Synced cached statuses to Firebase");
+      const entries = Object.entries(cachedStatuses).flatMap(([routineId, byKey]) =>
+        Object.entries(byKey || {}).map(([key, record]) => [routineId, key, record])
+      );
+      try {
+        for (const [routineId, key, record] of entries) {
+          await saveEventStatus(routineId, key, record);
+        }
+        if (entries.length > 0) {
+          await clearCachedStatuses(cachedStatuses);
+          console.log("✅ Synced cached statuses to Firebase");
+        }
+      } catch (e) {
+        console.warn("Cached statuses stay on this device:", e.message);
       }
+      const eventStatuses = await loadAsync("aeryth_event_statuses", {});
+      const checklists = await loadAsync("aeryth_checklists", {});
       
-      setData({ routines, settings, eventStatuses });
+      setData({ routines, settings, eventStatuses, checklists });
       
       // Notify background worker to sync
       chrome.runtime.sendMessage({ action: "syncNow" }).catch(() => {
@@ -194,7 +248,7 @@ const Popup = () => {
       <div style={{ width: 320, height: 420, display: "flex", alignItems: "center", justifyContent: "center", background: "linear-gradient(180deg,#8b5cf6,#7c3aed)", color: "white", fontFamily: "system-ui" }}>
         <div style={{ textAlign: "center" }}>
           <Loader2 className="animate-spin" size={28} />
-          <div style={{ marginTop: 8 }}>Connecting to Firebase...</div>
+          <div style={{ marginTop: 8 }}>Connecting to {adapter.label}...</div>
         </div>
       </div>
     );
@@ -211,23 +265,45 @@ const Popup = () => {
     );
   }
 
+  // log how much was done; the newer record replaces the plain "completed" the notification button wrote
+  async function handleLogAmount() {
+    const amount = Number(logAmount);
+    if (!(amount > 0)) { setError("Enter how much you did"); return; }
+    setIsLogging(true);
+    try {
+      await saveEventStatus(logRequest.routineId, logRequest.key, makeStatusRecord("completed", "extension", { amount }));
+      window.close();
+    } catch (e) {
+      console.error("Logging amount failed", e);
+      setError("Couldn't save. Please try again.");
+      setIsLogging(false);
+    }
+  }
+
+  // tick one step of a session; ticking the last one completes it when the routine is set up that way
+  async function handleTick(routine, key, itemId, done) {
+    try {
+      const ticks = await saveChecklistTick(routine.id, key, itemId, makeTickRecord(done, "extension"));
+      setData(prev => ({ ...prev, checklists: { ...(prev.checklists || {}), [routine.id]: ticks } }));
+      if (done && completesOccurrence(routine, ticks, key)) {
+        await saveEventStatus(routine.id, key, makeStatusRecord("completed", "extension"));
+      }
+    } catch (e) {
+      console.error("Checklist tick failed", e);
+      setError("Couldn't save. Please try again.");
+    }
+  }
+
   // Calculate upcoming events for today
   const now = new Date();
-  const todayIso = now.toISOString().slice(0, 10);
-  const currentTime = now.getHours() * 60 + now.getMinutes();
-  
-  const dayNameToIdx = { Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6, Sun: 0 };
-  const todayWeekday = now.getDay();
-
-  const upcomingRoutines = (data?.routines || [])
-    .filter(r => {
-      if (!r.days || !r.days.some(dd => dayNameToIdx[dd] === todayWeekday)) return false;
-      const [hh, mm] = (r.startTime || "00:00").split(":").map(Number);
-      const routineStartTime = hh * 60 + mm;
-      return routineStartTime > currentTime;
-    })
-    .sort((a, b) => (a.startTime || "00:00") > (b.startTime || "00:00") ? 1 : -1)
-    .slice(0, 3);
+  const todayIso = iso(now);
+  const routinesById = new Map((data?.routines || []).map(r => [r.id, r]));
+  const vacation = data?.settings?.vacation || null;
+
+  const upcomingRoutines = occurrencesOf(data?.routines, todayIso, todayIso, { vacation })
+    .filter(occ => occ.end > now.getTime())
+    .slice(0, 3)
+    .map(occ => ({ ...routinesById.get(occ.routineId), key: occ.key, startTime: occ.startTime, endTime: occ.endTime }));
 
   // Build calendar events for current month
   const buildCalendarEvents = () => {
@@ -244,35 +320,23 @@ const Popup = () => {
       events[iso(d)] = [];
     }
     
-    // Add routines to their scheduled days
-    (data?.routines || []).forEach(r => {
-      if (!r.days || !r.startTime) return;
-      const createdAtIso = r.createdAt ? iso(new Date(r.createdAt)) : null;
+    // Add each occurrence to its day (already ordered by start time); paused days show greyed out
+    occurrencesOf(data?.routines, firstDay, lastDay, { vacation, includePaused: true }).forEach(occ => {
+      const r = routinesById.get(occ.routineId);
+      // Check status for this routine on this day
+      const status = statusOf(data?.eventStatuses?.[r.id]?.[occ.key]);
       
-      Object.keys(events).forEach(dayIso => {
-        if (createdAtIso && dayIso < createdAtIso) return;
-        const weekDay = weekdayNameFromIso(dayIso);
-        if (r.days.includes(weekDay)) {
-          // Check status for this routine on this day
-          const status = data?.eventStatuses?.[r.id]?.[dayIso];
-          
-          events[dayIso].push({
-            routineId: r.id,
-            name: r.name || "Routine",
-            color: r.color || "violet",
-            startTime: r.startTime,
-            endTime: r.endTime,
-            status: status // Add status here
-          });
-        }
+      events[occ.dateIso].push({
+        routineId: r.id,
+        name: r.name || "Routine",
+        color: r.color || "violet",
+        startTime: occ.startTime,
+        endTime: occ.endTime,
+        paused: !!occ.paused,
+        status: status // Add status here
       });
     });
     
-    // Sort events by start time
-    Object.keys(events).forEach(k => {
-      events[k].sort((a, b) => (a.startTime || "") > (b.startTime || "") ? 1 : -1);
-    });
-    
     return events;
   };
 
@@ -335,16 +399,27 @@ const Popup = () => {
         </div>
 
         <div style={{ flex: 1, padding: 10, overflowY: "auto" }}>
+          {isSchemaOutdated() && (
+            <div style={{ fontSize: 12, background: "rgba(0,0,0,0.2)", borderRadius: 6, padding: 6, marginBottom: 8 }}>
+              Your data was saved by a newer version of Aeryth. Update the extension to save changes.
+            </div>
+          )}
           {view === "events" && (
             <>
               <h3 style={{ margin: "0 0 12px 0", fontSize: 16 }}>Today's Upcoming Events</h3>
               {upcomingRoutines.length ? upcomingRoutines.map(r => (
-                <div key={r.id} style={{ marginBottom: 8, padding: 8, background: "rgba(255,255,255,0.15)", borderRadius: 6, borderLeft: "3px solid rgba(255,255,255,0.4)" }}>
+                <div key={`${r.id}|${r.key}`} style={{ marginBottom: 8, padding: 8, background: "rgba(255,255,255,0.15)", borderRadius: 6, borderLeft: "3px solid rgba(255,255,255,0.4)" }}>
                   <div style={{ fontWeight: 600, marginBottom: 2, fontSize: 20 }}>{r.name}</div>
                   <div style={{ fontSize: 14, opacity: 0.9 }}>{r.startTime} - {r.endTime}</div>
                   {r.description && (
                     <div style={{ fontSize: 12, opacity: 0.8, marginTop: 4 }}>{r.description}</div>
                   )}
+                  {checklistState(r, data?.checklists?.[r.id], r.key).map(item => (
+                    <label key={item.id} style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 13, marginTop: 4 }}>
+                      <input type="checkbox" checked={item.done} onChange={(e) => handleTick(r, r.key, item.id, e.target.checked)} />
+                      <span style={{ textDecoration: item.done ? "line-through" : "none", opacity: item.done ? 0.7 : 1 }}>{item.text}</span>
+                    </label>
+                  ))}
                 </div>
               )) : <div style={{ fontSize: 12, opacity: 0.7 }}>No more events today.</div>}
             </>
@@ -398,7 +473,7 @@ const Popup = () => {
                         {/* Event strips - scrollable if needed */}
                         <div style={{ flex: 1, display: "flex", flexDirection: "column", gap: 1, minHeight: 0, overflow: "hidden" }}>
                           {events.slice(0, 2).map((evt, idx) => {
-                            const colorStyle = getColorClass(evt.color);
+                            const colorStyle = evt.paused ? { bg: "#e5e7eb", text: "#6b7280" } : getColorClass(evt.color);
                             return (
                               <div 
                                 key={idx}
@@ -414,7 +489,7 @@ const Popup = () => {
                                   lineHeight: 1.3,
                                   flexShrink: 0
                                 }}
-                                title={evt.name}
+                                title={evt.paused ? `${evt.name} (paused)` : evt.name}
                               >
                                 {evt.name}
                               </div>
@@ -434,11 +509,32 @@ const Popup = () => {
             </div>
           )}
 
+          {view === "log" && logRequest && (() => {
+            const routine = routinesById.get(logRequest.routineId);
+            const target = targetOf(routine);
+            if (!routine || !target) return <div style={{ fontSize: 12, opacity: 0.7 }}>This routine no longer has a target.</div>;
+            return (
+              <div>
+                <h3 style={{ margin: "0 0 4px 0", fontSize: 16 }}>Nice work! 🎉</h3>
+                <p style={{ fontSize: 13, margin: "0 0 12px 0", opacity: 0.9 }}>How much {routine.name} did you do? Target: {formatAmount(target.amount, target.unit)} per {target.per}.</p>
+                <div style={{ display: "flex", alignItems: "center", gap: 6 }}>
+                  <input type="number" min="0" autoFocus value={logAmount} onChange={e => setLogAmount(e.target.value)} onKeyDown={e => e.key === "Enter" && handleLogAmount()} style={{ width: 80, padding: 6, borderRadius: 6, border: "none", color: "#111827" }} />
+                  <span style={{ fontSize: 13 }}>{target.unit}</span>
+                </div>
+                {error && <div style={{ color: "#ffd1d1", fontSize: 12, marginTop: 6 }}>{error}</div>}
+                <div style={{ display: "flex", gap: 6, marginTop: 12 }}>
+                  <button disabled={isLogging} onClick={handleLogAmount} style={{ background: "white", color: "#7c3aed", fontWeight: 600, padding: "6px 12px", border: "none", borderRadius: 6, cursor: "pointer" }}>Log</button>
+                  <button onClick={() => window.close()} style={{ background: "transparent", color: "white", padding: "6px 12px", border: "1px solid rgba(255,255,255,0.5)", borderRadius: 6, cursor: "pointer" }}>Not now</button>
+                </div>
+              </div>
+            );
+          })()}
+
           {view === "settings" && (
             <div>
               <h3 style={{ margin: "0 0 12px 0", fontSize: 16 }}>Settings</h3>
               <p style={{ fontSize: 13, marginBottom: 6 }}>Signed in as <b>{user.displayName || user.email}</b></p>
-              <button onClick={handleSignOut} style={{ background: "white", color: "#7c3aed", fontWeight: 600, padding: "6px 12px", border: "none", borderRadius: 6, cursor: "pointer" }}>Sign out</button>
+              {adapter.usesFirebaseAuth && <button onClick={handleSignOut} style={{ background: "white", color: "#7c3aed", fontWeight: 600, padding: "6px 12px", border: "none", borderRadius: 6, cursor: "pointer" }}>Sign out</button>}
             </div>
           )}
         </div>
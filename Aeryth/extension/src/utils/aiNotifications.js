@@ -4,64 +4,7 @@
  * Generate personalized notification text using Gemini Nano (Prompt API)
  * Falls back to template-based messages if API unavailable
  */
-
-const tonePrompts = {
-  "Analyst (Logical)": {
-    start: "You are Aeryth, a logical AI assistant. Generate a 1 line notification reminding the user to start their routine. Be concise, factual, and reason-driven.",
-    end: "You are Aeryth, a logical AI assistant. Generate a 1 line notification asking if the user completed their routine. Be analytical and straightforward.",
-    skipMotivation: "You are Aeryth, a logical AI assistant. The user skipped their routine. Generate a 1 line message explaining logically why starting now would be beneficial. Be persuasive but factual.",
-    deepMotivation: "You are Aeryth, a logical AI assistant. The user has snoozed multiple times. Generate a 1 line message connecting their goal to immediate action. Be direct and reason-focused."
-  },
-  
-  "Companion (Friendly)": {
-    start: "You are Aeryth, a friendly AI companion. Generate a warm, 1-2 line notification reminding the user to start their routine. Be conversational and supportive.",
-    end: "You are Aeryth, a friendly AI companion. Generate a 1-2 line notification asking if the user completed their routine. Be warm and encouraging.",
-    skipMotivation: "You are Aeryth, a friendly AI companion. The user skipped their routine. Generate a 1 line message gently encouraging them to start. Be understanding but motivating.",
-    deepMotivation: "You are Aeryth, a friendly AI companion. The user has snoozed multiple times. Generate a 1 line message reminding them of their goal and why it matters. Be supportive but firm."
-  },
-  
-  "Coach (Motivational)": {
-    start: "You are Aeryth, a motivational AI coach. Generate an energetic 1 line notification to push the user to start their routine. Be assertive and empowering.",
-    end: "You are Aeryth, a motivational AI coach. Generate a 1 line notification asking if the user completed their routine. Be energetic and celebratory.",
-    skipMotivation: "You are Aeryth, a motivational AI coach. The user skipped their routine. Generate a powerful 1 line message to reignite their commitment. Be bold and direct.",
-    deepMotivation: "You are Aeryth, a motivational AI coach. The user has snoozed multiple times. Generate a 1 line message connecting their goal to immediate action with urgency. Be commanding and inspirational."
-  },
-  
-  "Sage (Wise)": {
-    start: "You are Aeryth, a wise AI sage. Generate a thoughtful 1 line notification reminding the user to start their routine. Be calm, reflective, and insightful.",
-    end: "You are Aeryth, a wise AI sage. Generate a 1 line notification asking if the user completed their routine. Be contemplative and balanced.",
-    skipMotivation: "You are Aeryth, a wise AI sage. The user skipped their routine. Generate a 1 line message offering perspective on the value of beginning now. Be gentle yet profound.",
-    deepMotivation: "You are Aeryth, a wise AI sage. The user has snoozed multiple times. Generate a 1 line message connecting their deeper purpose to this moment. Be philosophical and grounding."
-  }
-};
-
-// Fallback templates when Prompt API unavailable
-const fallbackTemplates = {
-  start: {
-    "Analyst (Logical)": (name) => `Time to start ${name}. Consistent execution yields results.`,
-    "Companion (Friendly)": (name) => `Hey! Ready to start ${name}? Let's do this! 💪`,
-    "Coach (Motivational)": (name) => `${name} time! Show up for yourself right now!`,
-    "Sage (Wise)": (name) => `${name} awaits. Small steps create lasting change.`
-  },
-  end: {
-    "Analyst (Logical)": (name) => `${name} period complete. Did you accomplish your objective?`,
-    "Companion (Friendly)": (name) => `Time's up for ${name}! How'd it go? 🌟`,
-    "Coach (Motivational)": (name) => `${name} done! Did you crush it?!`,
-    "Sage (Wise)": (name) => `${name} time has passed. Reflect on your effort.`
-  },
-  skipMotivation: {
-    "Analyst (Logical)": (name) => `Starting ${name} now increases your success probability. Reconsider?`,
-    "Companion (Friendly)": (name) => `I know it's tough, but ${name} will be worth it. Give it a try? 🙏`,
-    "Coach (Motivational)": (name) => `Don't quit on yourself! ${name} is your commitment. Start NOW!`,
-    "Sage (Wise)": (name) => `Every journey begins with a single step. ${name} calls to you.`
-  },
-  deepMotivation: {
-    "Analyst (Logical)": (name, goal) => `${goal} requires action. ${name} is the logical next step.`,
-    "Companion (Friendly)": (name, goal) => `Remember why you started: ${goal}. ${name} matters!`,
-    "Coach (Motivational)": (name, goal) => `${goal} is YOURS to claim! ${name} starts RIGHT NOW!`,
-    "Sage (Wise)": (name, goal) => `${goal} is your north star. ${name} is the path forward.`
-  }
-};
+import { DEFAULT_TONE, forTone, NOTIFICATION_PROMPTS, SHORT_REMINDERS } from "aeryth-core/tones";
 
 /**
  * Check if Prompt API (Gemini Nano) is available
@@ -89,6 +32,7 @@ async function generateWithPromptAPI(prompt, context) {
 Context:
 - Routine: ${context.routineName}
 ${context.routineDescription ? `- Goal: ${context.routineDescription}` : ""}
+${context.goals?.length > 0 ? `- Serves the long-term goal(s): ${context.goals.join("; ")}` : ""}
 ${context.snoozeCount > 0 ? `- User has snoozed ${context.snoozeCount} time(s)` : ""}
 ${context.history?.length > 0 ? `- Recent history: ${context.history.slice(-3).map(h => h.text).join(", ")}` : ""}
 
@@ -111,8 +55,7 @@ Generate a notification message (1-2 lines max, under 100 characters). Be direct
  * Get fallback message based on templates
  */
 function getFallbackMessage(type, tone, routineName, userGoal) {
-  const toneKey = tone || "Companion (Friendly)";
-  const template = fallbackTemplates[type]?.[toneKey];
+  const template = SHORT_REMINDERS[type] && forTone(SHORT_REMINDERS[type], tone);
   
   if (!template) {
     return `Time for ${routineName}!`;
@@ -136,17 +79,19 @@ function getFallbackMessage(type, tone, routineName, userGoal) {
  * @param {number} options.snoozeCount - Number of times snoozed
  * @param {Array} options.history - Notification history
  * @param {string} options.userGoal - User's stated goal
+ * @param {Array} options.goals - Long-term goals the routine serves, as goalLine() texts (aeryth-core's goals.js)
  */
 export async function generateNotificationText(options) {
   const {
     type,
     routineName,
     routineDescription,
-    tone = "Companion (Friendly)",
+    tone = DEFAULT_TONE,
     profile = "",
     snoozeCount = 0,
     history = [],
-    userGoal = ""
+    userGoal = "",
+    goals = []
   } = options;
   
   // Determine message type based on snooze count
@@ -159,7 +104,7 @@ export async function generateNotificationText(options) {
   
   // Try Prompt API first
   if (isPromptAPIAvailable()) {
-    const toneConfig = tonePrompts[tone] || tonePrompts["Companion (Friendly)"];
+    const toneConfig = forTone(NOTIFICATION_PROMPTS, tone);
     const systemPrompt = toneConfig[messageType] || toneConfig.start;
     
     const context = {
@@ -167,7 +112,8 @@ export async function generateNotificationText(options) {
       routineDescription: routineDescription || userGoal,
       snoozeCount,
       history,
-      profile
+      profile,
+      goals
     };
     
     const aiText = await generateWithPromptAPI(systemPrompt, context);
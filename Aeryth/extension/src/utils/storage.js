@@ -1,68 +1,135 @@
 // src/utils/storage.js
-import { auth, db } from "./firebaseInit.js";
-import { getDoc, setDoc, doc } from "firebase/firestore";
+// The extension's data access: the same documents as the web app (layout in aeryth-core's
+// data/records.js), read once per popup and written back per record after a short debounce.
+// Unlike webApp/src/utils/storage.js there is no offline queue.
+// subscribe(key, cb) keeps a key live through the adapter's snapshot listeners.
+// The backend is chosen at build time, see aeryth-core's data/storageAdapter.js.
+// Loaded data is upgraded to the current schemaVersion (schema.js); data written by a newer version
+// of the app is never overwritten.
+import { adapter } from "aeryth-core/data/storageAdapter";
+import {
+  COLLECTION_KEYS,
+  clean,
+  stableStringify,
+  toRecords,
+  fromRecords,
+  serializeRecords,
+  userDocPath,
+  collectionPath,
+  recordPath,
+  loadRootDocument,
+} from "aeryth-core/data/records";
+import { mergeStatusRecords, toStatusRecord } from "aeryth-core/statusMerge";
+import { mergeChecklistMaps } from "aeryth-core/checklists";
+import { migrateData, isNewerSchema } from "aeryth-core/schema";
+
 let currentUser = null;
 let dataCache = null;
-let writeQueue = [];
+let loadPromise = null;
+let persisted = {};
+let dirtyKeys = new Set();
 let isWriting = false;
+let newerSchema = false;
+const subscribers = new Map();
+const snapshotListeners = new Map();
 
 async function ensureAuth() {
-  if (currentUser) return currentUser;
-
-  return new Promise((resolve, reject) => {
-    const unsub = auth.onAuthStateChanged((user) => {
-      unsub();
-      if (user) {
-        currentUser = user;
-        resolve(user);
-      } else {
-        reject(new Error("No signed-in user"));
-      }
-    });
-  });
+  if (!currentUser) currentUser = await adapter.getUser();
+  return currentUser;
 }
 
-async function getUserDocRef() {
-  const user = await ensureAuth();
-  return doc(db, "aeryth_data", user.uid);
+async function getUserDocPath() {
+  return userDocPath(await ensureAuth());
 }
 
 async function loadMasterJSON() {
   try {
-    const ref = await getUserDocRef();
-    const snap = await getDoc(ref);
-    if (snap.exists()) return snap.data();
-
-    const defaults = {
-      aeryth_settings: { aerythTone: "Friendly", userInfo: "", routineCriteria: "" },
-      aeryth_routines: [],
-      aeryth_diary: {},
-      aeryth_stickies: {},
-      aeryth_event_statuses: {},
-      aeryth_notif_chats: {},
-      aeryth_profile: null,
-    };
-    await setDoc(ref, defaults);
-    return defaults;
+    const userPath = await getUserDocPath();
+    const rootData = await loadRootDocument(adapter, userPath);
+
+    const result = { ...rootData };
+    persisted = {};
+    Object.entries(rootData).forEach(([k, v]) => { persisted[k] = stableStringify(v); });
+
+    await Promise.all(Object.keys(COLLECTION_KEYS).map(async (key) => {
+      const records = await adapter.getCollection(collectionPath(userPath, key));
+      persisted[key] = serializeRecords(records);
+      result[key] = fromRecords(key, records);
+    }));
+
+    newerSchema = isNewerSchema(result);
+    const migrated = migrateData(result);
+    if (migrated !== result) {
+      // written back by the first flush (diffed against persisted); schemaVersion goes last
+      Object.keys(migrated).filter(k => k !== "schemaVersion").forEach(k => dirtyKeys.add(k));
+      dirtyKeys.add("schemaVersion");
+    }
+    return migrated;
   } catch (e) {
     console.error("loadMasterJSON error:", e);
     return {};
   }
 }
 
-async function saveMasterJSON(newData) {
-  writeQueue.push(newData);
+function ensureLoaded() {
+  if (dataCache) return Promise.resolve(dataCache);
+  if (!loadPromise) {
+    loadPromise = loadMasterJSON().then(d => {
+      dataCache = dataCache || d;
+      loadPromise = null;
+      if (dirtyKeys.size) flushDirtyKeys();
+      return dataCache;
+    });
+  }
+  return loadPromise;
+}
+
+function diffWrites(userPath, key) {
+  const value = dataCache[key];
+
+  if (!COLLECTION_KEYS[key]) {
+    const serialized = stableStringify(clean(value));
+    if (persisted[key] === serialized) return { writes: [], next: serialized };
+    return {
+      writes: [{ path: userPath, op: "set", data: { [key]: clean(value) }, fields: [key] }],
+      next: serialized,
+    };
+  }
+
+  const before = persisted[key] || {};
+  const next = serializeRecords(toRecords(key, value));
+  const writes = [];
+  Object.entries(next).forEach(([id, serialized]) => {
+    if (before[id] !== serialized) writes.push({ path: recordPath(userPath, key, id), op: "set", data: JSON.parse(serialized) });
+  });
+  Object.keys(before).forEach(id => {
+    if (!(id in next)) writes.push({ path: recordPath(userPath, key, id), op: "delete" });
+  });
+  return { writes, next };
+}
+
+async function flushDirtyKeys() {
   if (isWriting) return;
   isWriting = true;
 
-  while (writeQueue.length > 0) {
-    const latest = writeQueue.pop();
-    writeQueue = [];
+  while (dirtyKeys.size > 0) {
+    const keys = [...dirtyKeys];
+    dirtyKeys = new Set();
     try {
-      const ref = await getUserDocRef();
-      await setDoc(ref, latest, { merge: true });
+      const userPath = await getUserDocPath();
+      // another device may have upgraded the data since it was loaded
+      newerSchema = isNewerSchema(await adapter.getDoc(userPath));
+      if (newerSchema) {
+        console.warn("⚠️ Stored data uses a newer schema; changes are not saved until the extension is updated.");
+        dirtyKeys = new Set();
+        break;
+      }
+      const pending = keys.map(key => ({ key, ...diffWrites(userPath, key) }));
+      const writes = pending.flatMap(p => p.writes);
+      if (writes.length) await adapter.commit(writes);
+      pending.forEach(p => { persisted[p.key] = p.next; });
     } catch (e) {
-      console.error("saveMasterJSON failed:", e);
+      console.error("flushDirtyKeys failed:", e);
     }
   }
 
@@ -71,7 +138,7 @@ async function saveMasterJSON(newData) {
 
 export async function loadAsync(key, fallback) {
   try {
-    if (!dataCache) dataCache = await loadMasterJSON();
+    await ensureLoaded();
     return dataCache[key] ?? fallback;
   } catch (e) {
     console.error("loadAsync error:", e);
@@ -82,21 +149,118 @@ export async function loadAsync(key, fallback) {
 let saveTimeout = null;
 export async function saveAsync(key, value) {
   try {
-    dataCache = dataCache || (await loadMasterJSON());
+    await ensureLoaded();
     dataCache[key] = value;
+    dirtyKeys.add(key);
 
     clearTimeout(saveTimeout);
     saveTimeout = setTimeout(async () => {
-      await saveMasterJSON(dataCache);
+      await flushDirtyKeys();
     }, 800);
   } catch (e) {
     console.error("saveAsync error:", e);
   }
 }
 
+function applyRemoteSnapshot(key, value, serialized) {
+  const unchanged = stableStringify(persisted[key]) === stableStringify(serialized);
+  persisted[key] = serialized;
+  // a local edit waiting for the debounced flush is written over the remote value
+  if (unchanged || !dataCache || dirtyKeys.has(key)) return;
+  dataCache[key] = value;
+  (subscribers.get(key) || []).forEach(cb => {
+    try { cb(value); } catch (e) { console.warn(`subscriber of ${key} failed`, e); }
+  });
+}
+
+async function startSnapshotListener(key) {
+  const userPath = await getUserDocPath();
+  await ensureLoaded();
+  const onError = (e) => console.warn(`subscribe(${key}) listener error:`, e);
+
+  if (COLLECTION_KEYS[key]) {
+    return adapter.watchCollection(collectionPath(userPath, key), (records) => {
+      applyRemoteSnapshot(key, fromRecords(key, records), serializeRecords(records));
+    }, onError);
+  }
+  return adapter.watchDoc(userPath, (data) => {
+    if (!data || !(key in data)) return;
+    applyRemoteSnapshot(key, data[key], stableStringify(data[key]));
+  }, onError);
+}
+
+// Merge one occurrence status into event_statuses/{routineId} inside a transaction (rules in statusMerge.js).
+// Used instead of saveAsync("aeryth_event_statuses", ...) so the popup never overwrites the web app's statuses.
+export async function saveEventStatus(routineId, occurrenceKey, record) {
+  await ensureLoaded();
+  if (newerSchema) throw new Error("Stored data uses a newer schema; update the extension");
+  const path = recordPath(await getUserDocPath(), "aeryth_event_statuses", routineId);
+  const merged = await adapter.transact(path, (data) => {
+    const current = data || {};
+    const winner = mergeStatusRecords(current[occurrenceKey], record);
+    const changed = winner !== toStatusRecord(current[occurrenceKey]);
+    return {
+      result: { ...current, [occurrenceKey]: winner },
+      write: changed ? { op: "set", data: { [occurrenceKey]: winner }, fields: [occurrenceKey] } : null,
+    };
+  });
+
+  // keep the cache in step without waiting for the snapshot listener
+  dataCache.aeryth_event_statuses = { ...(dataCache.aeryth_event_statuses || {}), [routineId]: merged };
+  persisted.aeryth_event_statuses = { ...(persisted.aeryth_event_statuses || {}), [routineId]: stableStringify(merged) };
+  return merged[occurrenceKey];
+}
+
+// Merge one checklist tick into checklists/{routineId} the same way (rules in checklists.js).
+export async function saveChecklistTick(routineId, occurrenceKey, itemId, record) {
+  await ensureLoaded();
+  if (newerSchema) throw new Error("Stored data uses a newer schema; update the extension");
+  const path = recordPath(await getUserDocPath(), "aeryth_checklists", routineId);
+  const merged = await adapter.transact(path, (data) => {
+    const current = data || {};
+    const next = mergeChecklistMaps(current, { [occurrenceKey]: { [itemId]: record } });
+    const changed = next[occurrenceKey][itemId] !== current[occurrenceKey]?.[itemId];
+    return {
+      result: next,
+      write: changed ? { op: "set", data: { [occurrenceKey]: next[occurrenceKey] }, fields: [occurrenceKey] } : null,
+    };
+  });
+
+  dataCache.aeryth_checklists = { ...(dataCache.aeryth_checklists || {}), [routineId]: merged };
+  persisted.aeryth_checklists = { ...(persisted.aeryth_checklists || {}), [routineId]: stableStringify(merged) };
+  return merged;
+}
+
+export function isSchemaOutdated() {
+  return newerSchema;
+}
+
+export function subscribe(key, cb) {
+  if (!subscribers.has(key)) subscribers.set(key, new Set());
+  subscribers.get(key).add(cb);
+
+  if (!snapshotListeners.has(key)) {
+    snapshotListeners.set(key, startSnapshotListener(key).catch(e => {
+      console.warn(`subscribe(${key}) failed:`, e);
+      return null;
+    }));
+  }
+
+  return () => {
+    const set = subscribers.get(key);
+    if (!set) return;
+    set.delete(cb);
+    if (set.size) return;
+    subscribers.delete(key);
+    const listener = snapshotListeners.get(key);
+    snapshotListeners.delete(key);
+    listener?.then(unsub => unsub && unsub());
+  };
+}
+
 export async function pickAndStoreFolder() {
-  return { handle: null, path: "Firebase Cloud", name: "cloud" };
+  return { handle: null, path: adapter.label, name: "cloud" };
 }
 export async function getSavedFolderInfo() {
-  return { path: "Firebase Cloud", name: "cloud" };
+  return { path: adapter.label, name: "cloud" };
 }
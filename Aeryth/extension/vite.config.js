@@ -4,8 +4,9 @@ import tailwindcss from "@tailwindcss/vite";
 import { resolve } from "path";
 import fs from "fs-extra";
 
-export default defineConfig({
+export default defineConfig(({ mode }) => ({
   root: resolve(__dirname, "src"),
+  envDir: __dirname, // .env files (VITE_AERYTH_STORAGE, see core/src/data/storageAdapter.js) live next to this config
   plugins: [
     react(),
     tailwindcss(),
@@ -14,11 +15,12 @@ export default defineConfig({
       closeBundle() {
         const dist = resolve(__dirname, "dist");
         fs.ensureDirSync(dist);
-        fs.copySync(resolve(__dirname, "manifest.json"), resolve(dist, "manifest.json"));
+        // development builds (build:dev) also take messages from the web app's dev server on localhost
+        const manifest = fs.readJsonSync(resolve(__dirname, "manifest.json"));
+        if (mode === "development") manifest.externally_connectable.matches.push("http://localhost/*");
+        fs.writeJsonSync(resolve(dist, "manifest.json"), manifest, { spaces: 2 });
         fs.copySync(resolve(__dirname, "icons"), resolve(dist, "icons"));
-        fs.copySync(resolve(__dirname, "background.js"), resolve(dist, "background.js"));
         fs.copySync(resolve(__dirname, "popup.html"), resolve(dist, "popup.html"));
-        fs.copySync(resolve(__dirname, "src/utils"), resolve(dist, "utils"));
       },
     },
   ],
@@ -26,25 +28,20 @@ export default defineConfig({
     outDir: resolve(__dirname, "dist"),
     emptyOutDir: true,
     rollupOptions: {
-      input: { popup: resolve(__dirname, "src/popup.jsx") },
+      // background.js is bundled too (it imports aeryth-core); manifest.json loads it as a module worker
+      input: {
+        popup: resolve(__dirname, "src/popup.jsx"),
+        background: resolve(__dirname, "background.js"),
+      },
       output: {
-        entryFileNames: "popup.js",
+        entryFileNames: "[name].js",
         chunkFileNames: "assets/[name]-[hash].js",
         assetFileNames: "assets/[name][extname]",
       },
     },
   },
-  rollupOptions: {
-    input: {
-      popup: resolve(__dirname, "src/popup.jsx"),
-      background: resolve(__dirname, "background.js"),
-    },
-    output: {
-      entryFileNames: "[name].js",
-    },
-  },
   optimizeDeps: {
     include: ["firebase/app", "firebase/auth", "firebase/firestore"],
   },
 
-});
+}));
@@ -1,28 +1,49 @@
 // src/App.jsx
-import React, { useEffect, useState, useMemo } from "react";
+import React, { useEffect, useState, useMemo, useCallback } from "react";
 import CalendarView from "./Components/CalendarView";
 import DiaryView from "./Components/DiaryView";
 import ExploreView from "./Components/ExploreView";
 import RoutineStickyView from "./Components/RoutineStickyView";
 import SetGoalPanel from "./Components/SetGoalPanel";
 import SettingsPanel from "./Components/SettingsPanel";
+import TrashView from "./Components/TrashView";
+import StatsView from "./Components/StatsView";
+import GoalsView from "./Components/GoalsView";
+import GoalView from "./Components/GoalView";
 import Sidebar from "./Components/Sidebar";
 import SidebarToggle from "./Components/shared/SidebarToggle";
+import AccountMergeDialog from "./Components/shared/AccountMergeDialog";
 
-import { loadAsync, saveAsync } from "./utils/storage";
-import { iso } from "./utils/helpers";
+import { loadAsync, saveAsync, subscribe } from "./utils/storage";
+import { iso, addDays } from "aeryth-core/dates";
+import { occurrences, editRoutine, changesSchedule, changesRule } from "aeryth-core/recurrence";
 import { callGeminiTemp } from "./utils/ai";
-import { scheduleRoutineNotification } from "./utils/notifications";
+import { scheduleRoutineNotification, cancelRoutineNotifications, notifyExtension, notifyExtensionOfStatus } from "./utils/notifications";
 import { buildAndPersistProfileSummary } from "./utils/personalization";
+import { makeStatusRecord, mergeStatusRecords } from "aeryth-core/statusMerge";
+import { DEFAULT_SETTINGS } from "aeryth-core/schema";
+import { templateFromRoutine, routineFromTemplate } from "aeryth-core/templates";
+import { tagsOf, withTagRenamed } from "aeryth-core/tags";
+import { makeTickRecord, withTick, completesOccurrence } from "aeryth-core/checklists";
+import { anchorOf } from "aeryth-core/chains";
+import { newGoal, goalsOf, goalLine } from "aeryth-core/goals";
+import { activeOnly, withoutDeletedEntries, purgeExpired } from "./utils/trash";
+
+// Firestore keeps createdAt as an ISO string; the app works with Date objects.
+const withDates = (list) =>
+  (list || []).map(r => (r && r.createdAt && typeof r.createdAt === "string" ? { ...r, createdAt: new Date(r.createdAt) } : r));
 
 export default function App() {
   /* persisted state */
-  const [settings, setSettings] = useState({ aerythTone: "Friendly (Default)", userInfo: "", routineCriteria: "" });
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
   const [routines, setRoutines] = useState([]);
   const [diary, setDiary] = useState({});
   const [stickies, setStickies] = useState({});
   const [eventStatuses, setEventStatuses] = useState({});
+  const [checklists, setChecklists] = useState({});
   const [notifChats, setNotifChats] = useState({});
+  const [templates, setTemplates] = useState([]);
+  const [goals, setGoals] = useState([]);
   const [profileSummary, setProfileSummary] = useState(null);
 
   /* ephemeral */
@@ -30,6 +51,7 @@ export default function App() {
   const [currentView, setCurrentView] = useState("explore");
   const [isSidebarOpen, setIsSidebarOpen] = useState(true);
   const [selectedRoutineId, setSelectedRoutineId] = useState(null);
+  const [selectedGoalId, setSelectedGoalId] = useState(null);
   const [isAILoading, setIsAILoading] = useState(false);
 
   const [menuOpenFor, setMenuOpenFor] = useState(null);
@@ -42,51 +64,183 @@ export default function App() {
   /* load persisted on mount */
   useEffect(() => {
     (async () => {
-      const s = await loadAsync("aeryth_settings", { aerythTone: "Friendly", userInfo: "", routineCriteria: "" });
+      const s = await loadAsync("aeryth_settings", DEFAULT_SETTINGS);
       setSettings(s);
-      const r = await loadAsync("aeryth_routines", []);
-      r.forEach(rr => { if (rr && rr.createdAt && typeof rr.createdAt === "string") rr.createdAt = new Date(rr.createdAt); });
-      setRoutines(r);
-      setDiary(await loadAsync("aeryth_diary", {}));
-      setStickies(await loadAsync("aeryth_stickies", {}));
-      setEventStatuses(await loadAsync("aeryth_event_statuses", {}));
-      setNotifChats(await loadAsync("aeryth_notif_chats", {}));
+      const loaded = {
+        routines: withDates(await loadAsync("aeryth_routines", [])),
+        diary: await loadAsync("aeryth_diary", {}),
+        stickies: await loadAsync("aeryth_stickies", {}),
+        eventStatuses: await loadAsync("aeryth_event_statuses", {}),
+        checklists: await loadAsync("aeryth_checklists", {}),
+        notifChats: await loadAsync("aeryth_notif_chats", {}),
+      };
+      // drop whatever has been in the trash for longer than the retention period
+      Object.assign(loaded, purgeExpired(loaded));
+      setRoutines(loaded.routines);
+      setDiary(loaded.diary);
+      setStickies(loaded.stickies);
+      setEventStatuses(loaded.eventStatuses);
+      setChecklists(loaded.checklists);
+      setNotifChats(loaded.notifChats);
       setProfileSummary(await loadAsync("aeryth_profile", null));
+      setTemplates(await loadAsync("aeryth_templates", []));
+      setGoals(await loadAsync("aeryth_goals", []));
     })();
   }, []);
 
+  // deleted routines and diary entries stay in state (and storage) until purged; views only see the rest
+  const activeRoutines = useMemo(() => activeOnly(routines), [routines]);
+  const visibleDiary = useMemo(() => withoutDeletedEntries(diary), [diary]);
+
+  /* live updates from other devices and the extension */
+  useEffect(() => {
+    const unsubs = [
+      subscribe("aeryth_settings", (s) => { if (s) setSettings(s); }),
+      subscribe("aeryth_routines", (r) => setRoutines(withDates(r))),
+      subscribe("aeryth_event_statuses", (e) => setEventStatuses(e || {})),
+      subscribe("aeryth_checklists", (c) => setChecklists(c || {})),
+      subscribe("aeryth_stickies", (s) => setStickies(s || {})),
+      subscribe("aeryth_diary", (d) => setDiary(d || {})),
+      subscribe("aeryth_notif_chats", (c) => setNotifChats(c || {})),
+      subscribe("aeryth_profile", (p) => setProfileSummary(p ?? null)),
+      subscribe("aeryth_templates", (t) => setTemplates(t || [])),
+      subscribe("aeryth_goals", (g) => setGoals(g || [])),
+    ];
+    return () => unsubs.forEach(unsub => unsub());
+  }, []);
+
   /* persisters */
   useEffect(() => { saveAsync("aeryth_settings", settings); }, [settings]);
   useEffect(() => { saveAsync("aeryth_diary", diary); }, [diary]);
   useEffect(() => { saveAsync("aeryth_stickies", stickies); }, [stickies]);
   useEffect(() => { saveAsync("aeryth_event_statuses", eventStatuses); }, [eventStatuses]);
+  useEffect(() => { saveAsync("aeryth_checklists", checklists); }, [checklists]);
   useEffect(() => { saveAsync("aeryth_notif_chats", notifChats); }, [notifChats]);
   useEffect(() => { saveAsync("aeryth_profile", profileSummary); }, [profileSummary]);
+  useEffect(() => { saveAsync("aeryth_templates", templates); }, [templates]);
+  useEffect(() => { saveAsync("aeryth_goals", goals); }, [goals]);
   useEffect(() => { saveAsync("aeryth_routines", routines.map(r => ({ ...r, createdAt: r.createdAt ? new Date(r.createdAt).toISOString() : r.createdAt }))); }, [routines]);
 
   // helpers to mutate persisted arrays
-  const addRoutine = ({ name, description, startTime, endTime, days, color = "violet" }) => {
+  const addRoutine = ({ name, description, tags = [], startTime, endTime, slots = [], days, recurrence = null, target = null, checklist = [], checklistCompletes = false, anchor = null, color = "violet" }) => {
     const id = crypto.randomUUID();
     const now = new Date();
-    const r = { id, name, description, startTime, endTime, days, color, createdAt: now };
+    const r = { id, name, description, tags, startTime, endTime, slots, days, recurrence, target, checklist, checklistCompletes, anchor, color, createdAt: now };
     setRoutines(prev => [r, ...prev]);
     const prevD = iso(new Date(Date.now() - 86400000));
     const curD = iso(new Date());
     const nextD = iso(new Date(Date.now() + 86400000));
     setStickies(prev => ({ ...prev, [id]: { dates: { [prevD]: { text: "", color }, [curD]: { text: "", color }, [nextD]: { text: "", color } } } }));
-    setEventStatuses(prev => ({ ...(prev || {}), [id]: { [curD]: "upcoming", [nextD]: "upcoming" } }));
+    setEventStatuses(prev => ({ ...(prev || {}), [id]: { [curD]: makeStatusRecord("upcoming", "web", { auto: true }), [nextD]: makeStatusRecord("upcoming", "web", { auto: true }) } }));
     scheduleUpcomingNotificationsForRoutine(r);
     return id;
   };
 
+  // a new routine on the same schedule, starting today (aeryth-core's templates.js)
+  const duplicateRoutine = (id) => {
+    const r = routines.find(rr => rr.id === id);
+    if (!r) return;
+    const newId = addRoutine({ ...routineFromTemplate(templateFromRoutine(r)), anchor: r.anchor || null, name: `${r.name} (copy)` });
+    openRoutineView(newId);
+  };
+
+  // templates
+  const saveAsTemplate = (id) => {
+    const r = routines.find(rr => rr.id === id);
+    if (!r) return;
+    setTemplates(prev => [templateFromRoutine(r), ...prev]);
+    alert(`Saved "${r.name}" as a template. Pick it under New Routine.`);
+  };
+  const deleteTemplate = (id) => setTemplates(prev => prev.filter(t => t.id !== id));
+
+  // goals (aeryth-core's goals.js)
+  const addGoal = (fields) => {
+    const goal = newGoal(fields);
+    setGoals(prev => [goal, ...prev]);
+    return goal.id;
+  };
+  const updateGoal = (id, patch) => setGoals(prev => prev.map(g => g.id === id ? { ...g, ...patch } : g));
+  const deleteGoal = (id) => {
+    setGoals(prev => prev.filter(g => g.id !== id));
+    if (selectedGoalId === id) { setSelectedGoalId(null); setCurrentView("goals"); }
+  };
+  const openGoalView = (id) => {
+    setSelectedGoalId(id);
+    setCurrentView("goalView");
+  };
+
+  const scheduleUpcomingNotificationsForRoutine = useCallback((routine, daysAhead = 3) => {
+    // anchored routines are started by the extension's worker once their anchor is completed (aeryth-core's chains.js)
+    if (anchorOf(routine, routines)) return;
+    const today = iso(new Date());
+    const { vacation } = settings;
+    // scheduleRoutineNotification() covers every slot of a day and skips reminders already past;
+    // yesterday is included for the end of an overnight session that is still running
+    const days = new Set(occurrences(routine, addDays(today, -1), addDays(today, daysAhead - 1), { vacation }).map(occ => occ.dateIso));
+    // reminders name the goals the routine serves
+    const served = goalsOf(routine.id, goals).map(g => ` 🎯 ${goalLine(g)}`).join("");
+    days.forEach(dateIso => {
+      scheduleRoutineNotification(routine, dateIso, "start", `${routine.name}: time to start.${served}`, { vacation });
+      scheduleRoutineNotification(routine, dateIso, "end", `${routine.name}: time's up — did you complete it?`, { vacation });
+    });
+  }, [routines, settings, goals]);
+
+  // replaces the routine's pending reminders after an edit, here and in the extension's worker
+  const rescheduleNotificationsForRoutine = useCallback(async (routine) => {
+    await cancelRoutineNotifications(routine.id);
+    scheduleUpcomingNotificationsForRoutine(routine);
+    notifyExtension(routine);
+  }, [scheduleUpcomingNotificationsForRoutine]);
+
   const updateRoutine = (id, patch) => {
     setRoutines(prev => prev.map(r => r.id === id ? { ...r, ...patch } : r));
   };
+  // saves the full editor (SetGoalPanel in edit mode). A schedule change applies from the routine's next session
+  // on or after today (or the new start day, if later), keeping past sessions as they were ("future"), or to the
+  // whole series. The editor always sends the rule; an unchanged one is left out so it isn't stored again.
+  const saveRoutineEdits = useCallback((id, fields, scope = "future") => {
+    const r = routines.find(rr => rr.id === id);
+    if (!r) return;
+    const patch = changesRule(r, fields) ? fields : Object.fromEntries(Object.entries(fields).filter(([k]) => k !== "days" && k !== "recurrence"));
+    const today = iso(new Date());
+    const start = patch.recurrence?.start;
+    const from = start && start > today ? start : today;
+    const updated = { ...r, ...(changesSchedule(r, patch) ? editRoutine(r, from, patch, scope) : patch) };
+    setRoutines(prev => prev.map(x => x.id === id ? updated : x));
+    rescheduleNotificationsForRoutine(updated);
+  }, [routines, rescheduleNotificationsForRoutine]);
+  const openRoutineEditor = (id) => {
+    setSelectedRoutineId(id);
+    setCurrentView("editRoutine");
+  };
+  // renames a tag on every routine (trashed ones included), or removes it when to is empty
+  const renameTag = (from, to) => {
+    setRoutines(prev => prev.map(r => tagsOf(r).includes(from) ? { ...r, ...withTagRenamed(r, from, to) } : r));
+  };
+  // moves the routine to the trash; its stickies and statuses are kept for a restore. Its reminders go, here and
+  // in the extension's worker, which drops a routine sent with deletedAt
   const removeRoutine = (id) => {
+    const deletedAt = new Date().toISOString();
+    updateRoutine(id, { deletedAt });
+    const r = routines.find(rr => rr.id === id);
+    if (r) {
+      cancelRoutineNotifications(id);
+      notifyExtension({ ...r, deletedAt });
+    }
+    if (selectedRoutineId === id) { setSelectedRoutineId(null); setCurrentView("explore"); }
+  };
+  // back from the trash, with its reminders
+  const restoreRoutine = (id) => {
+    updateRoutine(id, { deletedAt: null });
+    const r = routines.find(rr => rr.id === id);
+    if (r) rescheduleNotificationsForRoutine({ ...r, deletedAt: null });
+  };
+  const purgeRoutine = (id) => {
     setRoutines(prev => prev.filter(r => r.id !== id));
     setStickies(prev => { const n = { ...prev }; delete n[id]; return n; });
     setEventStatuses(prev => { const n = { ...prev }; delete n[id]; return n; });
-    if (selectedRoutineId === id) { setSelectedRoutineId(null); setCurrentView("explore"); }
+    setChecklists(prev => { const n = { ...prev }; delete n[id]; return n; });
+    setNotifChats(prev => { const n = { ...prev }; delete n[id]; return n; });
   };
 
   // stickies
@@ -123,15 +277,25 @@ export default function App() {
     });
   };
 
-  const deleteDiaryEntry = (monthKey, dayKey, entryId) => {
+  const updateDiaryDay = (monthKey, dayKey, fn) => {
     setDiary(prev => {
       const n = { ...prev };
       n[monthKey] = { ...(n[monthKey] || {}) };
-      n[monthKey][dayKey] = (n[monthKey][dayKey] || []).filter(x => x.id !== entryId);
+      n[monthKey][dayKey] = fn(n[monthKey][dayKey] || []);
       return n;
     });
   };
 
+  // soft delete: the entry goes to the trash (see utils/trash.js)
+  const deleteDiaryEntry = (monthKey, dayKey, entryId) =>
+    updateDiaryDay(monthKey, dayKey, entries => entries.map(x => x.id === entryId ? { ...x, deletedAt: new Date().toISOString() } : x));
+
+  const restoreDiaryEntry = (monthKey, dayKey, entryId) =>
+    updateDiaryDay(monthKey, dayKey, entries => entries.map(x => x.id === entryId ? { ...x, deletedAt: null } : x));
+
+  const purgeDiaryEntry = (monthKey, dayKey, entryId) =>
+    updateDiaryDay(monthKey, dayKey, entries => entries.filter(x => x.id !== entryId));
+
   const updateDiaryEntry = (monthKey, dayKey, entryId, newText) => {
     setDiary(prev => {
       const n = { ...prev };
@@ -156,38 +320,41 @@ export default function App() {
     setIsAILoading(true);
     const userMsg = { id: crypto.randomUUID(), role: "user", text };
     setExploreBuffer(prev => [...prev, userMsg]);
-    const aiText = await callGeminiTemp("explore-temp", [...exploreBuffer, userMsg], settings, routines);
+    const aiText = await callGeminiTemp("explore-temp", [...exploreBuffer, userMsg], settings, activeRoutines, goals);
     if (currentSession === chatSessionId) {
       setExploreBuffer(prev => [...prev, { id: crypto.randomUUID(), role: "aeryth", text: aiText }]);
     }
     setIsAILoading(false);
   };
 
-  const setEventStatus = (rid, dateIso, status) => {
+  // opts.auto marks automatic transitions (see statusMerge.js) so they never override a user's choice;
+  // opts.amount is what was done towards the routine's target (aeryth-core's targets.js)
+  // key is the occurrence key: the day, or day#slotId for a routine's further time slots (aeryth-core's recurrence.js)
+  const setEventStatus = (rid, key, status, opts = {}) => {
+    const extra = {};
+    if (opts.auto) extra.auto = true;
+    if (opts.amount > 0) extra.amount = opts.amount;
+    const record = makeStatusRecord(status, "web", extra);
     setEventStatuses(prev => {
       const n = { ...(prev || {}) };
-      n[rid] = n[rid] || {};
-      n[rid][dateIso] = status;
+      n[rid] = { ...(n[rid] || {}) };
+      n[rid][key] = mergeStatusRecords(n[rid][key], record);
       return n;
     });
+    // the extension's worker starts the routines anchored to this one once it is completed
+    if (!opts.auto) notifyExtensionOfStatus(rid, key, record);
   };
 
-  const scheduleUpcomingNotificationsForRoutine = (routine, daysAhead = 3) => {
-    const now = new Date();
-    for (let i = 0; i < daysAhead; i++) {
-      const d = new Date(now.getFullYear(), now.getMonth(), now.getDate() + i);
-      const dayIso = iso(d);
-      if (routine.createdAt && dayIso < iso(new Date(routine.createdAt))) continue;
-      const daysMap = { Mon:1, Tue:2, Wed:3, Thu:4, Fri:5, Sat:6, Sun:0 };
-      const wd = d.getDay();
-      if (!routine.days || !routine.days.some(dd => daysMap[dd] === wd)) continue;
-      scheduleRoutineNotification(routine, dayIso, "start", `${routine.name}: time to start.`);
-      scheduleRoutineNotification(routine, dayIso, "end", `${routine.name}: time's up — did you complete it?`);
-    }
+  // ticks one checklist item of an occurrence (aeryth-core's checklists.js); the last tick may complete it
+  const setChecklistTick = (rid, key, itemId, done) => {
+    const record = makeTickRecord(done, "web");
+    setChecklists(prev => ({ ...prev, [rid]: withTick(prev[rid], key, itemId, record) }));
+    const r = routines.find(x => x.id === rid);
+    if (done && completesOccurrence(r, withTick(checklists[rid], key, itemId, record), key)) setEventStatus(rid, key, "completed");
   };
 
   const buildAndPersistProfileSummaryLocal = async () => {
-    const s = await buildAndPersistProfileSummary({ settings, routines, diary });
+    const s = await buildAndPersistProfileSummary({ settings, routines: activeRoutines, goals, diary: visibleDiary });
     setProfileSummary(s);
   };
 
@@ -198,7 +365,7 @@ export default function App() {
   };
 
   const sidebarProps = {
-    routines,
+    routines: activeRoutines,
     setCurrentView,
     handleNewChat,
     setSelectedRoutineId: openRoutineView,
@@ -209,19 +376,47 @@ export default function App() {
     menuOpenFor,
     setMenuOpenFor,
     updateRoutine,
-    removeRoutine
+    removeRoutine,
+    duplicateRoutine,
+    saveAsTemplate,
+    openRoutineEditor,
+    vacation: settings.vacation,
+    tagColors: settings.tagColors
   };
 
   const MainPanel = useMemo(() => {
     switch (currentView) {
       case "setGoal":
-        return <SetGoalPanel addRoutine={addRoutine} setCurrentView={setCurrentView} setSelectedRoutineId={setSelectedRoutineId} />;
+        return <SetGoalPanel addRoutine={addRoutine} routines={activeRoutines} eventStatuses={eventStatuses} vacation={settings.vacation} templates={templates} deleteTemplate={deleteTemplate} setCurrentView={setCurrentView} setSelectedRoutineId={setSelectedRoutineId} />;
+      case "editRoutine": {
+        const editing = activeRoutines.find(r => r.id === selectedRoutineId);
+        return editing ? (
+          <SetGoalPanel
+            key={editing.id}
+            routine={editing}
+            saveRoutine={saveRoutineEdits}
+            routines={activeRoutines}
+            eventStatuses={eventStatuses}
+            vacation={settings.vacation}
+            setCurrentView={setCurrentView}
+            setSelectedRoutineId={setSelectedRoutineId}
+          />
+        ) : null;
+      }
       case "routineView":
         return selectedRoutineId ? (
           <RoutineStickyView
-            routines={routines}
+            routines={activeRoutines}
             selectedRoutineId={selectedRoutineId}
+            goals={goals}
+            openGoalView={openGoalView}
+            openRoutineEditor={openRoutineEditor}
             stickies={stickies}
+            eventStatuses={eventStatuses}
+            checklists={checklists}
+            setChecklistTick={setChecklistTick}
+            vacation={settings.vacation}
+            updateRoutine={updateRoutine}
             setStickyText={setStickyText}
             setStickyColor={setStickyColor}
             setCurrentView={setCurrentView}
@@ -231,10 +426,14 @@ export default function App() {
       case "calendar":
         return (
           <CalendarView
-            routines={routines}
+            routines={activeRoutines}
             setRoutines={setRoutines}
             eventStatuses={eventStatuses}
             setEventStatus={setEventStatus}
+            checklists={checklists}
+            setChecklistTick={setChecklistTick}
+            vacation={settings.vacation}
+            tagColors={settings.tagColors}
             editBuffer={editBuffer}
             setEditBuffer={setEditBuffer}
             activeCalendarDate={activeCalendarDate}
@@ -246,15 +445,43 @@ export default function App() {
       case "diary":
         return (
           <DiaryView
-            diary={diary}
+            diary={visibleDiary}
             addDiaryEntry={addDiaryEntry}
             deleteDiaryEntry={deleteDiaryEntry}
             updateDiaryEntry={updateDiaryEntry}
             generateMonthlySummaryIfMissing={() => {}}
           />
         );
+      case "trash":
+        return (
+          <TrashView
+            routines={routines}
+            diary={diary}
+            restoreRoutine={restoreRoutine}
+            purgeRoutine={purgeRoutine}
+            restoreDiaryEntry={restoreDiaryEntry}
+            purgeDiaryEntry={purgeDiaryEntry}
+          />
+        );
+      case "goals":
+        return <GoalsView goals={goals} routines={activeRoutines} eventStatuses={eventStatuses} vacation={settings.vacation} addGoal={addGoal} openGoalView={openGoalView} />;
+      case "goalView":
+        return (
+          <GoalView
+            goal={goals.find(g => g.id === selectedGoalId)}
+            routines={activeRoutines}
+            eventStatuses={eventStatuses}
+            vacation={settings.vacation}
+            updateGoal={updateGoal}
+            deleteGoal={deleteGoal}
+            openRoutineView={openRoutineView}
+            setCurrentView={setCurrentView}
+          />
+        );
+      case "stats":
+        return <StatsView routines={activeRoutines} eventStatuses={eventStatuses} vacation={settings.vacation} tagColors={settings.tagColors} />;
       case "settings":
-        return <SettingsPanel settings={settings} setSettings={setSettings} setCurrentView={setCurrentView} />;
+        return <SettingsPanel settings={settings} setSettings={setSettings} routines={activeRoutines} renameTag={renameTag} setCurrentView={setCurrentView} />;
       default:
         return (
           <ExploreView
@@ -262,13 +489,13 @@ export default function App() {
             handleExploreSend={handleExploreSend}
             isAILoading={isAILoading}
             settings={settings}
-            routines={routines}
+            routines={activeRoutines}
             currentView={currentView}
             setCurrentView={setCurrentView}
           />
         );
     }
-  }, [currentView, selectedRoutineId, routines, stickies, editBuffer, activeCalendarDate, exploreBuffer, isAILoading, settings,diary]);
+  }, [currentView, selectedRoutineId, routines, activeRoutines, stickies, eventStatuses, editBuffer, activeCalendarDate, exploreBuffer, isAILoading, settings, diary, visibleDiary, templates, checklists, goals, selectedGoalId, saveRoutineEdits]);
 
   return (
     <div className="flex h-screen w-full font-sans bg-gradient-to-br from-violet-50 to-fuchsia-50 antialiased">
@@ -282,6 +509,8 @@ export default function App() {
 
       {!isSidebarOpen && <div className="fixed right-4 top-6 z-50"><SidebarToggle inside onClick={() => setIsSidebarOpen(true)} /></div>}
       {isSidebarOpen && <div className="fixed right-4 top-6 z-50"><SidebarToggle inside onClick={() => setIsSidebarOpen(false)} /></div>}
+
+      <AccountMergeDialog />
     </div>
   );
 }
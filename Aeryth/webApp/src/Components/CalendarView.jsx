@@ -1,32 +1,40 @@
 // src/components/CalendarView.jsx
 import React, { useEffect, useState, useRef } from "react";
 import Calendar from "react-calendar";
-import { iso, fmtShort, weekdayNameFromIso, ensureEndAfterStart } from "../utils/helpers";
-import { saveAsync } from "../utils/storage";
-import { scheduleRoutineNotification } from "../utils/notifications";
+import { iso, addDays, atTime, fmtShort, ensureEndAfterStart, crossesMidnight } from "aeryth-core/dates";
+import { occurrencesOf, recurrenceOf, describeRecurrence, editRoutine, withOverride, parseOccurrenceKey, slotsOf, WEEK_ORDER } from "aeryth-core/recurrence";
+import { scheduleRoutineNotification, cancelRoutineNotifications, notifyExtension } from "../utils/notifications";
+import { statusOf } from "aeryth-core/statusMerge";
+import { targetOf, loggedAmount, formatAmount } from "aeryth-core/targets";
+import { conflictsOf, describeConflict, overlappingOccurrences } from "aeryth-core/conflicts";
+import { colorOf } from "aeryth-core/tags";
+import { checklistState } from "aeryth-core/checklists";
+import { anchorOf } from "aeryth-core/chains";
 
 export default function CalendarView({
-  routines, setRoutines, eventStatuses, setEventStatus, editBuffer, setEditBuffer, saveChanges, hasChanges
+  routines, setRoutines, eventStatuses, setEventStatus, checklists = {}, setChecklistTick, vacation, tagColors = {}, editBuffer, setEditBuffer, saveChanges, hasChanges
 }) {
   const [calendarDate, setCalendarDate] = useState(new Date());
   const [calendarViewMonth, setCalendarViewMonth] = useState(new Date());
-  // Local mirror to force immediate UI updates for statuses
-  const [localStatuses, setLocalStatuses] = useState(eventStatuses || {});
   const statusTimerRef = useRef(null);
+  // routine whose pending edit is waiting for "this occurrence / all future / entire series"
+  const [scopeFor, setScopeFor] = useState(null);
+  const [oneOff, setOneOff] = useState({ routineId: "", startTime: "", endTime: "" });
+  // amounts typed next to "Completed", by routineId|dateIso
+  const [amounts, setAmounts] = useState({});
 
   // refs to keep latest values inside interval without re-creating it
   const routinesRef = useRef(routines);
-  const localStatusesRef = useRef(localStatuses);
+  const eventStatusesRef = useRef(eventStatuses);
+  const vacationRef = useRef(vacation);
+  // occurrences already marked by this tick, so a pending state update isn't issued twice
+  const markedRef = useRef(new Set());
 
   useEffect(() => { routinesRef.current = routines; }, [routines]);
-  useEffect(() => { localStatusesRef.current = localStatuses; }, [localStatuses]);
+  useEffect(() => { eventStatusesRef.current = eventStatuses; }, [eventStatuses]);
+  useEffect(() => { vacationRef.current = vacation; }, [vacation]);
 
-  // sync prop -> local mirror when parent updates (initial load or external changes)
-  useEffect(() => {
-    setLocalStatuses(eventStatuses || {});
-  }, [eventStatuses]);
-
-  // Check every 5s and mark routines as in-progress when start time has passed for today's date.
+  // Check every 5s and mark routines as in-progress when start time has passed, up to their end.
   useEffect(() => {
     // clear any previous interval
     if (statusTimerRef.current) {
@@ -37,40 +45,24 @@ export default function CalendarView({
     const tick = () => {
       const now = new Date();
       const nowIso = iso(now);
-      const updated = { ...(localStatusesRef.current || {}) };
-      let shouldSave = false;
-
-      // iterate all routines and update today's status when startTime passes
-      (routinesRef.current || []).forEach(r => {
-        if (!r || !r.startTime) return;
-        // skip if routine created in future
-        const createdAtIso = r.createdAt ? iso(new Date(r.createdAt)) : null;
-        if (createdAtIso && nowIso < createdAtIso) return;
-
-        // check if today is one of the routine days (weekday)
-        const wd = new Date().getDay(); // 0..6
-        const dayName = ["Sun","Mon","Tue","Wed","Thu","Fri","Sat"][wd];
-        if (!r.days || !r.days.includes(dayName)) return;
-
-        const todayStatus = (updated[r.id] || {})[nowIso] || (eventStatuses[r.id] || {})[nowIso] || "upcoming";
+      const statuses = eventStatusesRef.current || {};
+
+      // iterate today's occurrences and update their status when startTime passes;
+      // yesterday's only count while still running, i.e. overnight sessions ending today
+      occurrencesOf(routinesRef.current, addDays(nowIso, -1), nowIso, { vacation: vacationRef.current }).forEach(occ => {
+        if (occ.dateIso !== nowIso && now.getTime() >= occ.end) return;
+        const todayStatus = statusOf((statuses[occ.routineId] || {})[occ.key]) || "upcoming";
         // if already final state, skip
         if (todayStatus === "completed" || todayStatus === "skipped" || todayStatus === "in-progress") return;
+        const markKey = `${occ.routineId}|${occ.key}`;
+        if (markedRef.current.has(markKey)) return;
 
-        const [hh, mm] = (r.startTime || "00:00").split(":").map(Number);
-        const startDt = new Date(now.getFullYear(), now.getMonth(), now.getDate(), hh, mm);
-        if (now >= startDt) {
-          // mark in-progress
-          updated[r.id] = { ...(updated[r.id] || {}), [nowIso]: "in-progress" };
-          // update parent and mark to persist
-          setEventStatus(r.id, nowIso, "in-progress");
-          shouldSave = true;
+        if (now.getTime() >= occ.start) {
+          // automatic transition: never overrides a completed/skipped set elsewhere (statusMerge.js)
+          markedRef.current.add(markKey);
+          setEventStatus(occ.routineId, occ.key, "in-progress", { auto: true });
         }
       });
-
-      if (shouldSave) {
-        setLocalStatuses(updated);
-        try { saveAsync("aeryth_event_statuses", updated); } catch (e) { /* ignore */ }
-      }
     };
 
     // run immediately then set interval
@@ -105,58 +97,109 @@ export default function CalendarView({
   // build events map for the visible range
   const calendarEvents = (() => {
     const events = {};
-    const getRangeDates = (base) => {
-      const arr = [];
-      const start = new Date(base.getFullYear(), base.getMonth() - 1, 1);
-      const end = new Date(base.getFullYear(), base.getMonth() + 2, 0);
-      for (let d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) arr.push(new Date(d));
-      return arr;
-    };
-    getRangeDates(calendarViewMonth).forEach(d => events[iso(d)] = []);
-    routines.forEach(r => {
-      if (!r.days || !r.startTime) return;
-      const createdAtIso = r.createdAt ? iso(new Date(r.createdAt)) : null;
-      Object.keys(events).forEach(dayIso => {
-        if (createdAtIso && dayIso < createdAtIso) return;
-        const weekDay = weekdayNameFromIso(dayIso); // local weekday name
-        if (r.days.some(dd => dd === weekDay)) {
-          events[dayIso].push({ routineId: r.id, name: r.name || "Routine", color: r.color || "violet", startTime: r.startTime, endTime: r.endTime, days: r.days });
-        }
-      });
+    const start = new Date(calendarViewMonth.getFullYear(), calendarViewMonth.getMonth() - 1, 1);
+    const end = new Date(calendarViewMonth.getFullYear(), calendarViewMonth.getMonth() + 2, 0);
+    const byId = new Map(routines.map(r => [r.id, r]));
+    // occurrencesOf() is already ordered by start time; paused days are shown, greyed out
+    const occs = occurrencesOf(routines, start, end, { vacation, includePaused: true });
+    const overlapping = overlappingOccurrences(occs);
+    occs.forEach(occ => {
+      const r = byId.get(occ.routineId);
+      if (!events[occ.dateIso]) events[occ.dateIso] = [];
+      events[occ.dateIso].push({ routineId: r.id, key: occ.key, slotId: occ.slotId, dateIso: occ.dateIso, name: r.name || "Routine", color: colorOf(r, tagColors), startTime: occ.startTime, endTime: occ.endTime, days: r.days, recurrence: r.recurrence, moved: !!occ.moved, extra: !!occ.extra, paused: !!occ.paused, conflict: overlapping.has(`${occ.routineId}|${occ.key}`), target: targetOf(r), checklist: checklistState(r, checklists[r.id], occ.key), after: byId.get(anchorOf(r, routines)?.routineId)?.name || null });
     });
-    Object.keys(events).forEach(k => events[k].sort((a,b) => (a.startTime||"") > (b.startTime||"") ? 1 : -1));
     return events;
   })();
 
-  const availableDays = ["Mon","Tue","Wed","Thu","Fri","Sat","Sun"];
+  // edits are buffered per occurrence, since each time slot of a routine has its own card
+  const editIdOf = (ev) => `${ev.routineId}|${ev.key}`;
 
   // handle local edits (editBuffer stored in parent App)
   const handleLocalChange = (id, field, value) => {
     setEditBuffer(prev => ({ ...prev, [id]: { ...(prev[id] || {}), [field]: value } }));
   };
 
-  // save changes: apply validation for endTime
-  const handleSaveChanges = (id) => {
-    const patch = editBuffer[id];
-    if (!patch) return;
-    // ensure endTime > startTime
-    const start = patch.startTime ?? (routines.find(r=>r.id===id)?.startTime);
-    const end = patch.endTime ?? (routines.find(r=>r.id===id)?.endTime);
-    const correctedEnd = ensureEndAfterStart(start, end);
-    patch.endTime = correctedEnd;
-    // apply
-    setRoutines(prev => prev.map(r => r.id === id ? { ...r, ...patch } : r));
-    // schedule notifications for upcoming days
+  // apply change(routine) -> fields to one routine and replace its reminders: every pending one goes (the end
+  // reminder of a cancelled or moved session too), the next days' and the given days' start and end reminders
+  // are set again, and the extension's worker gets the new schedule
+  const applyToRoutine = async (id, change, days = []) => {
+    // App persists routines, including the trashed ones this view never sees
+    setRoutines(prev => prev.map(r => r.id === id ? { ...r, ...change(r) } : r));
     const r = routines.find(rr => rr.id === id);
-    if (r) scheduleRoutineNotification({ ...r, ...patch }, iso(new Date()), "start", `Reminder: ${r.name}`);
-    // persist routines
-    saveAsync("aeryth_routines", routines.map(x => x.id === id ? { ...x, ...patch } : x));
+    if (!r) return;
+    const updated = { ...r, ...change(r) };
+    await cancelRoutineNotifications(id);
+    // anchored routines are started by the worker once their anchor is completed (aeryth-core's chains.js);
+    // yesterday is included for an overnight session still running
+    if (!anchorOf(updated, routines)) {
+      const today = iso(new Date());
+      [...new Set([addDays(today, -1), today, addDays(today, 1), addDays(today, 2), ...days])].forEach(d => {
+        scheduleRoutineNotification(updated, d, "start", `Reminder: ${r.name}`, { vacation });
+        scheduleRoutineNotification(updated, d, "end", `${r.name}: time's up — did you complete it?`, { vacation });
+      });
+    }
+    notifyExtension(updated);
+  };
+
+  // edits to the time or days ask which occurrences they apply to first
+  const changesSchedule = (id) => ["startTime", "endTime", "days"].some(k => k in (editBuffer[id] || {}));
+
+  // save changes made on one occurrence to the chosen scope (see editRoutine in aeryth-core's recurrence.js)
+  const handleSaveChanges = (ev, scope = "series") => {
+    const editId = editIdOf(ev);
+    const patch = { ...editBuffer[editId] };
+    if (!editBuffer[editId]) return;
+    // ensure endTime > startTime, against the times shown for this occurrence
+    if (patch.startTime || patch.endTime) patch.endTime = ensureEndAfterStart(patch.startTime ?? ev.startTime, patch.endTime ?? ev.endTime);
+    if (changesSchedule(editId) && !confirmConflicts(ev, r => editRoutine(r, ev.key, patch, scope), scope)) return;
+    applyToRoutine(ev.routineId, r => editRoutine(r, ev.key, patch, scope), [ev.dateIso]);
     // clear edit buffer
-    setEditBuffer(prev => { const n = { ...prev }; delete n[id]; return n; });
+    setEditBuffer(prev => { const n = { ...prev }; delete n[editId]; return n; });
+    setScopeFor(null);
+  };
+
+  // warns about the sessions the edited routine would overlap from that occurrence on; false when the user backs out
+  const confirmConflicts = (ev, change, scope) => {
+    const r = routines.find(rr => rr.id === ev.routineId);
+    if (!r) return true;
+    let conflicts = conflictsOf({ ...r, ...change(r) }, routines, { from: ev.dateIso, vacation });
+    if (scope === "occurrence") {
+      conflicts = conflicts
+        .map(c => ({ ...c, pairs: c.pairs.filter(p => p.occurrence.key === ev.key) }))
+        .filter(c => c.pairs.length);
+    }
+    if (!conflicts.length) return true;
+    return window.confirm(`This overlaps with:\n${conflicts.map(describeConflict).join("\n")}\n\nSave anyway?`);
+  };
+
+  const requestSave = (ev) => {
+    // a one-off session has no series to apply the edit to
+    if (ev.extra) handleSaveChanges(ev, "occurrence");
+    else if (changesSchedule(editIdOf(ev))) setScopeFor(editIdOf(ev));
+    else handleSaveChanges(ev);
+  };
+
+  // cancelling keeps a "cancelled" status so the day doesn't read as missed; one-off sessions are just removed
+  const cancelOccurrence = (ev) => {
+    applyToRoutine(ev.routineId, r => withOverride(r, ev.key, ev.extra ? null : { cancelled: true }), [ev.dateIso]);
+    if (!ev.extra) setEventStatus(ev.routineId, ev.key, "cancelled");
+  };
+
+  // back to the series' own time for that occurrence
+  const resetOccurrence = (routineId, key, status = null) => {
+    applyToRoutine(routineId, r => withOverride(r, key, null), [parseOccurrenceKey(key).dateIso]);
+    if (status) setEventStatus(routineId, key, status);
+  };
+
+  const addOneOff = (dateIso) => {
+    if (!oneOff.routineId || !oneOff.startTime) { alert("Pick a routine and a start time"); return; }
+    const times = { startTime: oneOff.startTime, endTime: ensureEndAfterStart(oneOff.startTime, oneOff.endTime || oneOff.startTime) };
+    applyToRoutine(oneOff.routineId, r => withOverride(r, dateIso, times), [dateIso]);
+    setOneOff({ routineId: "", startTime: "", endTime: "" });
   };
 
   const isDateInPast = (dateIso) => dateIso < iso(new Date());
-  const getStatus = (routineId, dateIso) => (eventStatuses[routineId] || {})[dateIso] || "upcoming";
+  const getStatus = (routineId, key) => statusOf((eventStatuses[routineId] || {})[key]) || "upcoming";
 
   // Determine Upcoming summary for sidebar use (exposed via parent)
   // (Parent will compute; this component focuses on calendar UI)
@@ -220,9 +263,10 @@ export default function CalendarView({
               const remaining = ev.length - shown.length;
               return (
                 <div className="mt-1 space-y-0.25">
+                  {/* a routine with several slots that day is told apart by time */}
                   {shown.map((e, i) => (
-                    <div key={i} className={`text-[10px] truncate rounded-sm px-1 ${e.color === "violet" ? "bg-violet-500 text-white" : e.color === "green" ? "bg-green-400 text-white" : e.color === "rose" ? "bg-rose-400 text-white" : "bg-amber-400 text-black"}`}>
-                      {e.name}
+                    <div key={i} title={e.conflict ? "Overlaps another routine" : undefined} className={`text-[10px] truncate rounded-sm px-1 ${e.conflict ? "ring-2 ring-red-500 " : ""}${e.paused ? "bg-gray-200 text-gray-500" : e.color === "violet" ? "bg-violet-500 text-white" : e.color === "green" ? "bg-green-400 text-white" : e.color === "rose" ? "bg-rose-400 text-white" : "bg-amber-400 text-black"}`}>
+                      {ev.filter(x => x.routineId === e.routineId).length > 1 ? `${e.startTime} ${e.name}` : e.name}
                     </div>
                   ))}
                   {remaining > 0 && <div className="text-[9px] text-gray-500 font-medium">+{remaining} more</div>}
@@ -237,74 +281,128 @@ export default function CalendarView({
           <h3 className="font-semibold text-lg text-gray-800">Events on {fmtShort(new Date(calendarDate))}</h3>
           <div className="mt-3 space-y-3">
             {(calendarEvents[iso(calendarDate)] || []).map((ev, idx) => {
-              const local = editBuffer[ev.routineId] || {};
+              if (ev.paused) {
+                return (
+                  <div key={idx} className="p-3 border border-dashed border-gray-200 rounded-lg flex justify-between items-center text-gray-500">
+                    <div>{ev.name} <span className="text-xs">{ev.startTime}–{ev.endTime}</span></div>
+                    <span className="text-xs font-semibold">⏸ paused</span>
+                  </div>
+                );
+              }
+              const editId = editIdOf(ev);
+              const local = editBuffer[editId] || {};
               const currentTime = local.startTime ?? ev.startTime ?? "";
               const endTime = local.endTime ?? ev.endTime ?? "";
               const currentDays = local.days ?? ev.days ?? [];
-              const dateIso = iso(calendarDate);
-              const inPast = isDateInPast(dateIso);
-              const status = getStatus(ev.routineId, dateIso);
+              // past and started go by the session's own times: an overnight one ends on the next day, so it can
+              // still be marked after midnight, until the day it ends on is over
+              const endDay = crossesMidnight(currentTime, endTime) ? addDays(ev.dateIso, 1) : ev.dateIso;
+              const inPast = isDateInPast(endDay);
+              const status = getStatus(ev.routineId, ev.key);
+              const amountKey = editId;
+              // a daily target suggests itself; a weekly one is split across sessions, so start empty
+              const amount = amounts[amountKey] ?? (ev.target?.per === "day" ? String(ev.target.amount) : "");
+              const logged = loggedAmount((eventStatuses[ev.routineId] || {})[ev.key]);
 
               const toggleDayLocal = (day) => {
                 const newDays = currentDays.includes(day) ? currentDays.filter((d) => d !== day) : [...currentDays, day];
-                handleLocalChange(ev.routineId, "days", newDays);
+                handleLocalChange(editId, "days", newDays);
               };
 
-              const hasStartedTime = (() => {
-                if (dateIso !== iso(new Date())) return false;
-                if (!currentTime) return false;
-                const [hh, mm] = (currentTime || "00:00").split(":").map(Number);
-                const now = new Date();
-                return now.getHours() > hh || (now.getHours() === hh && now.getMinutes() >= mm);
-              })();
+              const hasStartedTime = !!currentTime && Date.now() >= atTime(ev.dateIso, currentTime).getTime();
 
               return (
                 <div key={idx} className="p-3 border border-gray-100 rounded-lg shadow-sm flex flex-col gap-3">
                   <div className="flex justify-between items-center">
-                    <div className="font-medium text-lg">{ev.name}</div>
-                    {hasChanges(ev.routineId) && !inPast && (
-                      <button onClick={() => handleSaveChanges(ev.routineId)} className="px-3 py-1 bg-violet-500 text-white text-sm font-semibold rounded hover:bg-violet-600 transition">Save</button>
+                    <div className="font-medium text-lg">
+                      {ev.name}
+                      {ev.moved && <span className="ml-2 text-xs font-semibold text-amber-600">moved</span>}
+                      {ev.extra && <span className="ml-2 text-xs font-semibold text-violet-600">one-off</span>}
+                      {ev.conflict && <span className="ml-2 text-xs font-semibold text-red-600">overlaps</span>}
+                      {ev.after && <span className="ml-2 text-xs font-semibold text-gray-500">after {ev.after}</span>}
+                    </div>
+                    {hasChanges(editId) && !inPast && (
+                      <button onClick={() => requestSave(ev)} className="px-3 py-1 bg-violet-500 text-white text-sm font-semibold rounded hover:bg-violet-600 transition">Save</button>
                     )}
                   </div>
 
+                  {scopeFor === editId && (
+                    <div className="flex flex-wrap items-center gap-2 p-2 bg-violet-50 rounded-lg">
+                      <span className="text-sm font-medium text-gray-700">Apply to</span>
+                      {!("days" in local) && (
+                        <button onClick={() => handleSaveChanges(ev, "occurrence")} className="px-3 py-1 bg-white border border-violet-300 text-violet-700 text-sm rounded hover:bg-violet-100 transition">This occurrence</button>
+                      )}
+                      <button onClick={() => handleSaveChanges(ev, "future")} className="px-3 py-1 bg-white border border-violet-300 text-violet-700 text-sm rounded hover:bg-violet-100 transition">This and all future</button>
+                      <button onClick={() => handleSaveChanges(ev, "series")} className="px-3 py-1 bg-white border border-violet-300 text-violet-700 text-sm rounded hover:bg-violet-100 transition">Entire series</button>
+                      <button onClick={() => setScopeFor(null)} className="px-3 py-1 text-sm text-gray-500 hover:text-gray-700">Cancel</button>
+                    </div>
+                  )}
+
                   <div className="flex flex-wrap items-center gap-4">
-                    <div>
-                      <label className="text-sm font-medium text-gray-600 block mb-1">Repeat on</label>
-                      <div className="flex gap-1">
-                        {availableDays.map((d) => (
-                          <button key={d} type="button" onClick={() => toggleDayLocal(d)} disabled={inPast} className={`w-8 h-8 rounded-full text-xs font-bold transition flex items-center justify-center ${currentDays.includes(d) ? "bg-violet-500 text-white shadow" : "bg-violet-100 text-violet-500 hover:bg-violet-200"}`}>{d[0]}</button>
-                        ))}
+                    {recurrenceOf(ev).freq === "weekly" ? (
+                      <div>
+                        <label className="text-sm font-medium text-gray-600 block mb-1">Repeat on</label>
+                        <div className="flex gap-1">
+                          {WEEK_ORDER.map((d) => (
+                            <button key={d} type="button" onClick={() => toggleDayLocal(d)} disabled={inPast} className={`w-8 h-8 rounded-full text-xs font-bold transition flex items-center justify-center ${currentDays.includes(d) ? "bg-violet-500 text-white shadow" : "bg-violet-100 text-violet-500 hover:bg-violet-200"}`}>{d[0]}</button>
+                          ))}
+                        </div>
                       </div>
-                    </div>
+                    ) : (
+                      <div>
+                        <label className="text-sm font-medium text-gray-600 block mb-1">Repeats</label>
+                        <div className="text-sm text-violet-700">{describeRecurrence(ev)}</div>
+                      </div>
+                    )}
 
                     <div>
                       <label className="text-sm font-medium text-gray-600 block mb-1">Time</label>
-                      <input type="time" value={currentTime} onChange={(e) => handleLocalChange(ev.routineId, "startTime", e.target.value)} disabled={inPast} className="p-1 border rounded-lg text-sm" />
+                      <input type="time" value={currentTime} onChange={(e) => handleLocalChange(editId, "startTime", e.target.value)} disabled={inPast} className="p-1 border rounded-lg text-sm" />
                     </div>
 
                     <div>
                       <label className="text-sm font-medium text-gray-600 block mb-1">End Time</label>
-                      <input type="time" value={endTime} onChange={(e) => handleLocalChange(ev.routineId, "endTime", e.target.value)} disabled={inPast} className="p-1 border rounded-lg text-sm" />
+                      <input type="time" value={endTime} onChange={(e) => handleLocalChange(editId, "endTime", e.target.value)} disabled={inPast} className="p-1 border rounded-lg text-sm" />
+                      {crossesMidnight(currentTime, endTime) && <span className="ml-1 text-xs text-gray-500">next day</span>}
                     </div>
 
                     <div>
                       <label className="text-sm font-medium text-gray-600 block mb-1">Color</label>
                       <div className="flex gap-1">
                         {["violet","green","rose","amber"].map(c => (
-                          <button key={c} onClick={() => handleLocalChange(ev.routineId, "color", c)} disabled={inPast} className={`w-5 h-5 rounded-full border-2 border-transparent hover:border-violet-700 transition ${c==="violet"?"bg-violet-500":c==="green"?"bg-green-400":c==="rose"?"bg-rose-400":"bg-amber-400"}`}/>
+                          <button key={c} onClick={() => handleLocalChange(editId, "color", c)} disabled={inPast} className={`w-5 h-5 rounded-full border-2 border-transparent hover:border-violet-700 transition ${c==="violet"?"bg-violet-500":c==="green"?"bg-green-400":c==="rose"?"bg-rose-400":"bg-amber-400"}`}/>
                         ))}
                       </div>
                     </div>
                   </div>
 
+                  {ev.checklist.length > 0 && (
+                    <div className="mb-3 flex flex-wrap gap-x-4 gap-y-1">
+                      {ev.checklist.map(item => (
+                        <label key={item.id} className="flex items-center gap-1 text-sm text-gray-700">
+                          <input type="checkbox" checked={item.done} onChange={(e) => setChecklistTick(ev.routineId, ev.key, item.id, e.target.checked)} />
+                          <span className={item.done ? "line-through text-gray-400" : ""}>{item.text}</span>
+                        </label>
+                      ))}
+                    </div>
+                  )}
+
                   <div className="flex items-center gap-3 justify-end">
                     {inPast ? (
-                      <div className="text-sm text-gray-500">Status: <span className="font-semibold">{status}</span></div>
+                      <div className="text-sm text-gray-500">
+                        Status: <span className="font-semibold">{status}</span>{ev.target && logged > 0 ? ` · ${formatAmount(logged, ev.target.unit)}` : ""}
+                      </div>
                     ) : (
                       <>
                         {/* show upcoming text only when start time not passed */}
                         {status === "upcoming" && !hasStartedTime && (
-                          <div className="text-sm text-gray-500">Status: <span className="font-semibold">upcoming</span></div>
+                          <>
+                            {ev.moved && (
+                              <button onClick={() => resetOccurrence(ev.routineId, ev.key)} className="text-sm text-gray-500 hover:text-violet-700">Reset time</button>
+                            )}
+                            <button onClick={() => cancelOccurrence(ev)} className="text-sm text-red-500 hover:text-red-700">{ev.extra ? "Remove session" : "Cancel this one"}</button>
+                            <div className="text-sm text-gray-500">Status: <span className="font-semibold">upcoming</span></div>
+                          </>
                         )}
 
                         {/* When start time passes we want to show buttons even if parent hasn't re-rendered */}
@@ -312,29 +410,21 @@ export default function CalendarView({
                           <div className="flex flex-col gap-2">
                             <div className="text-sm text-gray-500">Status: <span className="font-semibold">{status === "in-progress" ? "in-progress" : "starting"}</span></div>
                             <div className="flex gap-2">
+                              {ev.target && (
+                                <label className="flex items-center gap-1 text-sm text-gray-600">
+                                  <input type="number" min="0" value={amount} onChange={(e) => setAmounts(prev => ({ ...prev, [amountKey]: e.target.value }))} placeholder="0" className="w-16 p-1 border rounded-lg" />
+                                  {ev.target.unit}
+                                </label>
+                              )}
                               <button
-                                onClick={() => {
-                                  const updated = { ...(localStatusesRef.current || localStatuses) };
-                                  const newStatus = "completed";
-                                  updated[ev.routineId] = { ...(updated[ev.routineId] || {}), [dateIso]: newStatus };
-                                  setLocalStatuses(updated);
-                                  setEventStatus(ev.routineId, dateIso, newStatus);
-                                  try { saveAsync("aeryth_event_statuses", updated); } catch(e){/*ignore*/ }
-                                }}
+                                onClick={() => setEventStatus(ev.routineId, ev.key, "completed", ev.target ? { amount: Number(amount) || 0 } : {})}
                                 className="px-3 py-1 rounded bg-green-500 text-white"
                               >
                                 Completed
                               </button>
 
                               <button
-                                onClick={() => {
-                                  const updated = { ...(localStatusesRef.current || localStatuses) };
-                                  const newStatus = "skipped";
-                                  updated[ev.routineId] = { ...(updated[ev.routineId] || {}), [dateIso]: newStatus };
-                                  setLocalStatuses(updated);
-                                  setEventStatus(ev.routineId, dateIso, newStatus);
-                                  try { saveAsync("aeryth_event_statuses", updated); } catch(e){/*ignore*/ }
-                                }}
+                                onClick={() => setEventStatus(ev.routineId, ev.key, "skipped")}
                                 className="px-3 py-1 rounded bg-red-100 text-red-700 border"
                               >
                                 Skipped
@@ -344,7 +434,11 @@ export default function CalendarView({
                         )}
 
                         {/* show completed/skipped badges */}
-                        {status === "completed" && <div className="text-sm text-green-600 font-semibold">Status: completed</div>}
+                        {status === "completed" && (
+                          <div className="text-sm text-green-600 font-semibold">
+                            Status: completed{ev.target && logged > 0 ? ` · ${formatAmount(logged, ev.target.unit)}` : ""}
+                          </div>
+                        )}
                         {status === "skipped" && <div className="text-sm text-red-600 font-semibold">Status: skipped</div>}
                       </>
                     )}
@@ -354,6 +448,42 @@ export default function CalendarView({
             })}
 
             {!(calendarEvents[iso(calendarDate)] || []).length && <div className="text-sm text-gray-500 p-2">No routines scheduled for this day.</div>}
+
+            {routines.flatMap(r => Object.entries(r.overrides || {})
+              .filter(([key, override]) => override?.cancelled && parseOccurrenceKey(key).dateIso === iso(calendarDate))
+              .map(([key]) => ({ r, key, slot: slotsOf(r).find(sl => sl.id === parseOccurrenceKey(key).slotId) })))
+              .map(({ r, key, slot }) => (
+                <div key={`${r.id}|${key}`} className="p-3 border border-dashed border-gray-200 rounded-lg flex justify-between items-center">
+                  <div className="text-gray-500">
+                    <span className="line-through">{r.name}{slot ? ` ${slot.startTime}–${slot.endTime}` : ""}</span> <span className="text-xs">cancelled for this day</span>
+                  </div>
+                  {!isDateInPast(iso(calendarDate)) && (
+                    <button onClick={() => resetOccurrence(r.id, key, "upcoming")} className="text-sm text-violet-600 hover:text-violet-800">Restore</button>
+                  )}
+                </div>
+              ))}
+
+            {!isDateInPast(iso(calendarDate)) && (() => {
+              const dateIso = iso(calendarDate);
+              // a one-off session takes the main slot, so routines already using it that day can't get one
+              const scheduled = (calendarEvents[dateIso] || []).filter(ev => ev.key === dateIso).map(ev => ev.routineId);
+              const available = routines.filter(r => !scheduled.includes(r.id));
+              if (!available.length) return null;
+              return (
+                <div className="flex flex-wrap items-end gap-3 pt-3 border-t border-gray-100">
+                  <div>
+                    <label className="text-sm font-medium text-gray-600 block mb-1">Add a one-off session</label>
+                    <select value={oneOff.routineId} onChange={(e) => setOneOff(prev => ({ ...prev, routineId: e.target.value }))} className="p-1 border rounded-lg text-sm">
+                      <option value="">Routine…</option>
+                      {available.map(r => <option key={r.id} value={r.id}>{r.name}</option>)}
+                    </select>
+                  </div>
+                  <input type="time" value={oneOff.startTime} onChange={(e) => setOneOff(prev => ({ ...prev, startTime: e.target.value }))} className="p-1 border rounded-lg text-sm" />
+                  <input type="time" value={oneOff.endTime} onChange={(e) => setOneOff(prev => ({ ...prev, endTime: e.target.value }))} className="p-1 border rounded-lg text-sm" />
+                  <button onClick={() => addOneOff(dateIso)} className="px-3 py-1 bg-violet-500 text-white text-sm font-semibold rounded hover:bg-violet-600 transition">Add</button>
+                </div>
+              );
+            })()}
           </div>
         </div>
       </div>
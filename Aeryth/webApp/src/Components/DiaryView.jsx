@@ -1,7 +1,7 @@
 // src/components/DiaryView.jsx
 import React, { useEffect, useState } from "react";
 import EditableEntry from "./shared/EditableEntry";
-import { iso, fmtShort } from "../utils/helpers";
+import { iso, fmtShort } from "aeryth-core/dates";
 import { callGeminiDiary, localGrammarCorrect, availableModel } from "../utils/ai";
 
 export default function DiaryView({ diary, addDiaryEntry, deleteDiaryEntry, updateDiaryEntry, generateMonthlySummaryIfMissing }) {
@@ -191,7 +191,7 @@ export default function DiaryView({ diary, addDiaryEntry, deleteDiaryEntry, upda
                   <div className="text-sm">{renderEntryTextWithHighlight(e.text, highlightTerm)}</div>
                   <div className="text-xs text-gray-400 mt-1">{new Date(e.ts).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</div>
                   <div className="absolute right-3 bottom-3 opacity-0 group-hover:opacity-100">
-                    <button onClick={(ev) => { ev.stopPropagation(); if (confirm("Delete entry?")) deleteDiaryEntry(todayMonthKey, todayKey, e.id); }} className="text-red-500">Delete</button>
+                    <button onClick={(ev) => { ev.stopPropagation(); if (confirm("Move entry to Trash?")) deleteDiaryEntry(todayMonthKey, todayKey, e.id); }} className="text-red-500">Delete</button>
                   </div>
                 </div>
               ))}
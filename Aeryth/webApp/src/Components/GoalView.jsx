@@ -0,0 +1,93 @@
+// src/components/GoalView.jsx
+import React, { useEffect, useState } from "react";
+import { fmtShort, parseIsoToLocalDate } from "aeryth-core/dates";
+import { goalProgress, describeDeadline, daysLeft } from "aeryth-core/goals";
+import RoutineLinks from "./shared/RoutineLinks";
+
+// One goal: deadline countdown, adherence of its linked routines since it was set (aeryth-core's goals.js), and its details
+export default function GoalView({ goal, routines, eventStatuses, vacation, updateGoal, deleteGoal, openRoutineView, setCurrentView }) {
+  const [name, setName] = useState(goal?.name || "");
+  const [criteria, setCriteria] = useState(goal?.criteria || "");
+  useEffect(() => {
+    setName(goal?.name || "");
+    setCriteria(goal?.criteria || "");
+  }, [goal?.id, goal?.name, goal?.criteria]);
+
+  if (!goal) return <div className="p-6">Goal not found.</div>;
+
+  const progress = goalProgress(goal, routines, eventStatuses, { vacation });
+  const left = daysLeft(goal);
+  const set = (patch) => updateGoal(goal.id, patch);
+  const remove = () => {
+    if (confirm(`Delete the goal "${goal.name}"? Its routines are kept.`)) deleteGoal(goal.id);
+  };
+
+  return (
+    <div className="flex-1 h-full p-6 overflow-auto">
+      <div className="max-w-3xl mx-auto">
+        <input
+          value={name}
+          onChange={e => setName(e.target.value)}
+          onBlur={() => name.trim() ? set({ name: name.trim() }) : setName(goal.name)}
+          className="w-full text-2xl font-bold text-violet-700 bg-transparent mb-2 focus:outline-none"
+        />
+
+        <div className="grid grid-cols-2 gap-4 mb-4">
+          <div className="bg-white p-4 rounded-xl shadow">
+            <div className="text-sm text-gray-500">Deadline</div>
+            <div className={`text-3xl font-bold ${!goal.achievedAt && left < 0 ? "text-red-600" : "text-violet-700"}`}>
+              {goal.achievedAt ? "🏆" : left === null ? "—" : Math.abs(left)}
+            </div>
+            <div className="text-sm text-gray-600">
+              {describeDeadline(goal)}{goal.targetDate && ` · ${fmtShort(parseIsoToLocalDate(goal.targetDate))}`}
+            </div>
+          </div>
+          <div className="bg-white p-4 rounded-xl shadow">
+            <div className="text-sm text-gray-500">Adherence</div>
+            <div className="text-3xl font-bold text-violet-700">{progress.adherence === null ? "—" : `${Math.round(progress.adherence * 100)}%`}</div>
+            <div className="text-sm text-gray-600">{progress.completed}/{progress.due} sessions since {fmtShort(new Date(goal.createdAt))}</div>
+          </div>
+        </div>
+
+        <div className="bg-white p-4 rounded-xl shadow mb-4 space-y-4">
+          <div>
+            <label className="font-semibold">Target date</label>
+            <input type="date" value={goal.targetDate || ""} onChange={e => set({ targetDate: e.target.value || null })} className="block mt-1 p-2 border rounded-lg" />
+          </div>
+          <div>
+            <label className="font-semibold">Success looks like</label>
+            <textarea value={criteria} onChange={e => setCriteria(e.target.value)} onBlur={() => set({ criteria: criteria.trim() })} className="w-full mt-1 p-3 border rounded-lg h-20 resize-none" />
+          </div>
+          <RoutineLinks routines={routines} selected={goal.routineIds || []} onChange={routineIds => set({ routineIds })} />
+        </div>
+
+        {progress.routines.length > 0 && (
+          <div className="bg-white rounded-xl shadow divide-y mb-4">
+            {progress.routines.map(({ routine, stats }) => (
+              <button key={routine.id} onClick={() => openRoutineView(routine.id)} className="w-full text-left p-4 hover:bg-violet-50">
+                <div className="flex items-center justify-between">
+                  <span className="font-semibold">{routine.name}</span>
+                  <span className="text-sm text-gray-600">{stats.adherence === null ? "nothing due yet" : `${Math.round(stats.adherence * 100)}% done`}</span>
+                </div>
+                <div className="flex flex-wrap gap-4 mt-1 text-xs text-gray-500">
+                  <span>🔥 {stats.streak} in a row</span>
+                  <span>✅ {stats.completed} completed</span>
+                  <span>⏭ {stats.skipped} skipped</span>
+                  <span>✖ {stats.missed} missed</span>
+                </div>
+              </button>
+            ))}
+          </div>
+        )}
+
+        <div className="flex gap-3">
+          <button onClick={() => setCurrentView("goals")} className="px-4 py-2 rounded bg-gray-100">Back</button>
+          <button onClick={() => set({ achievedAt: goal.achievedAt ? null : new Date().toISOString() })} className="px-4 py-2 rounded bg-violet-500 text-white">
+            {goal.achievedAt ? "Reopen" : "Mark achieved"}
+          </button>
+          <button onClick={remove} className="px-4 py-2 rounded border text-red-600">Delete</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,80 @@
+// src/components/GoalsView.jsx
+import React, { useState } from "react";
+import { goalProgress, describeDeadline, daysLeft, linkedRoutines } from "aeryth-core/goals";
+import RoutineLinks from "./shared/RoutineLinks";
+
+const EMPTY = { name: "", targetDate: "", criteria: "", routineIds: [] };
+
+// Long-term goals and the routines serving them (aeryth-core's goals.js); open goals first, nearest deadline first
+export default function GoalsView({ goals = [], routines, eventStatuses, vacation, addGoal, openGoalView }) {
+  const [form, setForm] = useState(null);
+  const sorted = [...goals].sort((a, b) =>
+    (!!a.achievedAt - !!b.achievedAt) || String(a.targetDate || "9999").localeCompare(String(b.targetDate || "9999")));
+
+  const save = () => {
+    if (!form.name.trim()) { alert("Name the goal"); return; }
+    const id = addGoal({ ...form, targetDate: form.targetDate || null });
+    setForm(null);
+    openGoalView(id);
+  };
+
+  return (
+    <div className="flex-1 h-full p-6 overflow-auto">
+      <div className="max-w-4xl mx-auto">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-2xl font-bold text-violet-700">Goals</h2>
+          {!form && <button onClick={() => setForm(EMPTY)} className="px-4 py-2 rounded-lg bg-violet-500 text-white font-semibold">+ New goal</button>}
+        </div>
+
+        {form && (
+          <div className="bg-white p-4 rounded-xl shadow mb-6 space-y-4">
+            <div>
+              <label className="font-semibold">Goal</label>
+              <input value={form.name} onChange={e => setForm(prev => ({ ...prev, name: e.target.value }))} placeholder="e.g. Pass the AWS exam" className="w-full mt-1 p-3 border rounded-lg" />
+            </div>
+            <div>
+              <label className="font-semibold">Target date</label>
+              <input type="date" value={form.targetDate} onChange={e => setForm(prev => ({ ...prev, targetDate: e.target.value }))} className="block mt-1 p-2 border rounded-lg" />
+            </div>
+            <div>
+              <label className="font-semibold">Success looks like</label>
+              <textarea value={form.criteria} onChange={e => setForm(prev => ({ ...prev, criteria: e.target.value }))} placeholder="e.g. Score 800+ on the first attempt" className="w-full mt-1 p-3 border rounded-lg h-20 resize-none" />
+            </div>
+            <RoutineLinks routines={routines} selected={form.routineIds} onChange={routineIds => setForm(prev => ({ ...prev, routineIds }))} />
+            <div className="flex gap-3">
+              <button onClick={save} className="px-4 py-2 rounded-lg bg-violet-500 text-white font-semibold">Save goal</button>
+              <button onClick={() => setForm(null)} className="px-4 py-2 rounded-lg border">Cancel</button>
+            </div>
+          </div>
+        )}
+
+        {sorted.length ? (
+          <div className="grid gap-3 sm:grid-cols-2">
+            {sorted.map(g => {
+              const progress = goalProgress(g, routines, eventStatuses, { vacation });
+              const overdue = !g.achievedAt && daysLeft(g) < 0;
+              return (
+                <button key={g.id} onClick={() => openGoalView(g.id)} className={`text-left bg-white p-4 rounded-xl shadow hover:shadow-md transition ${g.achievedAt ? "opacity-70" : ""}`}>
+                  <div className="flex items-start justify-between gap-2">
+                    <div className="font-semibold text-violet-800">{g.achievedAt ? "🏆 " : ""}{g.name}</div>
+                    <div className={`text-xs font-semibold whitespace-nowrap ${overdue ? "text-red-600" : "text-gray-500"}`}>{describeDeadline(g)}</div>
+                  </div>
+                  <div className="h-2 mt-3 rounded-full bg-violet-100 overflow-hidden">
+                    <div className="h-full bg-violet-500" style={{ width: `${Math.round((progress.adherence || 0) * 100)}%` }} />
+                  </div>
+                  <div className="mt-2 text-xs text-gray-500">
+                    {progress.adherence === null ? "nothing due yet" : `${Math.round(progress.adherence * 100)}% done`}
+                    {" · "}
+                    {linkedRoutines(g, routines).map(r => r.name).join(", ") || "no routines linked"}
+                  </div>
+                </button>
+              );
+            })}
+          </div>
+        ) : (
+          !form && <div className="text-sm text-gray-500">No goals yet. A goal like "Pass the AWS exam by March" can gather the routines that get you there.</div>
+        )}
+      </div>
+    </div>
+  );
+}
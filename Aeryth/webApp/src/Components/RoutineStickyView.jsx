@@ -1,8 +1,19 @@
 // src/components/RoutineStickyView.jsx
 import React, { useEffect, useState } from "react";
-import { iso, fmtShort } from "../utils/helpers";
+import { iso, fmtShort, parseIsoToLocalDate } from "aeryth-core/dates";
+import { isPaused, occurrences } from "aeryth-core/recurrence";
+import { routineStats } from "aeryth-core/stats";
+import { targetProgress, formatAmount } from "aeryth-core/targets";
+import { tagsOf, allTags } from "aeryth-core/tags";
+import { checklistOf, checklistState } from "aeryth-core/checklists";
+import TagEditor from "./shared/TagEditor";
+import ChecklistEditor from "./shared/ChecklistEditor";
+import AnchorEditor from "./shared/AnchorEditor";
+import { anchorOf, chainOf, anchoredTimes } from "aeryth-core/chains";
+import { goalsOf, describeDeadline } from "aeryth-core/goals";
 
-export default function RoutineStickyView({ routines, selectedRoutineId, stickies, setStickyText, setStickyColor, setCurrentView, setSelectedRoutineId }) {
+export default function RoutineStickyView({ routines, selectedRoutineId, goals = [], openGoalView, openRoutineEditor, stickies, eventStatuses, checklists, vacation, updateRoutine, setChecklistTick, setStickyText, setStickyColor, setCurrentView, setSelectedRoutineId }) {
+  const [pauseForm, setPauseForm] = useState({ start: "", end: "" });
   const r = routines.find(x => x.id === selectedRoutineId);
   if (!r) return <div className="p-6">Routine not found.</div>;
 
@@ -29,6 +40,27 @@ export default function RoutineStickyView({ routines, selectedRoutineId, stickie
     setColorNext(getSticky(nextKey).color || "violet");
   }, [selectedRoutineId, stickies, r]);
 
+  const pauses = r.pauses || [];
+  const stats = routineStats(r, eventStatuses?.[r.id], { vacation });
+  const progress = targetProgress(r, eventStatuses?.[r.id]);
+  // today's sessions, ticked through the checklist
+  const todays = checklistOf(r).length ? occurrences(r, curKey, curKey, { vacation }) : [];
+
+  const addPause = () => {
+    if (!pauseForm.start || !pauseForm.end) { alert("Pick the first and the last paused day"); return; }
+    if (pauseForm.end < pauseForm.start) { alert("The pause ends before it starts"); return; }
+    updateRoutine(r.id, { pauses: [...pauses, { start: pauseForm.start, end: pauseForm.end }] });
+    setPauseForm({ start: "", end: "" });
+  };
+  const removePause = (idx) => updateRoutine(r.id, { pauses: pauses.filter((_, i) => i !== idx) });
+
+  // habit stacking (aeryth-core's chains.js): an anchored routine moves to right after its anchor
+  const chain = chainOf(r, routines);
+  const changeAnchor = (anchor) => {
+    const anchorRoutine = anchor && routines.find(x => x.id === anchor.routineId);
+    updateRoutine(r.id, { anchor, ...(anchorRoutine ? anchoredTimes(anchorRoutine, anchor.delayMinutes, r) : {}) });
+  };
+
   const persistText = (d, txt) => setStickyText(selectedRoutineId, d, txt);
   const persistColor = (d, c) => setStickyColor(selectedRoutineId, d, c);
 
@@ -64,8 +96,71 @@ export default function RoutineStickyView({ routines, selectedRoutineId, stickie
   return (
     <div className="flex-1 h-full p-6 overflow-auto">
       <div className="max-w-3xl mx-auto">
-        <h2 className="text-2xl font-bold text-violet-700 mb-2">{r.name}</h2>
-        <p className="text-sm text-gray-500 mb-4">{r.description}</p>
+        <div className="flex items-start justify-between gap-3 mb-2">
+          <h2 className="text-2xl font-bold text-violet-700">{r.name}</h2>
+          <button onClick={() => openRoutineEditor(r.id)} className="px-3 py-1 rounded-lg border text-sm text-violet-700 hover:bg-violet-50">✏️ Edit</button>
+        </div>
+        <p className="text-sm text-gray-500 mb-2">{r.description}</p>
+        {goalsOf(r.id, goals).length > 0 && (
+          <div className="flex flex-wrap gap-2 mb-3">
+            {goalsOf(r.id, goals).map(g => (
+              <button key={g.id} onClick={() => openGoalView(g.id)} className="px-3 py-1 rounded-full bg-violet-100 text-violet-800 text-sm hover:bg-violet-200">
+                🎯 {g.name} · {describeDeadline(g)}
+              </button>
+            ))}
+          </div>
+        )}
+        <div className="mb-4">
+          <TagEditor tags={tagsOf(r)} known={allTags(routines)} onChange={(tags) => updateRoutine(r.id, { tags })} />
+        </div>
+        <div className="mb-4">
+          <AnchorEditor routineId={r.id} anchor={anchorOf(r, routines)} routines={routines} onChange={changeAnchor} />
+          {chain.length > 1 && (
+            <div className="text-sm text-gray-600 mt-2">
+              {chain.map((x, i) => (
+                <span key={x.id}>
+                  {i > 0 && " → "}
+                  <span className={x.id === r.id ? "font-semibold text-violet-700" : ""}>{x.name}</span>
+                </span>
+              ))}
+            </div>
+          )}
+        </div>
+        <div className="flex flex-wrap gap-4 text-sm text-gray-600 mb-4">
+          <span>🔥 {stats.streak} in a row</span>
+          <span>✅ {stats.adherence === null ? "nothing due yet" : `${Math.round(stats.adherence * 100)}% done (${stats.completed}/${stats.due})`}</span>
+          {isPaused(r, curKey, vacation) && <span className="font-semibold text-gray-500">⏸ paused today</span>}
+        </div>
+
+        {progress && (
+          <div className="bg-white p-4 rounded-xl shadow mb-4">
+            <div className="flex items-center justify-between text-sm mb-2">
+              <span className="font-semibold">{progress.per === "week" ? "This week" : "Today"}</span>
+              <span className="text-gray-600">
+                {formatAmount(progress.logged, progress.unit)} of {formatAmount(progress.goal, progress.unit)}
+                {progress.per === "week" && ` · ${progress.sessions} session${progress.sessions === 1 ? "" : "s"}`}
+              </span>
+            </div>
+            <div className="h-2 rounded-full bg-violet-100 overflow-hidden">
+              <div className={`h-full ${progress.ratio >= 1 ? "bg-green-500" : "bg-violet-500"}`} style={{ width: `${Math.min(100, Math.round(progress.ratio * 100))}%` }} />
+            </div>
+          </div>
+        )}
+
+        <div className="bg-white p-4 rounded-xl shadow mb-4">
+          <ChecklistEditor checklist={r.checklist || []} completes={!!r.checklistCompletes} onChange={(patch) => updateRoutine(r.id, patch)} />
+          {todays.map(occ => (
+            <div key={occ.key} className="mt-3 pt-3 border-t">
+              <div className="text-sm font-semibold mb-1">Today {occ.startTime}{eventStatuses?.[r.id]?.[occ.key]?.status === "completed" && " · ✅ completed"}</div>
+              {checklistState(r, checklists?.[r.id], occ.key).map(item => (
+                <label key={item.id} className="flex items-center gap-2 text-sm">
+                  <input type="checkbox" checked={item.done} onChange={e => setChecklistTick(r.id, occ.key, item.id, e.target.checked)} />
+                  <span className={item.done ? "line-through text-gray-400" : ""}>{item.text}</span>
+                </label>
+              ))}
+            </div>
+          ))}
+        </div>
 
         <div className={`p-4 rounded-xl shadow mb-4 border ${colorClasses[colorCur]}`}>
           <div className="flex items-center justify-between mb-2">
@@ -99,6 +194,29 @@ export default function RoutineStickyView({ routines, selectedRoutineId, stickie
           </div>
         </div>
 
+        {/* paused days get no reminders and don't count against the streak (aeryth-core's stats.js) */}
+        <div className="mt-6 bg-white p-4 rounded-xl shadow">
+          <div className="font-semibold mb-2">Pauses</div>
+          {pauses.length ? (
+            <div className="space-y-1 mb-3">
+              {pauses.map((p, idx) => (
+                <div key={idx} className="flex items-center justify-between text-sm">
+                  <span>{fmtShort(parseIsoToLocalDate(p.start))} – {fmtShort(parseIsoToLocalDate(p.end))}</span>
+                  <button onClick={() => removePause(idx)} className="text-red-500 hover:text-red-700">Remove</button>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <div className="text-sm text-gray-500 mb-3">Travelling or sick? Pause this routine for a few days instead of deleting it.</div>
+          )}
+          <div className="flex flex-wrap items-center gap-2">
+            <input type="date" value={pauseForm.start} onChange={(e) => setPauseForm(prev => ({ ...prev, start: e.target.value }))} className="p-1 border rounded-lg text-sm" />
+            <span className="text-sm text-gray-500">to</span>
+            <input type="date" value={pauseForm.end} min={pauseForm.start || undefined} onChange={(e) => setPauseForm(prev => ({ ...prev, end: e.target.value }))} className="p-1 border rounded-lg text-sm" />
+            <button onClick={addPause} className="px-3 py-1 bg-violet-500 text-white text-sm font-semibold rounded hover:bg-violet-600 transition">Pause</button>
+          </div>
+        </div>
+
         <div className="mt-6 flex gap-3">
           <button onClick={() => { setCurrentView("explore"); setSelectedRoutineId(null); }} className="px-4 py-2 rounded bg-gray-100">Back</button>
         </div>
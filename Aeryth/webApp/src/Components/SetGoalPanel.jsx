@@ -1,16 +1,42 @@
 // src/components/SetGoalPanel.jsx
 import React, { useState, useEffect } from "react";
-import { ensureEndAfterStart } from "../utils/helpers";
+import { iso, ensureEndAfterStart, crossesMidnight, spanMinutes } from "aeryth-core/dates";
+import { recurrenceFields, recurrenceOf, changesSchedule } from "aeryth-core/recurrence";
+import { conflictsOf, describeConflict, nearestFreeSlot } from "aeryth-core/conflicts";
+import { suggestTimes } from "aeryth-core/suggestions";
+import { STARTER_TEMPLATES, ruleOfTemplate, routineFromTemplate } from "aeryth-core/templates";
+import RecurrenceBuilder from "./shared/RecurrenceBuilder";
+import TargetEditor from "./shared/TargetEditor";
+import TagEditor from "./shared/TagEditor";
+import ChecklistEditor from "./shared/ChecklistEditor";
+import AnchorEditor from "./shared/AnchorEditor";
+import { anchorOf, anchoredTimes } from "aeryth-core/chains";
+import { targetOf } from "aeryth-core/targets";
+import { tagsOf, allTags, TAG_COLORS } from "aeryth-core/tags";
 
-export default function SetGoalPanel({ addRoutine, setCurrentView, setSelectedRoutineId }) {
-  const [name, setName] = useState("");
-  const [description, setDescription] = useState("");
-  const [startTime, setStartTime] = useState("09:00");
-  const [endTime, setEndTime] = useState("10:00");
-  const [days, setDays] = useState([]);
-  const availableDays = ["Mon","Tue","Wed","Thu","Fri","Sat","Sun"];
+const DOTS = { violet: "bg-violet-500", green: "bg-green-400", rose: "bg-rose-400", amber: "bg-amber-400" };
 
-  // whenever startTime changes and it's after endTime, adjust endTime immediately (+10min except after 23:50)
+// Creates a routine, or with routine set edits every field of that one (saveRoutine(id, fields, scope) in App)
+export default function SetGoalPanel({ addRoutine, saveRoutine, routine = null, routines = [], eventStatuses = {}, vacation = null, templates = [], deleteTemplate, setCurrentView, setSelectedRoutineId }) {
+  const [name, setName] = useState(routine?.name || "");
+  const [description, setDescription] = useState(routine?.description || "");
+  const [startTime, setStartTime] = useState(routine?.startTime || "09:00");
+  const [endTime, setEndTime] = useState(routine?.endTime || "10:00");
+  const [rule, setRule] = useState(() => (routine ? recurrenceOf(routine) : { freq: "weekly", interval: 1, byDay: [], byMonthDay: [], start: iso(new Date()), until: null, count: null }));
+  const [target, setTarget] = useState(() => (routine ? targetOf(routine) : null));
+  const [tags, setTags] = useState(() => (routine ? tagsOf(routine) : []));
+  const [checklist, setChecklist] = useState({ checklist: routine?.checklist || [], checklistCompletes: !!routine?.checklistCompletes });
+  // { routineId, delayMinutes } when it starts after another routine instead of at a fixed time
+  const [anchor, setAnchor] = useState(() => (routine ? anchorOf(routine, routines) : null));
+  const [color, setColor] = useState(routine?.color || "violet");
+  // further time slots of the same day, besides startTime/endTime
+  const [slots, setSlots] = useState(routine?.slots || []);
+  // when editing: a schedule change applies from the next session on ("future") or to past sessions too ("series")
+  const [scope, setScope] = useState("future");
+  // suggested times for the current duration and days, null until asked for
+  const [suggestions, setSuggestions] = useState(null);
+
+  // whenever startTime changes onto endTime, adjust endTime immediately (+10min); an earlier end is an overnight span
   useEffect(() => {
     if (!startTime) return;
     // use helper to compute corrected end
@@ -19,22 +45,114 @@ export default function SetGoalPanel({ addRoutine, setCurrentView, setSelectedRo
   }, [startTime]); // eslint-disable-line
 
 
-  const toggleDay = (d) => setDays(prev => prev.includes(d) ? prev.filter(x=>x!==d) : [...prev,d]);
+  const addSlot = () => setSlots(prev => [...prev, { id: crypto.randomUUID().slice(0, 8), startTime: "18:00", endTime: "19:00" }]);
+  const updateSlot = (id, field, value) => setSlots(prev => prev.map(s => {
+    if (s.id !== id) return s;
+    const next = { ...s, [field]: value };
+    return { ...next, endTime: ensureEndAfterStart(next.startTime, next.endTime) };
+  }));
+  const removeSlot = (id) => setSlots(prev => prev.filter(s => s.id !== id));
+
+  // an anchored routine is expected right after its anchor (aeryth-core's chains.js), keeping its length
+  const changeAnchor = (next) => {
+    setAnchor(next);
+    const anchorRoutine = next && routines.find(r => r.id === next.routineId);
+    if (!anchorRoutine) return;
+    const times = anchoredTimes(anchorRoutine, next.delayMinutes, { startTime, endTime });
+    setStartTime(times.startTime);
+    setEndTime(times.endTime);
+    setSuggestions(null);
+  };
+
+  // two of the day's times overlapping, overnight spans running on into the next day included
+  const slotsOverlap = () => {
+    const spans = [{ startTime, endTime }, ...slots].map(s => spanMinutes(s.startTime, s.endTime));
+    return spans.some(([s1, e1], i) => spans.slice(i + 1).some(([s2, e2]) =>
+      [-1440, 0, 1440].some(shift => s1 < e2 + shift && s2 + shift < e1)));
+  };
+
+  // the routine as it would be saved, checked against the existing ones (aeryth-core's conflicts.js)
+  const draft = { id: routine?.id || "draft", startTime, endTime, slots, ...recurrenceFields(rule) };
+  // from the first day still ahead: a routine being edited may have started long ago
+  const checkFrom = rule.start && rule.start > iso(new Date()) ? rule.start : new Date();
+  const conflicts = conflictsOf(draft, routines, { from: checkFrom, vacation });
+  const freeSlot = conflicts.length ? nearestFreeSlot(draft, routines, { from: checkFrom, vacation }) : null;
+  const applyFreeSlot = () => {
+    setStartTime(freeSlot.startTime);
+    setEndTime(freeSlot.endTime);
+    setSlots(freeSlot.slots);
+  };
+
+  // fills the form in from a saved or starter template (aeryth-core's templates.js); the rule keeps its start day
+  const applyTemplate = (t) => {
+    const fields = routineFromTemplate(t);
+    setName(fields.name);
+    setDescription(fields.description);
+    setStartTime(fields.startTime);
+    setEndTime(fields.endTime);
+    setSlots(fields.slots);
+    setRule(ruleOfTemplate(t, rule.start));
+    setTarget(fields.target);
+    setTags(fields.tags);
+    setChecklist({ checklist: fields.checklist, checklistCompletes: fields.checklistCompletes });
+    setAnchor(null);
+    setSuggestions(null);
+  };
+  const removeTemplate = (t) => {
+    if (confirm(`Delete the template "${t.name}"?`)) deleteTemplate(t.id);
+  };
+
+  const suggest = () => {
+    if (rule.freq === "weekly" && !rule.byDay.length) { alert("Pick the days first"); return; }
+    setSuggestions(suggestTimes(draft, routines, eventStatuses, { vacation }));
+  };
+  const applySuggestion = (s) => {
+    setStartTime(s.startTime);
+    setEndTime(s.endTime);
+    setSuggestions(null);
+  };
 
   const handleSave = () => {
     if (!name.trim()) { alert("Routine name required"); return; }
-    const id = addRoutine({ name: name.trim(), description: description.trim(), startTime, endTime, days, color: "violet" });
-    setSelectedRoutineId(id);
+    if (rule.freq === "weekly" && !rule.byDay.length) { alert("Pick at least one day"); return; }
+    if (rule.until && rule.start && rule.until < rule.start) { alert("The end date is before the start date"); return; }
+    if (target && !target.unit.trim()) { alert("Name the target's unit"); return; }
+    if (slotsOverlap()) { alert("Two of the routine's times overlap"); return; }
+    if (conflicts.length && !window.confirm(`This routine overlaps with ${conflicts.map(c => c.routine.name).join(", ")}. Save anyway?`)) return;
+    const fields = { name: name.trim(), description: description.trim(), tags, startTime, endTime, slots, ...recurrenceFields(rule), target: target && { ...target, unit: target.unit.trim() }, ...checklist, anchor, color };
+    if (routine) {
+      saveRoutine(routine.id, fields, scope);
+      setSelectedRoutineId(routine.id);
+    } else {
+      setSelectedRoutineId(addRoutine(fields));
+    }
     setCurrentView("routineView");
   };
+  const scheduleEdited = !!routine && changesSchedule(routine, draft);
 
   return (
     <div className="flex items-center justify-center h-full p-6 overflow-auto ">
       <div className="max-w-2xl w-full mx-auto ">
         <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200">
-          <h2 className="text-2xl font-bold text-violet-700 mb-4">Create Routine</h2>
+          <h2 className="text-2xl font-bold text-violet-700 mb-4">{routine ? `Edit ${routine.name}` : "Create Routine"}</h2>
 
           <div className="space-y-4">
+            {!routine && (
+              <div>
+                <label className="font-semibold">Start from a template</label>
+                <div className="flex flex-wrap gap-2 mt-1">
+                  {[...templates, ...STARTER_TEMPLATES].map(t => (
+                    <span key={t.id} className="inline-flex items-center rounded-full border border-violet-200 bg-violet-50 text-sm">
+                      <button type="button" onClick={() => applyTemplate(t)} title={t.description} className="px-3 py-1 text-violet-800 hover:text-violet-950">{t.name}</button>
+                      {!t.builtIn && (
+                        <button type="button" onClick={() => removeTemplate(t)} className="pr-2 text-gray-400 hover:text-red-600" aria-label={`Delete template ${t.name}`}>✕</button>
+                      )}
+                    </span>
+                  ))}
+                </div>
+              </div>
+            )}
+
             <div>
               <label className="font-semibold">Routine name</label>
               <input value={name} onChange={e=>setName(e.target.value)} placeholder="e.g., Java, Football, Math..." className="w-full mt-1 p-3 border rounded-lg" />
@@ -45,6 +163,10 @@ export default function SetGoalPanel({ addRoutine, setCurrentView, setSelectedRo
               <input value={description} onChange={e=>setDescription(e.target.value)} placeholder="Describe goal for this routine" className="w-full mt-1 p-3 border rounded-lg" />
             </div>
 
+            <TagEditor tags={tags} known={allTags(routines)} onChange={setTags} />
+
+            <AnchorEditor routineId={routine?.id} anchor={anchor} routines={routines} onChange={changeAnchor} />
+
             <div className="flex gap-3">
               <div className="flex-1">
                 <label className="font-semibold">Start time</label>
@@ -53,25 +175,87 @@ export default function SetGoalPanel({ addRoutine, setCurrentView, setSelectedRo
               <div className="flex-1">
                 <label className="font-semibold">End time</label>
                 <input type="time" value={endTime} onChange={e=>setEndTime(e.target.value)} className="w-full mt-1 p-3 border rounded-lg" />
+                {crossesMidnight(startTime, endTime) && <div className="text-xs text-gray-500 mt-1">ends the next day</div>}
               </div>
             </div>
 
             <div>
-              <label className="font-semibold">Repeat on</label>
-              <div className="flex gap-2 mt-2">
-                {availableDays.map(d => (
-                  <button key={d} type="button" onClick={() => toggleDay(d)}
-                    className={`w-10 h-10 rounded-full font-bold transition ${days.includes(d) ? "bg-violet-500 text-white" : "bg-gray-200 text-gray-700"}`}>
-                    {d[0]}
+              {!anchor && <button type="button" onClick={suggest} className="text-sm font-semibold text-violet-700 hover:text-violet-900">✨ Suggest times</button>}
+              {suggestions && (
+                <div className="mt-2 space-y-2">
+                  {!suggestions.length && <div className="text-sm text-gray-500">No free time of this length on these days.</div>}
+                  {suggestions.map(s => (
+                    <div key={s.startTime} className="flex items-center justify-between gap-3 p-2 rounded-lg border border-violet-200 bg-violet-50">
+                      <div>
+                        <div className="font-semibold text-violet-800">{s.startTime}–{s.endTime}</div>
+                        <div className="text-xs text-gray-600">{s.explanation}</div>
+                      </div>
+                      <button type="button" onClick={() => applySuggestion(s)} className="px-3 py-1 rounded-lg bg-violet-500 text-white text-sm font-semibold">Use</button>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            {slots.map(slot => (
+              <div key={slot.id} className="flex gap-3 items-center">
+                <input type="time" value={slot.startTime} onChange={e => updateSlot(slot.id, "startTime", e.target.value)} className="flex-1 p-3 border rounded-lg" />
+                <input type="time" value={slot.endTime} onChange={e => updateSlot(slot.id, "endTime", e.target.value)} className="flex-1 p-3 border rounded-lg" />
+                {crossesMidnight(slot.startTime, slot.endTime) && <span className="text-xs text-gray-500">next day</span>}
+                <button type="button" onClick={() => removeSlot(slot.id)} className="px-3 text-gray-500 hover:text-red-600" aria-label="Remove time">✕</button>
+              </div>
+            ))}
+            <button type="button" onClick={addSlot} className="text-sm font-semibold text-violet-700 hover:text-violet-900">+ Add another time</button>
+
+            {conflicts.length > 0 && (
+              <div className="p-3 rounded-lg border border-amber-300 bg-amber-50 text-sm">
+                <div className="font-semibold text-amber-800">Overlaps with</div>
+                <ul className="mt-1 text-amber-900 list-disc list-inside">
+                  {conflicts.map(c => <li key={c.routine.id}>{describeConflict(c)}</li>)}
+                </ul>
+                {freeSlot ? (
+                  <button type="button" onClick={applyFreeSlot} className="mt-2 px-3 py-1 rounded-lg bg-amber-400 text-black font-semibold hover:bg-amber-500">
+                    Shift to {freeSlot.startTime}–{freeSlot.endTime}
                   </button>
+                ) : (
+                  <div className="mt-2 text-amber-800">No free time within 12 hours of this one.</div>
+                )}
+              </div>
+            )}
+
+            <RecurrenceBuilder rule={rule} onChange={setRule} />
+
+            <TargetEditor target={target} onChange={setTarget} />
+
+            <ChecklistEditor checklist={checklist.checklist} completes={checklist.checklistCompletes} onChange={setChecklist} />
+
+            <div>
+              <label className="font-semibold">Color</label>
+              <div className="flex gap-2 mt-1">
+                {TAG_COLORS.map(c => (
+                  <button key={c} type="button" onClick={() => setColor(c)} className={`w-6 h-6 rounded-full ${DOTS[c]} ${c === color ? "ring-2 ring-offset-2 ring-violet-500" : ""}`} aria-label={`Color ${c}`} />
                 ))}
               </div>
             </div>
+
+            {scheduleEdited && (
+              <div className="p-3 rounded-lg border border-violet-200 bg-violet-50 text-sm">
+                <div className="font-semibold text-violet-800 mb-1">Apply the new schedule</div>
+                <label className="flex items-center gap-2">
+                  <input type="radio" name="scope" checked={scope === "future"} onChange={() => setScope("future")} />
+                  from the next session on, past sessions stay as they were
+                </label>
+                <label className="flex items-center gap-2">
+                  <input type="radio" name="scope" checked={scope === "series"} onChange={() => setScope("series")} />
+                  to the entire series, past sessions included
+                </label>
+              </div>
+            )}
           </div>
 
           <div className="flex gap-3 mt-6">
-            <button onClick={handleSave} className="flex-1 py-3 rounded-lg bg-violet-500 text-white font-bold">Save Routine</button>
-            <button onClick={() => setCurrentView("explore")} className="py-3 px-6 rounded-lg border">Cancel</button>
+            <button onClick={handleSave} className="flex-1 py-3 rounded-lg bg-violet-500 text-white font-bold">{routine ? "Save Changes" : "Save Routine"}</button>
+            <button onClick={() => setCurrentView(routine ? "routineView" : "explore")} className="py-3 px-6 rounded-lg border">Cancel</button>
           </div>
         </div>
       </div>
@@ -1,24 +1,38 @@
 // src/components/SettingsPanel.jsx
 import React, { useState, useEffect } from "react";
 import { buildAndPersistProfileSummary } from "../utils/personalization";
-import { auth } from "../utils/firebaseInit";
+import { auth } from "aeryth-core/data/firebase";
+import { adapter } from "aeryth-core/data/storageAdapter";
+import { DEFAULT_SETTINGS } from "aeryth-core/schema";
+import { TONES } from "aeryth-core/tones";
+import { allTags, canonicalTag, TAG_COLORS } from "aeryth-core/tags";
+import { downloadBackup, parseBackup, summarizeData, importBackup } from "../utils/backup";
+import { signInWithGoogle } from "../utils/accountLink";
 import {
-  GoogleAuthProvider,
-  signInWithPopup,
   signOut,
   onAuthStateChanged,
   signInAnonymously,
 } from "firebase/auth";
-import { LogIn, LogOut, UserCircle2, HelpCircle } from "lucide-react";
+import { LogIn, LogOut, UserCircle2, HelpCircle, Download, Upload } from "lucide-react";
 
-export default function SettingsPanel({ settings, setSettings, setCurrentView }) {
+const DOTS = { violet: "bg-violet-500", green: "bg-green-400", rose: "bg-rose-400", amber: "bg-amber-400" };
+
+export default function SettingsPanel({ settings, setSettings, routines = [], renameTag, setCurrentView }) {
   const [form, setForm] = useState(
-    settings || { aerythTone: "Companion (Friendly)", userInfo: "", routineCriteria: "" }
+    settings || DEFAULT_SETTINGS
   );
   const [user, setUser] = useState(null);
   const [authStatus, setAuthStatus] = useState("Loading...");
+  const [pendingImport, setPendingImport] = useState(null); // { data, summary } of a validated backup file
+  const [importError, setImportError] = useState(null);
+  const [isImporting, setIsImporting] = useState(false);
 
   useEffect(() => {
+    // local/memory storage builds have no account at all
+    if (!adapter.usesFirebaseAuth) {
+      setAuthStatus(`${adapter.label} · no account`);
+      return;
+    }
     // Auto sign in anonymously if no user exists
     const unsub = onAuthStateChanged(auth, async (u) => {
       if (!u) {
@@ -31,10 +45,10 @@ export default function SettingsPanel({ settings, setSettings, setCurrentView })
     return () => unsub();
   }, []);
 
+  // links the anonymous account so its data is kept (see accountLink.js)
   const handleGoogleSignIn = async () => {
     try {
-      const provider = new GoogleAuthProvider();
-      await signInWithPopup(auth, provider);
+      await signInWithGoogle();
       window.location.reload();
     } catch (err) {
       console.error("Google sign-in error:", err);
@@ -52,7 +66,78 @@ export default function SettingsPanel({ settings, setSettings, setCurrentView })
     }
   };
 
+  const handleExport = async () => {
+    try {
+      await downloadBackup();
+    } catch (err) {
+      console.error("Export error:", err);
+      alert("Export failed. Check console for details.");
+    }
+  };
+
+  const handleImportFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ""; // allow picking the same file again
+    if (!file) return;
+    setImportError(null);
+    try {
+      const data = parseBackup(await file.text());
+      setPendingImport({ data, summary: summarizeData(data) });
+    } catch (err) {
+      setPendingImport(null);
+      setImportError(err.message);
+    }
+  };
+
+  const handleImport = async (mode) => {
+    if (mode === "replace" && !window.confirm("Replace all of your current data with this backup?")) return;
+    setIsImporting(true);
+    try {
+      await importBackup(pendingImport.data, mode);
+      window.location.reload();
+    } catch (err) {
+      console.error("Import error:", err);
+      setImportError("Import failed. Check console for details.");
+      setIsImporting(false);
+    }
+  };
+
+  // back to null once both days are cleared
+  const setVacation = (field, value) => {
+    const next = { ...(form.vacation || {}), [field]: value || null };
+    setForm({ ...form, vacation: next.start || next.end ? next : null });
+  };
+
+  // tag colors are saved with the form; renaming and deleting change the routines right away
+  const tags = allTags(routines);
+  const tagColors = form.tagColors || {};
+  const setTagColor = (tag, color) => {
+    const next = { ...tagColors };
+    if (!color || next[tag] === color) delete next[tag];
+    else next[tag] = color;
+    setForm({ ...form, tagColors: next });
+  };
+  const handleRenameTag = (tag) => {
+    const input = prompt(`Rename the tag "${tag}" to:`, tag);
+    if (input === null) return;
+    const to = canonicalTag(input, tags.filter(t => t !== tag));
+    if (!to || to === tag) return;
+    renameTag(tag, to);
+    const next = { ...tagColors, [to]: tagColors[to] || tagColors[tag] };
+    delete next[tag];
+    if (!next[to]) delete next[to];
+    setForm({ ...form, tagColors: next });
+  };
+  const handleDeleteTag = (tag) => {
+    if (!confirm(`Remove the tag "${tag}" from every routine?`)) return;
+    renameTag(tag, null);
+    setTagColor(tag, null);
+  };
+
   const saveSettings = async () => {
+    const { vacation } = form;
+    if (vacation && (!vacation.start || !vacation.end)) { alert("Pick both the first and the last day of your vacation"); return; }
+    if (vacation && vacation.end < vacation.start) { alert("Vacation ends before it starts"); return; }
     setSettings(form);
     await buildAndPersistProfileSummary({ settings: form, routines: [], diary: {} });
     setCurrentView("explore");
@@ -71,10 +156,7 @@ export default function SettingsPanel({ settings, setSettings, setCurrentView })
                 onChange={(e) => setForm({ ...form, aerythTone: e.target.value })}
                 className="w-full mt-1 p-3 border rounded-lg"
               >
-                <option>Companion (Friendly)</option>
-                <option>Analyst (Logical)</option>
-                <option>Coach (Motivational)</option>
-                <option>Sage (Wise)</option>
+                {TONES.map(t => <option key={t}>{t}</option>)}
               </select>
             </div>
 
@@ -97,6 +179,50 @@ export default function SettingsPanel({ settings, setSettings, setCurrentView })
               />
             </div>
 
+            {/* 🏖️ Vacation: every routine is paused, no reminders, and these days don't count against streaks */}
+            <div>
+              <label className="font-semibold flex items-center gap-1">
+                Vacation
+                <div className="relative group cursor-pointer">
+                  <HelpCircle size={16} className="text-gray-400" />
+                  <div className="absolute hidden group-hover:block top-6 left-0 bg-gray-700 text-white text-sm rounded p-2 w-64 z-10">
+                    Pauses all routines between these days: no reminders, and the days don't count against your streaks. Pause a single routine from its page.
+                  </div>
+                </div>
+              </label>
+              <div className="flex flex-wrap items-center gap-2 mt-1">
+                <input type="date" value={form.vacation?.start || ""} onChange={(e) => setVacation("start", e.target.value)} className="p-2 border rounded-lg" />
+                <span className="text-gray-500">to</span>
+                <input type="date" value={form.vacation?.end || ""} min={form.vacation?.start || undefined} onChange={(e) => setVacation("end", e.target.value)} className="p-2 border rounded-lg" />
+                {form.vacation && (
+                  <button onClick={() => setForm({ ...form, vacation: null })} className="px-3 py-1.5 rounded-full border text-sm text-gray-600 hover:bg-gray-50">Clear</button>
+                )}
+              </div>
+            </div>
+
+            {/* 🏷️ Tags: the first tag of a routine is its category, colored on the calendar when a color is picked */}
+            <div>
+              <label className="font-semibold">Tags</label>
+              {tags.length ? (
+                <div className="mt-1 space-y-2">
+                  {tags.map(tag => (
+                    <div key={tag} className="flex items-center justify-between gap-3 p-2 border rounded-lg">
+                      <span className="font-medium">{tag}</span>
+                      <div className="flex items-center gap-2">
+                        {TAG_COLORS.map(c => (
+                          <button key={c} onClick={() => setTagColor(tag, c)} aria-label={`Color ${tag} ${c}`} className={`w-5 h-5 rounded-full ${DOTS[c]} ${tagColors[tag] === c ? "ring-2 ring-offset-1 ring-violet-700" : ""}`} />
+                        ))}
+                        <button onClick={() => handleRenameTag(tag)} className="ml-2 text-sm text-violet-700 hover:text-violet-900">Rename</button>
+                        <button onClick={() => handleDeleteTag(tag)} className="text-sm text-red-500 hover:text-red-700">Delete</button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              ) : (
+                <div className="text-sm text-gray-500 mt-1">Tag routines (Health, Learning, Work…) on their page or when creating them.</div>
+              )}
+            </div>
+
             {/* 🔐 Auth Section (replaces Location) */}
             <div>
               <label className="font-semibold flex items-center gap-1">
@@ -104,7 +230,7 @@ export default function SettingsPanel({ settings, setSettings, setCurrentView })
                 <div className="relative group cursor-pointer">
                   <HelpCircle size={16} className="text-gray-400" />
                   <div className="absolute hidden group-hover:block top-6 left-0 bg-gray-700 text-white text-sm rounded p-2 w-64 z-10">
-                    You start as Anonymous by default. Sign in with Google to sync your data across devices.
+                    You start as Anonymous by default. Sign in with Google to sync your data across devices; what you created as a guest comes with you.
                   </div>
                 </div>
               </label>
@@ -118,7 +244,7 @@ export default function SettingsPanel({ settings, setSettings, setCurrentView })
                 </div>
 
                 <div className="flex gap-2">
-                  {user?.isAnonymous ? (
+                  {!adapter.usesFirebaseAuth ? null : user?.isAnonymous ? (
                     <button
                       onClick={handleGoogleSignIn}
                       className="flex items-center gap-1 px-3 py-1.5 rounded-full bg-violet-500 text-white font-semibold hover:bg-violet-600"
@@ -136,6 +262,53 @@ export default function SettingsPanel({ settings, setSettings, setCurrentView })
                 </div>
               </div>
             </div>
+
+            {/* 💾 Backup */}
+            <div>
+              <label className="font-semibold flex items-center gap-1">
+                Backup
+                <div className="relative group cursor-pointer">
+                  <HelpCircle size={16} className="text-gray-400" />
+                  <div className="absolute hidden group-hover:block top-6 left-0 bg-gray-700 text-white text-sm rounded p-2 w-64 z-10">
+                    Export saves routines, diary, sticky notes, statuses, notification chats, profile and settings to one file. Import it here or into another account.
+                  </div>
+                </div>
+              </label>
+
+              <div className="flex gap-2 mt-2">
+                <button
+                  onClick={handleExport}
+                  className="flex items-center gap-1 px-3 py-1.5 rounded-full border font-semibold text-violet-700 hover:bg-violet-50"
+                >
+                  <Download size={16} /> Export
+                </button>
+                <label className="flex items-center gap-1 px-3 py-1.5 rounded-full border font-semibold text-violet-700 hover:bg-violet-50 cursor-pointer">
+                  <Upload size={16} /> Import
+                  <input type="file" accept=".json,application/json" onChange={handleImportFile} className="hidden" />
+                </label>
+              </div>
+
+              {importError && <div className="mt-2 text-sm text-red-600">{importError}</div>}
+
+              {pendingImport && (
+                <div className="mt-2 p-3 border rounded-lg bg-violet-50 text-sm">
+                  <div className="text-gray-700">
+                    Backup with {pendingImport.summary.routines} routines, {pendingImport.summary.diaryDays} diary days and {pendingImport.summary.stickies} sticky notes.
+                  </div>
+                  <div className="flex gap-2 mt-2">
+                    <button disabled={isImporting} onClick={() => handleImport("merge")} className="px-3 py-1 rounded bg-violet-500 text-white disabled:opacity-50">
+                      Merge with my data
+                    </button>
+                    <button disabled={isImporting} onClick={() => handleImport("replace")} className="px-3 py-1 rounded border border-red-400 text-red-600 disabled:opacity-50">
+                      Replace my data
+                    </button>
+                    <button disabled={isImporting} onClick={() => setPendingImport(null)} className="px-3 py-1 rounded border">
+                      Cancel
+                    </button>
+                  </div>
+                </div>
+              )}
+            </div>
           </div>
 
           <div className="flex gap-3 mt-6">
@@ -2,36 +2,39 @@
 import React, { useState } from "react";
 import SidebarToggle from "./shared/SidebarToggle";
 import RoutineStrip from "./shared/RoutineStrip";
+import SyncStatusBadge from "./shared/SyncStatusBadge";
+import { iso } from "aeryth-core/dates";
+import { occurrencesOf } from "aeryth-core/recurrence";
+import { tagsOf, allTags } from "aeryth-core/tags";
+
+const DOTS = { violet: "bg-violet-500", green: "bg-green-400", rose: "bg-rose-400", amber: "bg-amber-400" };
 
 export default function Sidebar({
   routines, setCurrentView, handleNewChat, setSelectedRoutineId, addRoutine,
-  selectedRoutineId, editingRoutine, setEditingRoutine, menuOpenFor, setMenuOpenFor, updateRoutine, removeRoutine
+  selectedRoutineId, editingRoutine, setEditingRoutine, menuOpenFor, setMenuOpenFor, updateRoutine, removeRoutine, duplicateRoutine, saveAsTemplate, openRoutineEditor, vacation, tagColors = {}
 }) {
   const [searchRoutines, setSearchRoutines] = useState("");
+  // routines with any of the selected tags are shown; none selected shows all
+  const [tagFilter, setTagFilter] = useState([]);
+
+  const tags = allTags(routines);
+  const activeFilter = tagFilter.filter(t => tags.includes(t));
+  const toggleTag = (tag) => setTagFilter(prev => prev.includes(tag) ? prev.filter(t => t !== tag) : [...prev, tag]);
 
-  const filteredRoutines = routines.filter(r => r.name?.toLowerCase().includes(searchRoutines.trim().toLowerCase()));
+  // the search matches names and tags
+  const query = searchRoutines.trim().toLowerCase();
+  const filteredRoutines = routines.filter(r =>
+    (r.name?.toLowerCase().includes(query) || tagsOf(r).some(t => t.toLowerCase().includes(query))) &&
+    (!activeFilter.length || tagsOf(r).some(t => activeFilter.includes(t))));
   
 
   // Calculate upcoming event for today — if events remaining show next one else "No more work today"
-  const todayIso = (d => d.toISOString().slice(0,10))(new Date());
   const now = new Date();
+  const todayIso = iso(now);
 
-  // Helper to convert routine days to numeric weekday index local: Mon:1..Sun:0
-  const dayNameToIdx = { Mon:1, Tue:2, Wed:3, Thu:4, Fri:5, Sat:6, Sun:0 };
-
-  // find today's routines sorted by startTime
-  const todays = filteredRoutines
-    .filter(r => (r.days || []).some(dd => dayNameToIdx[dd] === new Date().getDay()))
-    .map(r => ({ ...r }))
-    .sort((a,b) => (a.startTime||"00:00") > (b.startTime||"00:00") ? 1 : -1);
-
-  // find next upcoming: first with startTime > now, else if none and there were items then "No more work today"
-  let upcomingItem = null;
-  for (const r of todays) {
-    const [hh, mm] = (r.startTime || "00:00").split(":").map(Number);
-    const startDate = new Date(); startDate.setHours(hh, mm, 0, 0);
-    if (startDate.getTime() > now.getTime()) { upcomingItem = r; break; }
-  }
+  // find next upcoming among today's occurrences (ordered by start), else "No more work today"
+  const nextToday = occurrencesOf(filteredRoutines, todayIso, todayIso, { vacation }).find(occ => occ.start > now.getTime());
+  const upcomingItem = nextToday ? { ...filteredRoutines.find(r => r.id === nextToday.routineId), startTime: nextToday.startTime } : null;
 
   return (
     <div className="w-80 h-full p-4 flex flex-col bg-white border-l">
@@ -39,6 +42,7 @@ export default function Sidebar({
         <div>
           <h3 className="text-2xl font-extrabold text-violet-600">Routines</h3>
           <p className="text-sm text-gray-500">Your daily rhythm</p>
+          <div className="mt-1"><SyncStatusBadge /></div>
         </div>
 
       </div>
@@ -47,6 +51,18 @@ export default function Sidebar({
 
       <input value={searchRoutines} onChange={(e) => setSearchRoutines(e.target.value)} placeholder="Search routines..." className="w-full p-2 border rounded-xl mb-3" />
 
+      {tags.length > 0 && (
+        <div className="flex flex-wrap gap-1 mb-3">
+          {tags.map(tag => (
+            <button key={tag} onClick={() => toggleTag(tag)} className={`inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-semibold border ${activeFilter.includes(tag) ? "bg-violet-500 text-white border-violet-500" : "bg-white text-gray-700 hover:bg-gray-100"}`}>
+              {tagColors[tag] && <span className={`w-2 h-2 rounded-full ${DOTS[tagColors[tag]]}`} />}
+              {tag}
+            </button>
+          ))}
+          {activeFilter.length > 0 && <button onClick={() => setTagFilter([])} className="px-2 py-0.5 text-xs text-gray-500 hover:text-gray-800">Clear</button>}
+        </div>
+      )}
+
       <div className="mb-4 flex flex-col gap-2">
         {upcomingItem ? (
           <div>
@@ -70,6 +86,7 @@ export default function Sidebar({
             <RoutineStrip key={r.id} r={r} selectedRoutineId={selectedRoutineId} setSelectedRoutineId={setSelectedRoutineId}
               editingRoutine={editingRoutine} setEditingRoutine={setEditingRoutine}
               menuOpenFor={menuOpenFor} setMenuOpenFor={setMenuOpenFor} updateRoutine={updateRoutine} removeRoutine={removeRoutine}
+              duplicateRoutine={duplicateRoutine} saveAsTemplate={saveAsTemplate} openRoutineEditor={openRoutineEditor}
             />
           )) : <div className="text-sm text-gray-500">No routines yet</div>}
         </div>
@@ -77,7 +94,10 @@ export default function Sidebar({
 
       <div className="pt-2 border-t mt-3 space-y-1">
         <button onClick={() => setCurrentView("calendar")} className={`flex items-center w-full p-3 rounded-xl hover:bg-gray-100`}><span className="mr-3 text-xl">🗓️</span>Calendar</button>
+        <button onClick={() => setCurrentView("goals")} className={`flex items-center w-full p-3 rounded-xl hover:bg-gray-100`}><span className="mr-3 text-xl">🎯</span>Goals</button>
+        <button onClick={() => setCurrentView("stats")} className={`flex items-center w-full p-3 rounded-xl hover:bg-gray-100`}><span className="mr-3 text-xl">📊</span>Stats</button>
         <button onClick={() => setCurrentView("diary")} className={`flex items-center w-full p-3 rounded-xl hover:bg-gray-100`}><span className="mr-3 text-xl">✍️</span>Diary</button>
+        <button onClick={() => setCurrentView("trash")} className={`flex items-center w-full p-3 rounded-xl hover:bg-gray-100`}><span className="mr-3 text-xl">🗑️</span>Trash</button>
         <button onClick={() => setCurrentView("settings")} className={`flex items-center w-full p-3 rounded-xl hover:bg-gray-100`}><span className="mr-3 text-xl">⚙️</span>Settings</button>
       </div>
     </div>
@@ -0,0 +1,62 @@
+// src/components/StatsView.jsx
+import React, { useState } from "react";
+import { statsByGroup, GROUP_BY, UNCATEGORIZED } from "aeryth-core/tags";
+import { STATS_WINDOW_DAYS } from "aeryth-core/stats";
+
+const DOTS = { violet: "bg-violet-500", green: "bg-green-400", rose: "bg-rose-400", amber: "bg-amber-400" };
+
+// Completion of the past year, grouped by category, tag or routine (aeryth-core's tags.js)
+export default function StatsView({ routines, eventStatuses, vacation, tagColors = {} }) {
+  const [by, setBy] = useState("category");
+  const groups = statsByGroup(routines, eventStatuses, { by, vacation });
+  const total = groups.reduce((acc, g) => ({ due: acc.due + g.due, completed: acc.completed + g.completed }), { due: 0, completed: 0 });
+
+  return (
+    <div className="flex-1 h-full p-6 overflow-auto">
+      <div className="max-w-4xl mx-auto">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-2xl font-bold text-violet-700">Stats</h2>
+          <div className="flex items-center gap-2 text-sm">
+            <span className="text-gray-600">Group by</span>
+            <select value={by} onChange={e => setBy(e.target.value)} className="p-2 border rounded-lg">
+              {GROUP_BY.map(g => <option key={g} value={g}>{g}</option>)}
+            </select>
+          </div>
+        </div>
+
+        <p className="text-sm text-gray-500 mb-4">
+          Sessions of the last {STATS_WINDOW_DAYS} days. Overall {total.due ? `${Math.round((total.completed / total.due) * 100)}% done (${total.completed}/${total.due})` : "nothing due yet"}.
+        </p>
+
+        {groups.length ? (
+          <div className="bg-white rounded-xl shadow divide-y">
+            {groups.map(g => (
+              <div key={`${g.group}|${g.routines.join(",")}`} className="p-4">
+                <div className="flex items-center justify-between">
+                  <div className="flex items-center gap-2 font-semibold">
+                    {by !== "routine" && g.group !== UNCATEGORIZED && <span className={`w-3 h-3 rounded-full ${DOTS[tagColors[g.group]] || "bg-gray-300"}`} />}
+                    {g.group}
+                  </div>
+                  <div className="text-sm text-gray-600">
+                    {g.adherence === null ? "nothing due yet" : `${Math.round(g.adherence * 100)}% done`}
+                  </div>
+                </div>
+                <div className="h-2 mt-2 rounded-full bg-violet-100 overflow-hidden">
+                  <div className="h-full bg-violet-500" style={{ width: `${Math.round((g.adherence || 0) * 100)}%` }} />
+                </div>
+                <div className="flex flex-wrap gap-4 mt-2 text-xs text-gray-500">
+                  <span>✅ {g.completed} completed</span>
+                  <span>⏭ {g.skipped} skipped</span>
+                  <span>✖ {g.missed} missed</span>
+                  {by !== "routine" && <span>{g.routines.join(", ")}</span>}
+                </div>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <div className="text-sm text-gray-500">No routines yet</div>
+        )}
+      </div>
+    </div>
+  );
+}
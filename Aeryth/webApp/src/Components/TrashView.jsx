@@ -0,0 +1,64 @@
+// src/components/TrashView.jsx
+import React from "react";
+import { fmtShort, parseIsoToLocalDate } from "aeryth-core/dates";
+import { describeRecurrence, slotsOf } from "aeryth-core/recurrence";
+import { TRASH_RETENTION_DAYS, isDeleted, daysLeftInTrash, trashedDiaryEntries } from "../utils/trash";
+
+export default function TrashView({ routines, diary, restoreRoutine, purgeRoutine, restoreDiaryEntry, purgeDiaryEntry }) {
+  const trashedRoutines = routines
+    .filter(isDeleted)
+    .sort((a, b) => String(b.deletedAt).localeCompare(String(a.deletedAt)));
+  const trashedEntries = trashedDiaryEntries(diary);
+
+  const confirmPurge = (what, fn) => {
+    if (confirm(`Delete ${what} forever? This cannot be undone.`)) fn();
+  };
+
+  const daysLeft = (item) => {
+    const n = daysLeftInTrash(item);
+    return n <= 1 ? "deleted within a day" : `${n} days left`;
+  };
+
+  return (
+    <div className="h-full p-6 overflow-auto">
+      <div className="max-w-3xl mx-auto">
+        <h2 className="text-2xl font-bold text-violet-700">Trash</h2>
+        <p className="text-sm text-gray-500 mb-6">
+          Deleted routines and diary entries stay here for {TRASH_RETENTION_DAYS} days. Restoring a routine brings back its sticky notes and statuses.
+        </p>
+
+        <h3 className="font-semibold text-gray-800 mb-2">Routines</h3>
+        <div className="space-y-2 mb-8">
+          {trashedRoutines.length ? trashedRoutines.map(r => (
+            <div key={r.id} className="flex items-center justify-between p-3 bg-white rounded-xl shadow-sm border-l-4 border-violet-300">
+              <div className="min-w-0">
+                <div className="font-bold text-violet-800 truncate">{r.name || "Routine"}</div>
+                <div className="text-xs text-gray-500">{slotsOf(r).map(s => `${s.startTime}–${s.endTime}`).join(", ")} · {describeRecurrence(r)} · {daysLeft(r)}</div>
+              </div>
+              <div className="flex gap-2 flex-shrink-0">
+                <button onClick={() => restoreRoutine(r.id)} className="px-3 py-1 rounded bg-violet-500 text-white text-sm">Restore</button>
+                <button onClick={() => confirmPurge(`"${r.name}"`, () => purgeRoutine(r.id))} className="px-3 py-1 rounded border text-sm text-red-600">Delete forever</button>
+              </div>
+            </div>
+          )) : <div className="text-sm text-gray-500">No deleted routines.</div>}
+        </div>
+
+        <h3 className="font-semibold text-gray-800 mb-2">Diary entries</h3>
+        <div className="space-y-2">
+          {trashedEntries.length ? trashedEntries.map(({ monthKey, dayKey, entry }) => (
+            <div key={entry.id} className="flex items-center justify-between gap-3 p-3 bg-white rounded-xl shadow-sm">
+              <div className="min-w-0">
+                <div className="text-xs text-gray-500">{fmtShort(parseIsoToLocalDate(dayKey))} · {daysLeft(entry)}</div>
+                <div className="text-gray-800 truncate">{entry.text}</div>
+              </div>
+              <div className="flex gap-2 flex-shrink-0">
+                <button onClick={() => restoreDiaryEntry(monthKey, dayKey, entry.id)} className="px-3 py-1 rounded bg-violet-500 text-white text-sm">Restore</button>
+                <button onClick={() => confirmPurge("this entry", () => purgeDiaryEntry(monthKey, dayKey, entry.id))} className="px-3 py-1 rounded border text-sm text-red-600">Delete forever</button>
+              </div>
+            </div>
+          )) : <div className="text-sm text-gray-500">No deleted diary entries.</div>}
+        </div>
+      </div>
+    </div>
+  );
+}
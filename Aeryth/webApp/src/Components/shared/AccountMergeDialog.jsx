@@ -0,0 +1,70 @@
+// src/components/shared/AccountMergeDialog.jsx
+import React, { useEffect, useState } from "react";
+import { getPendingMerge, discardPendingMerge, completePendingMerge } from "../../utils/accountLink";
+import { loadAccountData, summarizeData, isAccountDataEmpty } from "../../utils/backup";
+
+const describe = (s) => `${s.routines} routines, ${s.diaryDays} diary days, ${s.stickies} sticky notes`;
+
+// Shown after signing in to a Google account that already had data while guest data was waiting (accountLink.js).
+export default function AccountMergeDialog() {
+  const [pending, setPending] = useState(null); // { guest, account } summaries
+  const [isMerging, setIsMerging] = useState(false);
+
+  useEffect(() => {
+    (async () => {
+      const merge = await getPendingMerge();
+      if (!merge) return;
+      const accountData = await loadAccountData();
+      if (isAccountDataEmpty(accountData)) {
+        // nothing to choose between: the guest data simply moves over
+        await completePendingMerge();
+        window.location.reload();
+        return;
+      }
+      setPending({ guest: summarizeData(merge.data), account: summarizeData(accountData) });
+    })();
+  }, []);
+
+  if (!pending) return null;
+
+  const handleMerge = async () => {
+    setIsMerging(true);
+    try {
+      await completePendingMerge();
+      window.location.reload();
+    } catch (err) {
+      console.error("Account merge error:", err);
+      alert("Merging failed. Check console for details.");
+      setIsMerging(false);
+    }
+  };
+
+  const handleDiscard = async () => {
+    if (!window.confirm("Discard the data you created as a guest?")) return;
+    await discardPendingMerge();
+    setPending(null);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/30 flex items-center justify-center z-[60]">
+      <div className="bg-white rounded-xl shadow-lg p-6 max-w-md w-full mx-4">
+        <h3 className="text-lg font-bold text-violet-700 mb-2">Combine your data?</h3>
+        <p className="text-sm text-gray-600">
+          This Google account already has Aeryth data. You also created data as a guest before signing in.
+        </p>
+        <ul className="text-sm text-gray-700 mt-3 space-y-1">
+          <li><span className="font-semibold">Google account:</span> {describe(pending.account)}</li>
+          <li><span className="font-semibold">Guest:</span> {describe(pending.guest)}</li>
+        </ul>
+        <div className="flex gap-2 mt-5">
+          <button disabled={isMerging} onClick={handleMerge} className="px-4 py-2 rounded bg-violet-500 text-white font-semibold disabled:opacity-50">
+            {isMerging ? "Merging..." : "Merge both"}
+          </button>
+          <button disabled={isMerging} onClick={handleDiscard} className="px-4 py-2 rounded border">
+            Keep Google data only
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,34 @@
+// src/components/shared/AnchorEditor.jsx
+import React from "react";
+import { wouldCycle, DEFAULT_ANCHOR_DELAY, MIN_ANCHOR_DELAY, MAX_ANCHOR_DELAY } from "aeryth-core/chains";
+
+const FIXED = "";
+
+// Edits routine.anchor ({ routineId, delayMinutes }, see aeryth-core's chains.js); null means a fixed clock time.
+// routineId is the edited routine's id (null while creating it); routines that already follow it aren't offered.
+export default function AnchorEditor({ routineId = null, anchor, routines = [], onChange }) {
+  const candidates = routines.filter(r => !r.deletedAt && r.id !== routineId && !(routineId && wouldCycle(routineId, r.id, routines)));
+  const delay = anchor?.delayMinutes ?? DEFAULT_ANCHOR_DELAY;
+
+  const pick = (id) => onChange(id === FIXED ? null : { routineId: id, delayMinutes: delay });
+  const setDelay = (value) => onChange({ ...anchor, delayMinutes: Math.min(MAX_ANCHOR_DELAY, Math.max(MIN_ANCHOR_DELAY, Number(value) || MIN_ANCHOR_DELAY)) });
+
+  return (
+    <div>
+      <label className="font-semibold">Starts</label>
+      <div className="flex flex-wrap items-center gap-2 mt-1">
+        <select value={anchor?.routineId || FIXED} onChange={e => pick(e.target.value)} className="p-2 border rounded-lg">
+          <option value={FIXED}>at a fixed time</option>
+          {candidates.map(r => <option key={r.id} value={r.id}>after {r.name}</option>)}
+        </select>
+        {anchor && (
+          <>
+            <input type="number" min={MIN_ANCHOR_DELAY} max={MAX_ANCHOR_DELAY} value={delay} onChange={e => setDelay(e.target.value)} className="w-20 p-2 border rounded-lg" />
+            <span className="text-gray-600">minutes after it's completed</span>
+          </>
+        )}
+      </div>
+      {anchor && <div className="text-xs text-gray-500 mt-1">The extension reminds you once the routine before is marked completed; the time below is when it's expected to start.</div>}
+    </div>
+  );
+}
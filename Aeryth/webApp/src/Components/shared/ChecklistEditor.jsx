@@ -0,0 +1,52 @@
+// src/components/shared/ChecklistEditor.jsx
+import React, { useState } from "react";
+import { newChecklistItem } from "aeryth-core/checklists";
+
+// Edits routine.checklist ([{ id, text }]) and routine.checklistCompletes, see aeryth-core's checklists.js.
+// Item ids are kept when the text changes, so ticks already made stay on their item.
+export default function ChecklistEditor({ checklist = [], completes = false, onChange }) {
+  const [draft, setDraft] = useState("");
+
+  const set = (patch) => onChange({ checklist, checklistCompletes: completes, ...patch });
+  const add = () => {
+    if (!draft.trim()) return;
+    set({ checklist: [...checklist, newChecklistItem(draft)] });
+    setDraft("");
+  };
+  const rename = (id, text) => set({ checklist: checklist.map(item => item.id === id ? { ...item, text } : item) });
+  // an emptied item is dropped once the field is left
+  const commit = (id) => set({ checklist: checklist.filter(item => item.id !== id || item.text.trim()) });
+  const remove = (id) => set({ checklist: checklist.filter(item => item.id !== id) });
+
+  return (
+    <div>
+      <label className="font-semibold">Checklist</label>
+      <div className="mt-1 space-y-1">
+        {checklist.map((item, i) => (
+          <div key={item.id} className="flex items-center gap-2">
+            <span className="w-5 text-right text-sm text-gray-400">{i + 1}.</span>
+            <input value={item.text} onChange={e => rename(item.id, e.target.value)} onBlur={() => commit(item.id)} className="flex-1 p-1.5 border rounded-lg text-sm" />
+            <button type="button" onClick={() => remove(item.id)} className="px-2 text-gray-500 hover:text-red-600" aria-label="Remove step">✕</button>
+          </div>
+        ))}
+        <div className="flex items-center gap-2">
+          <span className="w-5" />
+          <input
+            value={draft}
+            onChange={e => setDraft(e.target.value)}
+            onKeyDown={e => { if (e.key === "Enter") { e.preventDefault(); add(); } }}
+            placeholder={checklist.length ? "Add a step" : "e.g. Warm up, 3 sets, Stretch"}
+            className="flex-1 p-1.5 border rounded-lg text-sm"
+          />
+          <button type="button" onClick={add} className="px-3 py-1 rounded-lg border text-sm text-violet-700 hover:bg-violet-50">Add</button>
+        </div>
+      </div>
+      {checklist.length > 0 && (
+        <label className="flex items-center gap-2 mt-2 text-sm text-gray-700">
+          <input type="checkbox" checked={completes} onChange={e => set({ checklistCompletes: e.target.checked })} />
+          Mark the session completed when every step is ticked
+        </label>
+      )}
+    </div>
+  );
+}
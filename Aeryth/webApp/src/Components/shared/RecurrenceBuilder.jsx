@@ -0,0 +1,76 @@
+// src/components/shared/RecurrenceBuilder.jsx
+import React from "react";
+import { WEEK_ORDER, FREQUENCIES, recurrenceFields, describeRecurrence } from "aeryth-core/recurrence";
+
+const UNITS = { daily: "day", weekly: "week", monthly: "month" };
+const LAST_DAY = -1;
+
+// Edits a rule as returned by recurrenceOf(): { freq, interval, byDay, byMonthDay, start, until, count }.
+// Store it on a routine with recurrenceFields(rule).
+export default function RecurrenceBuilder({ rule, onChange }) {
+  const set = (patch) => onChange({ ...rule, ...patch });
+  const endsOn = rule.count ? "count" : rule.until ? "until" : "never";
+
+  const toggleDay = (d) => set({ byDay: rule.byDay.includes(d) ? rule.byDay.filter(x => x !== d) : [...rule.byDay, d] });
+  const toggleMonthDay = (n) => {
+    const next = rule.byMonthDay.includes(n) ? rule.byMonthDay.filter(x => x !== n) : [...rule.byMonthDay, n];
+    set({ byMonthDay: next.sort((a, b) => (a < 0) - (b < 0) || a - b) });
+  };
+  const setEnds = (mode) => set({
+    until: mode === "until" ? (rule.until || rule.start) : null,
+    count: mode === "count" ? (rule.count || 10) : null,
+  });
+
+  const chip = (active) => `rounded-full font-bold transition ${active ? "bg-violet-500 text-white" : "bg-gray-200 text-gray-700"}`;
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="font-semibold">Repeat every</span>
+        <input type="number" min="1" value={rule.interval} onChange={e => set({ interval: Math.max(1, Number(e.target.value) || 1) })} className="w-16 p-2 border rounded-lg" />
+        <select value={rule.freq} onChange={e => set({ freq: e.target.value })} className="p-2 border rounded-lg">
+          {FREQUENCIES.map(f => <option key={f} value={f}>{UNITS[f]}{rule.interval > 1 ? "s" : ""}</option>)}
+        </select>
+      </div>
+
+      {rule.freq === "weekly" && (
+        <div className="flex gap-2">
+          {WEEK_ORDER.map(d => (
+            <button key={d} type="button" onClick={() => toggleDay(d)} className={`w-10 h-10 ${chip(rule.byDay.includes(d))}`}>{d[0]}</button>
+          ))}
+        </div>
+      )}
+
+      {rule.freq === "monthly" && (
+        <div className="flex flex-wrap gap-1">
+          {Array.from({ length: 31 }, (_, i) => i + 1).map(n => (
+            <button key={n} type="button" onClick={() => toggleMonthDay(n)} className={`w-8 h-8 text-xs ${chip(rule.byMonthDay.includes(n))}`}>{n}</button>
+          ))}
+          <button type="button" onClick={() => toggleMonthDay(LAST_DAY)} className={`px-3 h-8 text-xs ${chip(rule.byMonthDay.includes(LAST_DAY))}`}>Last day</button>
+        </div>
+      )}
+
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="font-semibold">Starts</span>
+        <input type="date" value={rule.start || ""} onChange={e => set({ start: e.target.value || null })} className="p-2 border rounded-lg" />
+        <span className="font-semibold ml-2">Ends</span>
+        <select value={endsOn} onChange={e => setEnds(e.target.value)} className="p-2 border rounded-lg">
+          <option value="never">Never</option>
+          <option value="until">On date</option>
+          <option value="count">After</option>
+        </select>
+        {endsOn === "until" && (
+          <input type="date" value={rule.until || ""} min={rule.start || undefined} onChange={e => set({ until: e.target.value || null })} className="p-2 border rounded-lg" />
+        )}
+        {endsOn === "count" && (
+          <>
+            <input type="number" min="1" value={rule.count} onChange={e => set({ count: Math.max(1, Number(e.target.value) || 1) })} className="w-16 p-2 border rounded-lg" />
+            <span className="text-sm text-gray-600">times</span>
+          </>
+        )}
+      </div>
+
+      <div className="text-sm text-violet-700">{describeRecurrence(recurrenceFields(rule))}</div>
+    </div>
+  );
+}
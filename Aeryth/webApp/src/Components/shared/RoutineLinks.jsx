@@ -0,0 +1,29 @@
+// src/components/shared/RoutineLinks.jsx
+import React from "react";
+
+// Picks the routines a goal is linked to (goal.routineIds, see aeryth-core's goals.js).
+export default function RoutineLinks({ routines = [], selected = [], onChange }) {
+  const toggle = (id) => onChange(selected.includes(id) ? selected.filter(x => x !== id) : [...selected, id]);
+
+  return (
+    <div>
+      <label className="font-semibold">Linked routines</label>
+      {routines.length ? (
+        <div className="flex flex-wrap gap-2 mt-1">
+          {routines.map(r => (
+            <button
+              key={r.id}
+              type="button"
+              onClick={() => toggle(r.id)}
+              className={`px-3 py-1 rounded-full text-sm border ${selected.includes(r.id) ? "bg-violet-500 text-white border-violet-500" : "bg-white text-violet-800 border-violet-200 hover:bg-violet-50"}`}
+            >
+              {r.name}
+            </button>
+          ))}
+        </div>
+      ) : (
+        <div className="text-sm text-gray-500 mt-1">No routines yet; link them here once you've created some.</div>
+      )}
+    </div>
+  );
+}
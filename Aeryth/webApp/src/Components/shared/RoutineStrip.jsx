@@ -1,7 +1,7 @@
 // src/components/shared/RoutineStrip.jsx
 import React from "react";
 
-export default function RoutineStrip({ r, selectedRoutineId, setSelectedRoutineId, editingRoutine, setEditingRoutine, menuOpenFor, setMenuOpenFor, updateRoutine, removeRoutine }) {
+export default function RoutineStrip({ r, selectedRoutineId, setSelectedRoutineId, editingRoutine, setEditingRoutine, menuOpenFor, setMenuOpenFor, updateRoutine, removeRoutine, duplicateRoutine, saveAsTemplate, openRoutineEditor }) {
   const selected = selectedRoutineId === r.id;
   return (
     <div className={`flex items-center p-3 rounded-xl ${selected ? "bg-violet-100" : "hover:bg-gray-100"} relative`}>
@@ -22,9 +22,12 @@ export default function RoutineStrip({ r, selectedRoutineId, setSelectedRoutineI
           <svg className="w-4 h-4" viewBox="0 0 24 24" fill="none" stroke="currentColor"><circle cx="5" cy="12" r="1.5"/><circle cx="12" cy="12" r="1.5"/><circle cx="19" cy="12" r="1.5"/></svg>
         </button>
         {menuOpenFor === r.id && (
-          <div className="absolute right-3 top-12 bg-white border rounded shadow-md w-36 z-50">
+          <div className="absolute right-3 top-12 bg-white border rounded shadow-md w-40 z-50">
             <button onClick={() => { setEditingRoutine(r.id); setMenuOpenFor(null); }} className="w-full text-left px-3 py-2 hover:bg-gray-50">Rename</button>
-            <button onClick={() => { removeRoutine(r.id); setMenuOpenFor(null); }} className="w-full text-left px-3 py-2 text-red-600 hover:bg-gray-50">Delete</button>
+            <button onClick={() => { openRoutineEditor(r.id); setMenuOpenFor(null); }} className="w-full text-left px-3 py-2 hover:bg-gray-50">Edit</button>
+            <button onClick={() => { duplicateRoutine(r.id); setMenuOpenFor(null); }} className="w-full text-left px-3 py-2 hover:bg-gray-50">Duplicate</button>
+            <button onClick={() => { saveAsTemplate(r.id); setMenuOpenFor(null); }} className="w-full text-left px-3 py-2 hover:bg-gray-50">Save as template</button>
+            <button onClick={() => { removeRoutine(r.id); setMenuOpenFor(null); }} className="w-full text-left px-3 py-2 text-red-600 hover:bg-gray-50">Move to Trash</button>
           </div>
         )}
       </div>
@@ -0,0 +1,62 @@
+// src/components/shared/SyncStatusBadge.jsx
+import React, { useEffect, useState } from "react";
+import { onSyncStatusChange, resolveConflict } from "../../utils/storage";
+
+const LABELS = {
+  synced: { text: "Synced", dot: "bg-green-500" },
+  pending: { text: "Pending", dot: "bg-amber-400" },
+  conflict: { text: "Conflict", dot: "bg-red-500" },
+  outdated: { text: "Update needed", dot: "bg-gray-400" },
+};
+
+const KEY_NAMES = {
+  aeryth_routines: "Routine",
+  aeryth_diary: "Diary",
+  aeryth_stickies: "Sticky notes",
+  aeryth_event_statuses: "Event statuses",
+  aeryth_notif_chats: "Notification chat",
+  aeryth_templates: "Template",
+  aeryth_checklists: "Checklist",
+  aeryth_goals: "Goal",
+  aeryth_settings: "Settings",
+  aeryth_profile: "Profile",
+};
+
+export default function SyncStatusBadge() {
+  const [status, setStatus] = useState(null);
+  const [open, setOpen] = useState(false);
+
+  useEffect(() => onSyncStatusChange(setStatus), []);
+
+  if (!status) return null;
+  const label = LABELS[status.state] || LABELS.synced;
+  let title = label.text;
+  if (status.state === "pending") title = `${status.pending} change(s) waiting to sync${status.online ? "" : " (offline)"}`;
+  if (status.state === "outdated") title = "Your data was saved by a newer version of Aeryth. Changes stay on this device until you reload the updated app.";
+
+  const handleResolve = (id, choice) => resolveConflict(id, choice);
+
+  return (
+    <div className="relative">
+      <button onClick={() => status.state === "conflict" && setOpen(o => !o)} title={title} className="flex items-center gap-1 px-2 py-1 rounded-full bg-gray-100 text-xs text-gray-600">
+        <span className={`w-2 h-2 rounded-full ${label.dot}`} />
+        {label.text}{status.state === "pending" && !status.online ? " (offline)" : ""}
+      </button>
+
+      {open && status.conflicts.length > 0 && (
+        <div className="absolute left-0 top-8 bg-white border rounded shadow-md w-64 z-50 p-2 space-y-2">
+          <div className="text-xs text-gray-500">These records changed on another device while you were editing them.</div>
+          {status.conflicts.map(c => (
+            <div key={c.id} className="p-2 border rounded">
+              <div className="text-sm font-medium">{KEY_NAMES[c.key] || c.key}{c.docId !== "_root" ? ` · ${c.docId}` : ""}</div>
+              <div className="flex gap-2 mt-1">
+                <button onClick={() => handleResolve(c.id, "local")} className="px-2 py-1 rounded bg-violet-500 text-white text-xs">Keep mine</button>
+                <button onClick={() => handleResolve(c.id, "remote")} className="px-2 py-1 rounded border text-xs">Keep theirs</button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,44 @@
+// src/components/shared/TagEditor.jsx
+import React, { useState } from "react";
+import { canonicalTag } from "aeryth-core/tags";
+
+// Edits routine.tags (see aeryth-core's tags.js); known are the tags already in use, offered while typing.
+// The first tag is the routine's category.
+export default function TagEditor({ tags = [], known = [], onChange }) {
+  const [draft, setDraft] = useState("");
+
+  const add = () => {
+    const tag = canonicalTag(draft, known);
+    if (tag && !tags.includes(tag)) onChange([...tags, tag]);
+    setDraft("");
+  };
+  const remove = (tag) => onChange(tags.filter(t => t !== tag));
+  const makeCategory = (tag) => onChange([tag, ...tags.filter(t => t !== tag)]);
+
+  return (
+    <div>
+      <label className="font-semibold">Tags</label>
+      <div className="flex flex-wrap items-center gap-2 mt-1">
+        {tags.map((tag, i) => (
+          <span key={tag} className={`inline-flex items-center gap-1 px-3 py-1 rounded-full text-sm ${i === 0 ? "bg-violet-500 text-white" : "bg-violet-100 text-violet-800"}`}>
+            <button type="button" onClick={() => makeCategory(tag)} title={i === 0 ? "Category" : "Make this the category"}>{tag}</button>
+            <button type="button" onClick={() => remove(tag)} className="opacity-70 hover:opacity-100" aria-label={`Remove tag ${tag}`}>✕</button>
+          </span>
+        ))}
+        <input
+          value={draft}
+          onChange={e => setDraft(e.target.value)}
+          onKeyDown={e => { if (e.key === "Enter" || e.key === ",") { e.preventDefault(); add(); } }}
+          onBlur={() => draft.trim() && add()}
+          list="aeryth-known-tags"
+          placeholder={tags.length ? "Add tag" : "e.g. Health, Learning, Work"}
+          className="w-48 p-2 border rounded-lg text-sm"
+        />
+        <datalist id="aeryth-known-tags">
+          {known.filter(t => !tags.includes(t)).map(t => <option key={t} value={t} />)}
+        </datalist>
+      </div>
+      {tags.length > 1 && <div className="text-xs text-gray-500 mt-1">The first tag is the category; click another to make it the category.</div>}
+    </div>
+  );
+}
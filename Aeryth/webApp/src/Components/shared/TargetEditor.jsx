@@ -0,0 +1,45 @@
+// src/components/shared/TargetEditor.jsx
+import React from "react";
+import { TARGET_UNITS, TARGET_PERIODS } from "aeryth-core/targets";
+
+const CUSTOM = "custom";
+
+// Edits routine.target ({ amount, unit, per }, see aeryth-core's targets.js); null means no target.
+export default function TargetEditor({ target, onChange }) {
+  const isCustom = target && !TARGET_UNITS.includes(target.unit);
+  const set = (patch) => onChange({ ...target, ...patch });
+
+  if (!target) {
+    return (
+      <div>
+        <label className="font-semibold">Target</label>
+        <div className="mt-1">
+          <button type="button" onClick={() => onChange({ amount: 30, unit: "minutes", per: "day" })} className="px-3 py-2 rounded-lg border text-violet-700 hover:bg-violet-50">
+            + Add a measurable target
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <label className="font-semibold">Target</label>
+      <div className="flex flex-wrap items-center gap-2 mt-1">
+        <input type="number" min="1" value={target.amount} onChange={e => set({ amount: Math.max(1, Number(e.target.value) || 1) })} className="w-20 p-2 border rounded-lg" />
+        <select value={isCustom ? CUSTOM : target.unit} onChange={e => set({ unit: e.target.value === CUSTOM ? "" : e.target.value })} className="p-2 border rounded-lg">
+          {TARGET_UNITS.map(u => <option key={u} value={u}>{u}</option>)}
+          <option value={CUSTOM}>custom…</option>
+        </select>
+        {isCustom && (
+          <input value={target.unit} onChange={e => set({ unit: e.target.value })} placeholder="unit, e.g. km" className="w-28 p-2 border rounded-lg" />
+        )}
+        <span className="text-gray-600">per</span>
+        <select value={target.per} onChange={e => set({ per: e.target.value })} className="p-2 border rounded-lg">
+          {TARGET_PERIODS.map(p => <option key={p} value={p}>{p}</option>)}
+        </select>
+        <button type="button" onClick={() => onChange(null)} className="text-sm text-gray-500 hover:text-red-600">Remove</button>
+      </div>
+    </div>
+  );
+}
@@ -3,7 +3,7 @@ import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
 import React, { useEffect, useState } from "react";
-import { initFirebase } from "./utils/firebaseInit.js";
+import { adapter } from "aeryth-core/data/storageAdapter";
 
 
 const Root = () => {
@@ -11,12 +11,12 @@ const Root = () => {
 
   useEffect(() => {
     (async () => {
-      await initFirebase(); // waits for auth and firestore ready
+      await adapter.getUser({ anonymous: true }); // waits for auth (or the local user) to be ready
       setReady(true);
     })();
   }, []);
 
-  if (!ready) return <div>Loading Firebase...</div>;
+  if (!ready) return <div>Loading {adapter.label}...</div>;
   return (<App />);
 };
 createRoot(document.getElementById('root')).render(
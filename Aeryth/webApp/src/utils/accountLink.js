@@ -0,0 +1,79 @@
+// src/utils/accountLink.js
+// Upgrading the anonymous account to Google. linkWithPopup keeps the uid, so aeryth_data/{uid} simply
+// becomes the Google account's data. When that Google account already exists it cannot be linked:
+// we sign in to it instead and carry the guest data across the reload in IndexedDB (localStore.js; a long
+// diary is more than sessionStorage holds), where AccountMergeDialog picks it up and merges it with
+// backup.js's mergeAccountData(). Guest data that can't be kept is only left behind once the user agrees.
+import { auth } from "aeryth-core/data/firebase";
+import { GoogleAuthProvider, linkWithPopup, signInWithPopup, signInWithCredential } from "firebase/auth";
+import { loadAccountData, importBackup, isAccountDataEmpty } from "./backup";
+import { flushPendingSaves } from "./storage";
+import { idbGet, idbPut, idbDelete, isPersistent } from "./localStore";
+
+const PENDING_MERGE_KEY = "aeryth_pending_merge";
+
+export async function signInWithGoogle() {
+  const provider = new GoogleAuthProvider();
+  const user = auth.currentUser;
+  if (!user?.isAnonymous) return signInWithPopup(auth, provider);
+
+  try {
+    return await linkWithPopup(user, provider);
+  } catch (err) {
+    if (err.code !== "auth/credential-already-in-use") throw err;
+    const credential = GoogleAuthProvider.credentialFromError(err);
+    if (!credential) throw err;
+
+    await flushPendingSaves();
+    const guestData = await loadAccountData();
+    const hasGuestData = !isAccountDataEmpty(guestData);
+    const kept = hasGuestData && await keepPendingMerge({ fromUid: user.uid, data: guestData });
+    // guest data that can't wait for the merge dialog would be left behind in the guest account; ask first
+    if (hasGuestData && !kept && !window.confirm(
+      "This Google account already exists, and your guest data can't be carried over to merge into it.\n\nSign in anyway and leave the guest data behind?"
+    )) return null;
+    console.log("🔀 Google account already exists; signing in and offering to merge the guest data.");
+    return signInWithCredential(auth, credential);
+  }
+}
+
+// true once the pending merge is stored where it survives the reload: IndexedDB, or sessionStorage when that
+// is unavailable and the data fits
+async function keepPendingMerge(pending) {
+  try {
+    if (await isPersistent()) {
+      await idbPut("snapshots", PENDING_MERGE_KEY, pending);
+      return true;
+    }
+  } catch (err) {
+    console.warn("Could not keep the guest data in IndexedDB:", err);
+  }
+  try {
+    sessionStorage.setItem(PENDING_MERGE_KEY, JSON.stringify(pending));
+    return true;
+  } catch (err) {
+    console.warn("Could not keep the guest data for merging:", err);
+    return false;
+  }
+}
+
+// { fromUid, data } of guest data waiting to be merged into the signed-in account, or null
+export async function getPendingMerge() {
+  try {
+    return (await idbGet("snapshots", PENDING_MERGE_KEY)) || JSON.parse(sessionStorage.getItem(PENDING_MERGE_KEY) || "null");
+  } catch {
+    return null;
+  }
+}
+
+export async function discardPendingMerge() {
+  sessionStorage.removeItem(PENDING_MERGE_KEY);
+  await idbDelete("snapshots", PENDING_MERGE_KEY);
+}
+
+export async function completePendingMerge() {
+  const pending = await getPendingMerge();
+  if (!pending) return;
+  await importBackup(pending.data, "merge");
+  await discardPendingMerge();
+}
@@ -1,31 +1,7 @@
 // src/utils/ai.js
 import { loadAsync } from "./storage";
-
-/* -----------------------
-   Tone Prompts (Personalities)
------------------------ */
-const tonePrompts = {
-  "Analyst (Logical)": `You are "Aeryth", an AI who embodies **The Analyst (Logical)**.
-You assist users in exploring and setting personal routines for skill development or habits.
-When discussing a topic (like JavaScript, meditation, etc.), provide structured, concise insights based on reasoning and factual clarity.
-After one or two exchanges, smoothly guide the user toward creating a concrete routine or initial goal and ask user to set it in the set goal option, by giving them a command of starting their routine with a goal — logically showing why it’s beneficial to start now.
-Be precise, insightful, and motivational in a reason-driven way. Kepp your answers short and precise and do not use emotes`,
-
-  "Companion (Friendly)": `You are "Aeryth", an AI who embodies **The Companion (Friendly)**.
-You help users explore routines they might want to start — like learning, self-care, or productivity goals — in a warm, conversational way.
-Chat casually, share encouraging insights, and after a couple of messages, gently inspire them to begin their first routine.
-Make it sound natural and supportive — like a friend saying, “Why not start today? I can help you set it up.”a also motivate them to set a goal in the set goal option to start their journey with a goal`,
-
-  "Coach (Motivational)": `You are "Aeryth", an AI who embodies **The Coach (Motivational)**.
-You help users plan and commit to routines for personal growth — whether it’s learning, studying, or wellness.
-Start with energetic insights about their chosen topic, then by the second or third message, push them to act — to set a starting goal or routine right away.
-Use assertive, empowering language that makes them feel capable and driven to begin immediately by setting a goal in the set goal option.`,
-
-  "Sage (Wise)": `You are "Aeryth", an AI who embodies **The Sage (Wise)**.
-You help users reflect on their interests and guide them toward forming meaningful routines.
-Speak calmly and insightfully, giving perspective and balance on the topic they bring up.
-After a few exchanges, gently lead them to realize the value of beginning a consistent routine, using thoughtful, reflective reasoning that inspires self-discipline and mindfulness and ask hem set a goal in the webApp to have a goal.`,
-};
+import { forTone, CHAT_PROMPTS } from "aeryth-core/tones";
+import { goalContext } from "aeryth-core/goals";
 
 /* -----------------------
    Global Session Cache
@@ -37,13 +13,13 @@ export function availableModel() {
 }
 
 
-async function ensureSession(id, prompt, tone) {
+async function ensureSession(id, prompt) {
   if (!availableModel()) throw new Error("Gemini Nano not available");
 
-  // Recreate session if tone/personality changed
-  if (!sessions[id] || sessions[id].tone !== tone) {
+  // Recreate session if the system prompt (tone/personality, goals) changed
+  if (!sessions[id] || sessions[id].prompt !== prompt) {
     sessions[id] = {
-      tone,
+      prompt,
       model: await window.LanguageModel.create({
         initialPrompts: [{ role: "system", content: prompt }],
         expectedInputs: [{ type: "text", languages: ["en"] }],
@@ -58,18 +34,19 @@ async function ensureSession(id, prompt, tone) {
 /* -----------------------
    Main Conversational AI
 ----------------------- */
-export async function callGeminiTemp(id, messages, settings, routines) {
+// goals are the user's long-term goals (aeryth-core's goals.js); the open ones become part of the system prompt
+export async function callGeminiTemp(id, messages, settings, routines, goals = []) {
   try {
-    const tone = settings?.aerythTone || "Companion (Friendly)";
-    const systemPrompt = tonePrompts[tone] || tonePrompts["Companion (Friendly)"];
+    const systemPrompt = forTone(CHAT_PROMPTS, settings?.aerythTone);
     const userSummary = (await loadAsync("aeryth_profile")) || "";
+    const goalText = goalContext(goals, routines);
 
     if (!availableModel()) {
       console.warn("Gemini Nano not available — using local fallback");
       return formatAIText(localGrammarCorrect(messages?.at(-1)?.text || ""));
     }
 
-    const session = await ensureSession(id, `${systemPrompt}\n\nUser summary:\n${userSummary}`);
+    const session = await ensureSession(id, `${systemPrompt}\n\nUser summary:\n${userSummary}${goalText ? `\n\nUser's goals:\n${goalText}` : ""}`);
     const response = await session.prompt(messages.at(-1)?.text || "");
     return formatAIText(response?.output ?? response);
   } catch (err) {
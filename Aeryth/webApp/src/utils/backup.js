@@ -0,0 +1,184 @@
+// src/utils/backup.js
+// Account export / import. A backup is one JSON file:
+//   { format: "aeryth-backup", version: 1, schemaVersion, exportedAt, data: { aeryth_routines, aeryth_diary, ... } }
+// Imports are validated, migrated to the current schema (schema.js) and either replace the account's
+// data or are merged into it with mergeAccountData(), which is also used when two accounts are combined.
+import { loadAsync, saveAsync, flushPendingSaves } from "./storage";
+import { SCHEMA_VERSION, DEFAULT_SETTINGS, migrateData } from "aeryth-core/schema";
+import { mergeStatusMaps } from "aeryth-core/statusMerge";
+import { mergeChecklistMaps } from "aeryth-core/checklists";
+
+export const BACKUP_FORMAT = "aeryth-backup";
+export const BACKUP_VERSION = 1;
+
+// key -> empty value, also used to check the shape of imported data
+export const BACKUP_KEYS = {
+  aeryth_routines: [],
+  aeryth_diary: {},
+  aeryth_stickies: {},
+  aeryth_event_statuses: {},
+  aeryth_notif_chats: {},
+  aeryth_templates: [],
+  aeryth_checklists: {},
+  aeryth_goals: [],
+  aeryth_profile: null,
+  aeryth_settings: DEFAULT_SETTINGS,
+};
+
+const isPlainObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+
+/* ----------------------- Export ----------------------- */
+export async function loadAccountData() {
+  const data = {};
+  for (const [key, empty] of Object.entries(BACKUP_KEYS)) data[key] = await loadAsync(key, empty);
+  return data;
+}
+
+export async function exportBackup() {
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    data: await loadAccountData(),
+  };
+}
+
+export async function downloadBackup() {
+  const backup = await exportBackup();
+  const blob = new Blob([JSON.stringify(backup, null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = `aeryth-backup-${backup.exportedAt.slice(0, 10)}.json`;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+/* ----------------------- Import ----------------------- */
+// Throws an Error with a user-facing message when the file is not a usable backup.
+export function parseBackup(text) {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch {
+    throw new Error("The file is not valid JSON.");
+  }
+  if (backup?.format !== BACKUP_FORMAT || !isPlainObject(backup.data)) throw new Error("The file is not an Aeryth backup.");
+  if (backup.version > BACKUP_VERSION || backup.schemaVersion > SCHEMA_VERSION) {
+    throw new Error("This backup was made by a newer version of Aeryth. Update the app before importing it.");
+  }
+
+  const data = {};
+  Object.entries(BACKUP_KEYS).forEach(([key, empty]) => {
+    const value = backup.data[key];
+    if (value === undefined || value === null) {
+      data[key] = empty;
+      return;
+    }
+    let ok = isPlainObject(value);
+    if (Array.isArray(empty)) ok = Array.isArray(value) && value.every(r => isPlainObject(r) && r.id);
+    if (key === "aeryth_profile") ok = typeof value === "string"; // the profile is a text summary
+    if (!ok) throw new Error(`The backup's ${key.replace("aeryth_", "").replace("_", " ")} data is damaged.`);
+    data[key] = value;
+  });
+
+  const migrated = migrateData({ ...data, schemaVersion: backup.schemaVersion ?? 1 });
+  delete migrated.schemaVersion;
+  return migrated;
+}
+
+export function summarizeData(data) {
+  const days = Object.values(data.aeryth_diary || {}).reduce((n, month) => n + Object.keys(month || {}).length, 0);
+  return {
+    routines: (data.aeryth_routines || []).length,
+    diaryDays: days,
+    stickies: Object.keys(data.aeryth_stickies || {}).length,
+  };
+}
+
+export const isAccountDataEmpty = (data) => Object.values(summarizeData(data)).every(n => n === 0);
+
+/* ----------------------- Merge ----------------------- */
+const byId = (list) => new Map((list || []).map(item => [item.id, item]));
+
+// Everything from both sides is kept; where both have the same record, `current` wins unless noted.
+export function mergeAccountData(current, incoming) {
+  const merged = {};
+
+  // routines: union by id
+  const routines = byId(incoming.aeryth_routines);
+  byId(current.aeryth_routines).forEach((r, id) => routines.set(id, r));
+  merged.aeryth_routines = [...routines.values()];
+
+  // diary: { month: { day: [entries] } }, entries unioned by id, the later edit wins
+  merged.aeryth_diary = { ...(current.aeryth_diary || {}) };
+  Object.entries(incoming.aeryth_diary || {}).forEach(([month, days]) => {
+    const target = { ...(merged.aeryth_diary[month] || {}) };
+    Object.entries(days || {}).forEach(([day, entries]) => {
+      const all = byId(target[day]);
+      (entries || []).forEach(e => {
+        const mine = all.get(e.id);
+        if (!mine || (e.editedAt || e.ts) > (mine.editedAt || mine.ts)) all.set(e.id, e);
+      });
+      target[day] = [...all.values()].sort((a, b) => String(b.ts).localeCompare(String(a.ts)));
+    });
+    merged.aeryth_diary[month] = target;
+  });
+
+  // stickies: { routineId: { dates: { date: { text, color } } } }, empty notes never replace written ones
+  merged.aeryth_stickies = { ...(current.aeryth_stickies || {}) };
+  Object.entries(incoming.aeryth_stickies || {}).forEach(([rid, sticky]) => {
+    const dates = { ...(sticky?.dates || {}) };
+    Object.entries(merged.aeryth_stickies[rid]?.dates || {}).forEach(([d, note]) => {
+      if (note?.text || !dates[d]?.text) dates[d] = note;
+    });
+    merged.aeryth_stickies[rid] = { ...(sticky || {}), ...(merged.aeryth_stickies[rid] || {}), dates };
+  });
+
+  // event statuses: per-occurrence last-writer-wins (statusMerge.js)
+  merged.aeryth_event_statuses = { ...(current.aeryth_event_statuses || {}) };
+  Object.entries(incoming.aeryth_event_statuses || {}).forEach(([rid, statuses]) => {
+    merged.aeryth_event_statuses[rid] = mergeStatusMaps(merged.aeryth_event_statuses[rid], statuses);
+  });
+
+  // checklist ticks: per-item last-writer-wins (checklists.js)
+  merged.aeryth_checklists = { ...(current.aeryth_checklists || {}) };
+  Object.entries(incoming.aeryth_checklists || {}).forEach(([rid, ticks]) => {
+    merged.aeryth_checklists[rid] = mergeChecklistMaps(merged.aeryth_checklists[rid], ticks);
+  });
+
+  // notification chats: { routineId: { date: [messages] } }, messages deduplicated and kept in time order
+  merged.aeryth_notif_chats = { ...(current.aeryth_notif_chats || {}) };
+  Object.entries(incoming.aeryth_notif_chats || {}).forEach(([rid, byDate]) => {
+    const target = { ...(merged.aeryth_notif_chats[rid] || {}) };
+    Object.entries(byDate || {}).forEach(([d, msgs]) => {
+      const all = new Map([...(target[d] || []), ...(msgs || [])].map(m => [`${m.from}|${m.ts}|${m.text}`, m]));
+      target[d] = [...all.values()].sort((a, b) => String(a.ts).localeCompare(String(b.ts)));
+    });
+    merged.aeryth_notif_chats[rid] = target;
+  });
+
+  // templates: union by id
+  const templates = byId(incoming.aeryth_templates);
+  byId(current.aeryth_templates).forEach((t, id) => templates.set(id, t));
+  merged.aeryth_templates = [...templates.values()];
+
+  // goals: union by id
+  const goals = byId(incoming.aeryth_goals);
+  byId(current.aeryth_goals).forEach((g, id) => goals.set(id, g));
+  merged.aeryth_goals = [...goals.values()];
+
+  merged.aeryth_profile = current.aeryth_profile ?? incoming.aeryth_profile ?? null;
+  merged.aeryth_settings = { ...DEFAULT_SETTINGS, ...(incoming.aeryth_settings || {}), ...(current.aeryth_settings || {}) };
+  return merged;
+}
+
+// mode: "replace" overwrites every key, "merge" combines the backup with the current data.
+// Resolves once the writes are queued (they survive a reload from then on).
+export async function importBackup(data, mode) {
+  const next = mode === "merge" ? mergeAccountData(await loadAccountData(), data) : data;
+  for (const key of Object.keys(BACKUP_KEYS)) await saveAsync(key, next[key]);
+  await flushPendingSaves();
+  return next;
+}
@@ -0,0 +1,73 @@
+// src/utils/localStore.js
+// Small promise wrapper around IndexedDB, used as the offline cache behind storage.js.
+// Stores:
+//   snapshots  uid -> { data, server, savedAt }   last known data for fast, offline-capable loads; also
+//              "aeryth_pending_merge" -> { fromUid, data }, guest data waiting to be merged (accountLink.js)
+//   queue      `${uid}|${key}|${docId}` -> mutation waiting to be replayed to Firestore
+//   conflicts  same id -> mutation that could not be replayed because the record changed remotely
+// Falls back to in-memory maps when IndexedDB is unavailable (e.g. some private windows).
+
+const DB_NAME = "aeryth_local";
+const DB_VERSION = 1;
+const STORES = ["snapshots", "queue", "conflicts"];
+
+const memory = Object.fromEntries(STORES.map(s => [s, new Map()]));
+let dbPromise = null;
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve) => {
+    if (typeof indexedDB === "undefined") return resolve(null);
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      STORES.forEach(s => { if (!req.result.objectStoreNames.contains(s)) req.result.createObjectStore(s); });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => {
+      console.warn("IndexedDB unavailable, using in-memory cache:", req.error);
+      resolve(null);
+    };
+  });
+  return dbPromise;
+}
+
+// Used when the storage backend is itself local (aeryth-core's data/storageAdapter.js): keep the cache in memory only.
+export function disableIndexedDb() {
+  dbPromise = Promise.resolve(null);
+}
+
+// false when the stores only live in memory and won't survive a reload
+export async function isPersistent() {
+  return !!(await openDb());
+}
+
+async function run(store, mode, fn) {
+  const idb = await openDb();
+  if (!idb) return fn(null, memory[store]);
+  return new Promise((resolve, reject) => {
+    const tx = idb.transaction(store, mode);
+    const req = fn(tx.objectStore(store), null);
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+export function idbGet(store, key) {
+  return run(store, "readonly", (os, mem) => (mem ? mem.get(key) : os.get(key)));
+}
+
+export function idbPut(store, key, value) {
+  return run(store, "readwrite", (os, mem) => (mem ? void mem.set(key, value) : os.put(value, key)));
+}
+
+export function idbDelete(store, key) {
+  return run(store, "readwrite", (os, mem) => (mem ? void mem.delete(key) : os.delete(key)));
+}
+
+// all values of a store, optionally limited to keys starting with a prefix
+export async function idbGetAll(store, prefix = "") {
+  const idb = await openDb();
+  if (!idb) return [...memory[store].entries()].filter(([k]) => k.startsWith(prefix)).map(([, v]) => v);
+  const range = prefix ? IDBKeyRange.bound(prefix, `${prefix}￿`) : undefined;
+  return run(store, "readonly", (os) => os.getAll(range));
+}
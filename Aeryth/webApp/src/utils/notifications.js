@@ -2,37 +2,85 @@
 // App-side helpers to schedule notifications (persist alarm meta for background service worker).
 import { saveAsync, loadAsync } from "./storage"; // we will import from storage.js - note ESM named import
 // but to avoid circular import issues with prior code, loadAsync/saveAsync will be imported from utils/storage.js via relative path
+import { occurrences } from "aeryth-core/recurrence";
 
 // We'll use keys: `notif_meta_${alarmName}` to store meta so background can access when alarm triggers
 
-// Schedule an alarm in chrome.alarms (or fallback setTimeout while page is open)
-export async function scheduleRoutineNotification(routine, dateIso, type = "start", message = "", iconUrl = "/icon48.png") {
+// fallback timers by routine|occurrence key|type, so rescheduling a moved or cancelled occurrence replaces its old reminder
+const pendingTimers = new Map();
+
+// Schedule an alarm in chrome.alarms (or fallback setTimeout while page is open) for every slot of the day
+// options.vacation is settings.vacation: paused days get no reminder
+export async function scheduleRoutineNotification(routine, dateIso, type = "start", message = "", { iconUrl = "/icon48.png", vacation = null } = {}) {
   // type: 'start' or 'end'
   try {
-    const timeStr = type === "start" ? (routine.startTime || "09:00") : (routine.endTime || routine.startTime || "09:00");
-    const [hh, mm] = timeStr.split(":").map(Number);
-    const [y, mon, d] = dateIso.split("-").map(Number);
-    // Build local Date object
-    const target = new Date(y, mon - 1, d, hh, mm, 0, 0);
-    if (target.getTime() < Date.now()) return; // don't schedule past dates
-
-    const alarmName = `alarm-aeryth-${routine.id}-${dateIso}-${type}-${Date.now()}`;
-    if (typeof chrome !== "undefined" && chrome.alarms) {
-      chrome.alarms.create(alarmName, { when: target.getTime() });
-      const meta = { notifId: `aeryth-${routine.id}-${dateIso}-${type}-${Date.now()}`, routineId: routine.id, dateIso, type, message, iconUrl };
-      await saveAsync(`notif_meta_${alarmName}`, meta);
-    } else {
-      // fallback: setTimeout local
-      const ms = target.getTime() - Date.now();
-      setTimeout(() => {
-        // show browser Notification if allowed (no action buttons)
-        if (window.Notification && Notification.permission !== "denied") {
-          if (Notification.permission !== "granted") Notification.requestPermission();
-          new Notification("Aeryth", { body: message });
-        }
-      }, ms);
+    // drop the day's pending timers, including those of slots that no longer happen
+    [...pendingTimers.keys()].filter(k => k.startsWith(`${routine.id}|${dateIso}`) && k.endsWith(`|${type}`)).forEach(k => {
+      clearTimeout(pendingTimers.get(k));
+      pendingTimers.delete(k);
+    });
+
+    // only slots the routine actually happens in, overrides and pauses included (aeryth-core's recurrence.js)
+    for (const occ of occurrences(routine, dateIso, dateIso, { vacation })) {
+      await scheduleOccurrence(routine, occ, type, message, iconUrl);
     }
   } catch (e) {
     console.error("scheduleRoutineNotification error", e);
   }
 }
+
+// Drops every reminder of the routine still pending, e.g. before rescheduling it after an edit
+export async function cancelRoutineNotifications(routineId) {
+  [...pendingTimers.keys()].filter(k => k.startsWith(`${routineId}|`)).forEach(k => {
+    clearTimeout(pendingTimers.get(k));
+    pendingTimers.delete(k);
+  });
+  if (typeof chrome !== "undefined" && chrome.alarms) {
+    const alarms = await chrome.alarms.getAll();
+    await Promise.all(alarms.filter(a => a.name.startsWith(`alarm-aeryth-${routineId}-`)).map(a => chrome.alarms.clear(a.name)));
+  }
+}
+
+// Messages the extension's background worker (onMessageExternal in background.js), which acts on it right away
+// instead of at its next sync. Needs the extension's id in VITE_AERYTH_EXTENSION_ID; without it, or without the
+// extension installed, the worker catches up on its own.
+async function sendToExtension(message) {
+  const extensionId = import.meta.env.VITE_AERYTH_EXTENSION_ID;
+  if (!extensionId || typeof chrome === "undefined" || !chrome.runtime?.sendMessage) return;
+  try {
+    await chrome.runtime.sendMessage(extensionId, JSON.parse(JSON.stringify(message)));
+  } catch (e) {
+    console.warn("Extension not reachable:", e?.message || e);
+  }
+}
+
+// an edited routine, so the worker reschedules its alarms
+export const notifyExtension = (routine) => sendToExtension({ action: "routineUpdated", routine });
+
+// a status set in the web app, so completing a routine starts the ones anchored to it (aeryth-core's chains.js)
+export const notifyExtensionOfStatus = (routineId, key, record) => sendToExtension({ action: "statusUpdated", routineId, key, record });
+
+async function scheduleOccurrence(routine, occ, type, message, iconUrl) {
+  const target = new Date(type === "start" ? occ.start : occ.end);
+  if (target.getTime() < Date.now()) return; // don't schedule past dates
+
+  const { dateIso, key } = occ;
+  const alarmName = `alarm-aeryth-${routine.id}-${key}-${type}-${Date.now()}`;
+  if (typeof chrome !== "undefined" && chrome.alarms) {
+    chrome.alarms.create(alarmName, { when: target.getTime() });
+    const meta = { notifId: `aeryth-${routine.id}-${key}-${type}-${Date.now()}`, routineId: routine.id, dateIso, key, type, message, iconUrl };
+    await saveAsync(`notif_meta_${alarmName}`, meta);
+  } else {
+    // fallback: setTimeout local
+    const timerKey = `${routine.id}|${key}|${type}`;
+    const ms = target.getTime() - Date.now();
+    pendingTimers.set(timerKey, setTimeout(() => {
+      pendingTimers.delete(timerKey);
+      // show browser Notification if allowed (no action buttons)
+      if (window.Notification && Notification.permission !== "denied") {
+        if (Notification.permission !== "granted") Notification.requestPermission();
+        new Notification("Aeryth", { body: message });
+      }
+    }, ms));
+  }
+}
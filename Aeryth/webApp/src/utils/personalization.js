@@ -4,20 +4,21 @@
 import { saveAsync } from "./storage";
 import { callGeminiTemp, availableModel } from "./ai";
 
-export async function buildAndPersistProfileSummary({ settings, routines, diary, limit = 500 }) {
+export async function buildAndPersistProfileSummary({ settings, routines, goals = [], diary, limit = 500 }) {
   try {
     const base = {
       tone: settings?.aerythTone,
       userInfo: settings?.userInfo,
       routineCriteria: settings?.routineCriteria,
       recentGoals: (routines || []).slice(0, 10).map(r => ({ name: r.name, desc: r.description })),
+      longTermGoals: goals.filter(g => !g.achievedAt).slice(0, 5).map(g => ({ name: g.name, by: g.targetDate, criteria: g.criteria })),
       diarySamples: Object.keys(diary || {}).slice(-3).flatMap(k => Object.keys(diary[k] || {}).slice(0,3).flatMap(d => (diary[k][d]||[]).map(e => e.text))).slice(0,20),
     };
     let summary = JSON.stringify(base);
     if (summary.length > limit && availableModel && availableModel()) {
       try {
         const prompt = `You are Aeryth. Summarize the following user profile into a short persona (max ${limit} chars) describing their growth in their routines that they have included in the summary text:\n\n${summary}`;
-        const res = await callGeminiTemp("profile-summarizer", [{ role: "user", text: prompt }], settings, routines);
+        const res = await callGeminiTemp("profile-summarizer", [{ role: "user", text: prompt }], settings, routines, goals);
         summary = (typeof res === "string" ? res : String(res)).slice(0, limit);
       } catch (e) {
         summary = summary.slice(0, limit);
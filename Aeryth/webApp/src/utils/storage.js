@@ -1,103 +1,468 @@
 // src/utils/storage.js
-// Firebase-based drop-in replacement for local storage.
-// Uses existing Firebase initialization from firebaseInit.js.
+// Cloud-backed drop-in replacement for local storage.
+// The backend (Firestore, the Firebase emulators, localStorage or memory) is chosen at build time,
+// see aeryth-core's data/storageAdapter.js; everything below only talks to the adapter.
 // API remains identical: loadAsync(key), saveAsync(key, value), getSavedFolderInfo(), pickAndStoreFolder().
+//
+// Documents are laid out under aeryth_data/{uid} as described in aeryth-core's data/records.js.
+//
+// Offline-first: data is read from the IndexedDB snapshot (localStore.js) when one exists and refreshed
+// from Firestore in the background. Saves are diffed per record into a durable mutation queue that is
+// replayed when Firestore is reachable. A record that changed remotely since it was edited locally is
+// parked as a conflict until resolveConflict() is called.
+// Loaded data is upgraded to the current schemaVersion (schema.js); if another device already wrote a
+// newer schema, queued edits stay on this device instead of overwriting it.
+// subscribe(key, cb) keeps a key live through the adapter's snapshot listeners, so edits made on another
+// device (or in the extension) reach the app without a reload.
 
-import { auth, db } from "./firebaseInit";
-import { getDoc, setDoc, doc } from "firebase/firestore";
-import { signInAnonymously, onAuthStateChanged } from "firebase/auth";
+import { adapter } from "aeryth-core/data/storageAdapter";
+import {
+  COLLECTION_KEYS,
+  ROOT_RECORD,
+  clean,
+  stableStringify,
+  toRecords,
+  fromRecords,
+  serializeRecords,
+  userDocPath,
+  collectionPath,
+  recordPath,
+  loadRootDocument,
+} from "aeryth-core/data/records";
+import { mergeStatusMaps } from "aeryth-core/statusMerge";
+import { mergeChecklistMaps } from "aeryth-core/checklists";
+import { migrateData, isNewerSchema } from "aeryth-core/schema";
+import { idbGet, idbPut, idbDelete, idbGetAll, disableIndexedDb } from "./localStore";
+
+// documents of these keys are merged field by field (per occurrence) instead of being conflict-checked
+const MERGED_KEYS = {
+  aeryth_event_statuses: mergeStatusMaps,
+  aeryth_checklists: mergeChecklistMaps,
+};
+
+if (!adapter.remote) disableIndexedDb();
 
 let currentUser = null;
 let dataCache = null;
-let writeQueue = [];
-let isWriting = false;
+let loadPromise = null;
+let server = {}; // key -> { docId: serialized } last known Firestore state
+let base = {}; // key -> { docId: serialized } the app's view that the next save is diffed against
+let pendingValues = new Map(); // key -> latest value passed to saveAsync, queued on the next flush
+const handedOut = new Set(); // keys the app has read through loadAsync
+let queue = new Map(); // `${key}|${docId}` -> pending mutation
+let conflicts = new Map();
+let isSyncing = false;
+let newerSchema = false; // the stored data was written by a newer version of the app
+const statusListeners = new Set();
+const subscribers = new Map(); // key -> Set of callbacks
+const snapshotListeners = new Map(); // key -> Promise of the adapter's unsubscribe function
+const deferredSnapshots = new Map(); // key -> remote records that arrived while the app had unflushed edits
 
 /* ----------------------- Auth ----------------------- */
 async function ensureAuth() {
-  if (currentUser) return currentUser;
+  // guests get an anonymous account, upgraded to Google later (accountLink.js)
+  if (!currentUser) currentUser = await adapter.getUser({ anonymous: true });
+  return currentUser;
+}
 
-  return new Promise((resolve, reject) => {
-    onAuthStateChanged(auth, async (user) => {
-      if (user) {
-        currentUser = user;
-        resolve(user);
-      } else {
-        try {
-          const cred = await signInAnonymously(auth);
-          currentUser = cred.user;
-          resolve(currentUser);
-        } catch (err) {
-          console.error("❌ Auth error:", err);
-          reject(err);
-        }
-      }
+async function getUserDocPath() {
+  return userDocPath(await ensureAuth());
+}
+
+// Read every key from the backend as { key: { docId: record } }.
+async function fetchRemoteRecords() {
+  const userPath = await getUserDocPath();
+  const rootData = await loadRootDocument(adapter, userPath);
+
+  const remote = {};
+  Object.entries(rootData).forEach(([k, v]) => { remote[k] = { [ROOT_RECORD]: v }; });
+  await Promise.all(Object.keys(COLLECTION_KEYS).map(async (key) => {
+    remote[key] = await adapter.getCollection(collectionPath(userPath, key));
+  }));
+  return upgradeSchema(userPath, remote);
+}
+
+// Run the schema migrations over freshly fetched records and write back the records they changed.
+async function upgradeSchema(userPath, remote) {
+  const values = Object.fromEntries(Object.entries(remote).map(([k, recs]) => [k, fromRecords(k, recs)]));
+  newerSchema = isNewerSchema(values);
+  if (newerSchema) console.warn("⚠️ Stored data uses a newer schema; edits stay on this device until the app is updated.");
+  const migrated = migrateData(values);
+  if (migrated === values) return remote;
+
+  const upgraded = {};
+  const writes = [];
+  const rootFields = {};
+  Object.entries(migrated).forEach(([key, value]) => {
+    upgraded[key] = toRecords(key, value);
+    const before = serializeRecords(remote[key] || {});
+    Object.entries(serializeRecords(upgraded[key])).forEach(([id, serialized]) => {
+      if (before[id] === serialized) return;
+      if (COLLECTION_KEYS[key]) writes.push({ path: recordPath(userPath, key, id), op: "set", data: upgraded[key][id] });
+      else rootFields[key] = upgraded[key][id];
     });
   });
+  // root fields, including schemaVersion, go last so a half-finished upgrade is simply retried
+  await adapter.commit(writes);
+  await adapter.commit([{ path: userPath, op: "set", data: rootFields, fields: Object.keys(rootFields) }]);
+  return upgraded;
+}
+
+/* ----------------------- Local snapshot + queue ----------------------- */
+const localKey = (id) => `${currentUser.uid}|${id}`;
+
+async function persistSnapshot() {
+  if (!currentUser || !dataCache) return;
+  try {
+    await idbPut("snapshots", currentUser.uid, { data: clean(dataCache), server, savedAt: Date.now() });
+  } catch (e) {
+    console.warn("persistSnapshot failed:", e);
+  }
+}
+
+async function restoreQueue() {
+  const prefix = `${currentUser.uid}|`;
+  queue = new Map((await idbGetAll("queue", prefix)).map(m => [m.id, m]));
+  conflicts = new Map((await idbGetAll("conflicts", prefix)).map(m => [m.id, m]));
 }
 
-/* ----------------------- Firestore helpers ----------------------- */
-async function getUserDocRef() {
-  const user = await ensureAuth();
-  return doc(db, "aeryth_data", user.uid);
+// records of a key with the pending mutations applied on top
+function applyPending(key, records) {
+  const next = { ...records };
+  queue.forEach(m => {
+    if (m.key !== key) return;
+    if (m.op === "delete") delete next[m.docId];
+    else if (MERGED_KEYS[key]) next[m.docId] = MERGED_KEYS[key](next[m.docId], JSON.parse(m.data));
+    else next[m.docId] = JSON.parse(m.data);
+  });
+  return next;
+}
+
+async function refreshFromFirestore() {
+  const remote = await fetchRemoteRecords();
+  server = Object.fromEntries(Object.entries(remote).map(([k, recs]) => [k, serializeRecords(recs)]));
+
+  const fresh = dataCache || {};
+  const keys = new Set([...Object.keys(remote), ...[...queue.values()].map(m => m.key)]);
+  keys.forEach(key => {
+    // values the app changed since the last flush win until they are queued
+    if (!pendingValues.has(key)) fresh[key] = fromRecords(key, applyPending(key, remote[key] || {}));
+  });
+
+  dataCache = fresh;
+  await persistSnapshot();
+  console.log(`✅ Loaded data from ${adapter.label}.`);
+  return dataCache;
 }
 
 async function loadMasterJSON() {
   try {
-    const ref = await getUserDocRef();
-    const snap = await getDoc(ref);
-    if (snap.exists()) {
-      console.log("✅ Loaded data from Firestore.");
-      return snap.data();
+    const user = await ensureAuth();
+    await restoreQueue();
+    const snapshot = await idbGet("snapshots", user.uid);
+    if (snapshot?.data) {
+      console.log("📦 Loaded data from local cache.");
+      dataCache = migrateData(snapshot.data);
+      server = snapshot.server || {};
+      refreshFromFirestore().then(() => syncQueue()).catch(e => console.warn("Background refresh failed:", e));
+    } else {
+      await refreshFromFirestore();
+      syncQueue();
     }
-
-    // If not found, initialize with defaults
-    const defaults = {
-      aeryth_settings: { aerythTone: "Friendly", userInfo: "", routineCriteria: "" },
-      aeryth_routines: [],
-      aeryth_diary: {},
-      aeryth_stickies: {},
-      aeryth_event_statuses: {},
-      aeryth_notif_chats: {},
-      aeryth_profile: null,
-    };
-    await setDoc(ref, defaults);
-    console.log("🆕 Created new Firestore document.");
-    return defaults;
+    base = Object.fromEntries(Object.keys(dataCache).map(k => [k, serializeRecords(toRecords(k, dataCache[k]))]));
+    notifyStatus();
+    return dataCache;
   } catch (e) {
     console.error("loadMasterJSON error:", e);
     return {};
   }
 }
 
-/* ----------------------- Safe write queue ----------------------- */
-async function saveMasterJSON(newData) {
-  writeQueue.push(newData);
-  if (isWriting) return;
-  isWriting = true;
-
-  while (writeQueue.length > 0) {
-    const latest = writeQueue.pop();
-    writeQueue = [];
-    try {
-      const ref = await getUserDocRef();
-      console.log("💾 Saving to Firestore:", latest);
-      await setDoc(ref, latest, { merge: true });
-    } catch (e) {
-      console.error("saveMasterJSON failed:", e);
+// all callers share one in-flight load
+function ensureLoaded() {
+  if (dataCache) return Promise.resolve(dataCache);
+  if (!loadPromise) {
+    loadPromise = loadMasterJSON().then(d => {
+      dataCache = dataCache || d;
+      loadPromise = null;
+      return dataCache;
+    });
+  }
+  return loadPromise;
+}
+
+async function enqueue(key, docId, op, data) {
+  const id = `${key}|${docId}`;
+  const existing = queue.get(id);
+  const baseVersion = existing ? existing.baseVersion : (server[key]?.[docId] ?? null);
+  const value = op === "delete" ? null : data;
+  // editing a record back to what Firestore already has cancels the pending write
+  if (value === baseVersion) {
+    if (existing) {
+      queue.delete(id);
+      await idbDelete("queue", localKey(id));
+    }
+    return;
+  }
+  const mutation = { id, key, docId, op, data: value, baseVersion, ts: Date.now() };
+  queue.set(id, mutation);
+  await idbPut("queue", localKey(id), mutation);
+}
+
+// Turn the app's latest value for each dirty key into record-level mutations.
+async function queueDirtyKeys() {
+  const entries = [...pendingValues.entries()];
+  pendingValues = new Map();
+  for (const [key, value] of entries) {
+    dataCache[key] = value;
+    const before = base[key] || {};
+    const next = serializeRecords(toRecords(key, dataCache[key]));
+    for (const [id, serialized] of Object.entries(next)) {
+      if (before[id] !== serialized) await enqueue(key, id, "set", serialized);
+    }
+    for (const id of Object.keys(before)) {
+      if (!(id in next)) await enqueue(key, id, "delete", null);
+    }
+    base[key] = next;
+  }
+  await persistSnapshot();
+
+  entries.forEach(([key]) => {
+    if (!deferredSnapshots.has(key)) return;
+    const records = deferredSnapshots.get(key);
+    deferredSnapshots.delete(key);
+    applyRemoteSnapshot(key, records);
+  });
+}
+
+/* ----------------------- Sync ----------------------- */
+// local backends never wait for the network
+const isOnline = () => !adapter.remote || typeof navigator === "undefined" || navigator.onLine !== false;
+
+async function replayMutation(userPath, m) {
+  const isRoot = !COLLECTION_KEYS[m.key];
+  return adapter.transact(recordPath(userPath, m.key, m.docId), (current) => {
+    let remote = null;
+    if (current) {
+      if (!isRoot) remote = stableStringify(current);
+      else if (m.key in current) remote = stableStringify(current[m.key]);
+    }
+    const merge = MERGED_KEYS[m.key];
+    if (merge && m.op !== "delete") {
+      const merged = merge(current || {}, JSON.parse(m.data));
+      const written = stableStringify(merged);
+      return { result: { ok: true, written }, write: written !== remote ? { op: "set", data: merged } : null };
+    }
+
+    if (remote === m.data) return { result: { ok: true } };
+    if (remote !== m.baseVersion) return { result: { conflict: true, remote } };
+
+    let write;
+    if (isRoot) {
+      write = m.op === "delete"
+        ? { op: "deleteFields", fields: [m.key] }
+        : { op: "set", data: { [m.key]: JSON.parse(m.data) }, fields: [m.key] };
+    } else {
+      write = m.op === "delete" ? { op: "delete" } : { op: "set", data: JSON.parse(m.data) };
+    }
+    return { result: { ok: true }, write };
+  });
+}
+
+async function syncQueue() {
+  if (isSyncing || !queue.size || !currentUser || newerSchema) return notifyStatus();
+  if (!isOnline()) return notifyStatus();
+  isSyncing = true;
+  notifyStatus();
+
+  try {
+    const userPath = await getUserDocPath();
+    // another device may have upgraded the data since it was loaded
+    newerSchema = isNewerSchema(await adapter.getDoc(userPath));
+    if (newerSchema) return;
+    for (const m of [...queue.values()]) {
+      const result = await replayMutation(userPath, m);
+      const latest = queue.get(m.id);
+      if (result.conflict) {
+        const parked = { ...(latest || m), remote: result.remote };
+        conflicts.set(m.id, parked);
+        await idbPut("conflicts", localKey(m.id), parked);
+      } else {
+        const written = result.written ?? m.data;
+        server[m.key] = { ...(server[m.key] || {}) };
+        if (written === null) delete server[m.key][m.docId];
+        else server[m.key][m.docId] = written;
+        // a merged write may contain other devices' fields as well
+        if (written !== m.data && latest === m) adoptRecord(m.key, m.docId, written);
+      }
+
+      if (latest === m || result.conflict) {
+        queue.delete(m.id);
+        await idbDelete("queue", localKey(m.id));
+      } else if (latest) {
+        // edited again while this write was in flight: the newer edit is now based on what we wrote
+        latest.baseVersion = result.written ?? m.data;
+        await idbPut("queue", localKey(m.id), latest);
+      }
     }
+  } catch (e) {
+    // mutations stay queued (and in IndexedDB) until the next attempt
+    console.error("syncQueue failed:", e);
+  } finally {
+    isSyncing = false;
+    await persistSnapshot();
+    notifyStatus();
+  }
+}
+
+if (typeof window !== "undefined") {
+  window.addEventListener("online", () => { syncQueue(); });
+  window.addEventListener("offline", () => notifyStatus());
+}
+
+/* ----------------------- Sync status ----------------------- */
+export function getSyncStatus() {
+  const online = isOnline();
+  let state = "synced";
+  if (newerSchema) state = "outdated";
+  else if (conflicts.size) state = "conflict";
+  else if (queue.size || pendingValues.size) state = "pending";
+  return {
+    state,
+    online,
+    syncing: isSyncing,
+    pending: queue.size,
+    conflicts: [...conflicts.values()].map(c => ({ id: c.id, key: c.key, docId: c.docId, ts: c.ts })),
+  };
+}
+
+function notifyStatus() {
+  const status = getSyncStatus();
+  statusListeners.forEach(cb => {
+    try { cb(status); } catch (e) { console.warn("sync status listener failed", e); }
+  });
+}
+
+export function onSyncStatusChange(cb) {
+  statusListeners.add(cb);
+  cb(getSyncStatus());
+  return () => statusListeners.delete(cb);
+}
+
+// choice: "local" re-applies our edit over the remote one, "remote" keeps the remote record.
+export async function resolveConflict(id, choice) {
+  const c = conflicts.get(id);
+  if (!c) return;
+  conflicts.delete(id);
+  await idbDelete("conflicts", localKey(id));
+
+  if (choice === "local") {
+    const { remote, ...mutation } = c;
+    const retry = { ...mutation, baseVersion: remote, ts: Date.now() };
+    queue.set(id, retry);
+    await idbPut("queue", localKey(id), retry);
+    await syncQueue();
+    return;
   }
 
-  isWriting = false;
+  server[c.key] = { ...(server[c.key] || {}) };
+  if (c.remote === null) delete server[c.key][c.docId];
+  else server[c.key][c.docId] = c.remote;
+  adoptRecord(c.key, c.docId, c.remote);
+  await persistSnapshot();
+  notifyStatus();
+}
+
+// Replace one record in the app's data with a version that came from Firestore.
+function adoptRecord(key, docId, serialized) {
+  if (!dataCache || pendingValues.has(key)) return;
+  const records = toRecords(key, dataCache[key]);
+  if (serialized === null) delete records[docId];
+  else records[docId] = JSON.parse(serialized);
+  dataCache[key] = fromRecords(key, records);
+  base[key] = { ...(base[key] || {}) };
+  if (serialized === null) delete base[key][docId];
+  else base[key][docId] = serialized;
+  publish(key);
+}
+
+/* ----------------------- Live subscriptions ----------------------- */
+function publish(key) {
+  const value = dataCache[key];
+  (subscribers.get(key) || []).forEach(cb => {
+    try { cb(value); } catch (e) { console.warn(`subscriber of ${key} failed`, e); }
+  });
+}
+
+const sameRecords = (a = {}, b = {}) =>
+  Object.keys(a).length === Object.keys(b).length && Object.keys(a).every(id => a[id] === b[id]);
+
+function applyRemoteSnapshot(key, remoteRecords) {
+  server[key] = serializeRecords(remoteRecords);
+  // let the app's unflushed edit become a queued mutation first, then reconcile
+  if (pendingValues.has(key)) {
+    deferredSnapshots.set(key, remoteRecords);
+    return;
+  }
+  const records = applyPending(key, remoteRecords);
+  const serialized = serializeRecords(records);
+  if (sameRecords(serialized, base[key])) return;
+
+  dataCache[key] = fromRecords(key, records);
+  base[key] = serialized;
+  persistSnapshot();
+  publish(key);
+}
+
+async function startSnapshotListener(key) {
+  const userPath = await getUserDocPath();
+  await ensureLoaded();
+  const onError = (e) => console.warn(`subscribe(${key}) listener error:`, e);
+
+  if (COLLECTION_KEYS[key]) {
+    return adapter.watchCollection(collectionPath(userPath, key), (records) => applyRemoteSnapshot(key, records), onError);
+  }
+  return adapter.watchDoc(userPath, (data) => {
+    if (!data || !(key in data)) return;
+    applyRemoteSnapshot(key, { [ROOT_RECORD]: data[key] });
+  }, onError);
+}
+
+// Calls cb(value) whenever the key changes remotely. Returns an unsubscribe function.
+export function subscribe(key, cb) {
+  if (!subscribers.has(key)) subscribers.set(key, new Set());
+  subscribers.get(key).add(cb);
+
+  if (!snapshotListeners.has(key)) {
+    snapshotListeners.set(key, startSnapshotListener(key).catch(e => {
+      console.warn(`subscribe(${key}) failed:`, e);
+      return null;
+    }));
+  }
+
+  return () => {
+    const set = subscribers.get(key);
+    if (!set) return;
+    set.delete(cb);
+    if (set.size) return;
+    subscribers.delete(key);
+    const listener = snapshotListeners.get(key);
+    snapshotListeners.delete(key);
+    listener?.then(unsub => unsub && unsub());
+  };
 }
 
 /* ----------------------- Public API ----------------------- */
 export async function loadAsync(key, fallback) {
   try {
-    if (!dataCache) {
-      console.log("🌐 Fetching from Firestore...");
-      dataCache = await loadMasterJSON();
-    }
-    return dataCache[key] ?? fallback;
+    if (!dataCache) console.log("🌐 Fetching data...");
+    await ensureLoaded();
+    // a save issued before the app ever read the key (initial component state) must not shadow stored data
+    if (pendingValues.has(key) && handedOut.has(key)) return pendingValues.get(key) ?? fallback;
+    handedOut.add(key);
+    const value = dataCache[key];
+    if (value !== undefined && !pendingValues.has(key)) base[key] = serializeRecords(toRecords(key, value));
+    return value ?? fallback;
   } catch (e) {
     console.error("loadAsync error:", e);
     return fallback;
@@ -107,24 +472,33 @@ export async function loadAsync(key, fallback) {
 let saveTimeout = null;
 export async function saveAsync(key, value) {
   try {
-    dataCache = dataCache || (await loadMasterJSON());
-    dataCache[key] = value;
+    await ensureLoaded();
+    pendingValues.set(key, value);
+    notifyStatus();
 
     clearTimeout(saveTimeout);
     saveTimeout = setTimeout(async () => {
-      await saveMasterJSON(dataCache);
+      await queueDirtyKeys();
+      await syncQueue();
     }, 800);
   } catch (e) {
     console.error("saveAsync error:", e);
   }
 }
 
+// Queue debounced saves right away, e.g. before a reload. Queued mutations survive the reload.
+export async function flushPendingSaves() {
+  clearTimeout(saveTimeout);
+  await queueDirtyKeys();
+  await syncQueue();
+}
+
 /* ----------------------- Dummy compatibility funcs ----------------------- */
 export async function pickAndStoreFolder() {
-  // not applicable for Firebase cloud; return pseudo path
-  return { handle: null, path: "Firebase Cloud", name: "cloud" };
+  // not applicable for cloud-backed storage; return pseudo path
+  return { handle: null, path: adapter.label, name: "cloud" };
 }
 
 export async function getSavedFolderInfo() {
-  return { path: "Firebase Cloud", name: "cloud" };
+  return { path: adapter.label, name: "cloud" };
 }
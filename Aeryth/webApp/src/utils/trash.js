@@ -0,0 +1,65 @@
+// src/utils/trash.js
+// Soft delete. Deleting a routine or a diary entry only stamps it with deletedAt (ISO string); the
+// routine's stickies, statuses, checklist ticks and notification chats stay where they are, so restoring is just
+// clearing deletedAt. Items older than TRASH_RETENTION_DAYS are purged for good by purgeExpired().
+
+export const TRASH_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const isDeleted = (item) => !!item?.deletedAt;
+export const activeOnly = (list) => (list || []).filter(item => !isDeleted(item));
+
+export function daysLeftInTrash(item, now = Date.now()) {
+  const left = TRASH_RETENTION_DAYS - (now - new Date(item.deletedAt).getTime()) / DAY_MS;
+  return Math.max(0, Math.ceil(left));
+}
+
+const isExpired = (item, now) => isDeleted(item) && daysLeftInTrash(item, now) === 0;
+
+// { month: { day: [entries], monthlySummary } } -> same shape with each day's entries filtered
+function mapDiaryEntries(diary, fn) {
+  const next = {};
+  Object.entries(diary || {}).forEach(([month, days]) => {
+    next[month] = {};
+    Object.entries(days || {}).forEach(([day, value]) => {
+      next[month][day] = Array.isArray(value) ? fn(value) : value;
+    });
+  });
+  return next;
+}
+
+export const withoutDeletedEntries = (diary) => mapDiaryEntries(diary, entries => activeOnly(entries));
+
+// diary entries in the trash as [{ monthKey, dayKey, entry }], newest deletion first
+export function trashedDiaryEntries(diary) {
+  const items = [];
+  Object.entries(diary || {}).forEach(([monthKey, days]) => {
+    Object.entries(days || {}).forEach(([dayKey, entries]) => {
+      if (Array.isArray(entries)) entries.filter(isDeleted).forEach(entry => items.push({ monthKey, dayKey, entry }));
+    });
+  });
+  return items.sort((a, b) => String(b.entry.deletedAt).localeCompare(String(a.entry.deletedAt)));
+}
+
+// Returns only the collections that changed, e.g. { routines, stickies } or {} when nothing expired.
+export function purgeExpired({ routines, stickies, eventStatuses, checklists, notifChats, diary }, now = Date.now()) {
+  const changes = {};
+  const expiredIds = (routines || []).filter(r => isExpired(r, now)).map(r => r.id);
+  if (expiredIds.length) {
+    const drop = (map) => {
+      const n = { ...(map || {}) };
+      expiredIds.forEach(id => delete n[id]);
+      return n;
+    };
+    changes.routines = routines.filter(r => !expiredIds.includes(r.id));
+    changes.stickies = drop(stickies);
+    changes.eventStatuses = drop(eventStatuses);
+    changes.checklists = drop(checklists);
+    changes.notifChats = drop(notifChats);
+  }
+
+  if (trashedDiaryEntries(diary).some(({ entry }) => isExpired(entry, now))) {
+    changes.diary = mapDiaryEntries(diary, entries => entries.filter(e => !isExpired(e, now)));
+  }
+  return changes;
+}